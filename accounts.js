@@ -1,23 +1,18 @@
-const express = require('express');
-const router = express.Router();
-const path = require('path');
-const fs = require('fs').promises;
 const ImageKit = require("imagekit");
 const multer = require("multer");
 const upload = multer({ storage: multer.memoryStorage() });
 const RAGService = require('./rag');
+const { ROLES, issueToken, authenticate } = require('./auth');
+const { authorize } = require('./policy');
+const { createVersionedRouter, toBoolean } = require('./versioned_router');
+const storage = require('./storage');
+const { buildGapReport } = require('./knowledge_gaps');
+const answerCache = require('./answer_cache');
+const { extractFaqQuestions } = require('./suggestions');
 
-const DB_DIR = path.join('/tmp', 'database');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const UPLOADS_DIR = path.join(DB_DIR, 'uploads');
-const TICKETS_DIR = path.join(DB_DIR, 'tickets');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
+const api = createVersionedRouter();
 
-// Ensure required folders exist
-(async () => {
-    await fs.mkdir(UPLOADS_DIR, { recursive: true });
-    await fs.mkdir(TICKETS_DIR, { recursive: true });
-})();
+const UPLOAD_CATEGORIES = ["notice", "faq", "impData"];
 
 // ImageKit Config
 const imagekit = new ImageKit({
@@ -26,70 +21,21 @@ const imagekit = new ImageKit({
     urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT
 });
 
-// ------------------------------
-// Helpers
-// ------------------------------
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
-
-const readUploads = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return { notice: [], faq: [], impData: [] };
-    }
-};
-
-const writeUploads = async (email, data) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const file = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-const readTicket = async (id) => {
-    try {
-        const file = path.join(TICKETS_DIR, `${id}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
-
-const writeTicket = async (id, data) => {
-    const file = path.join(TICKETS_DIR, `${id}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const file = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-};
+// Policy loaders: the ticket / account a request targets
+const ticketFromParams = (req) => storage.tickets.get(req.params.ticketId || '');
+const accountFromParams = (req) => storage.accounts.get(req.params.accountEmail);
 
 // ------------------------------
-// 1️⃣ Account Login (GET)
+// 1️⃣ Account Login
 // ------------------------------
-router.get('/login', async (req, res) => {
+api.post('/login', { legacy: true }, async (req, res) => {
     try {
-        const { accountEmail, password } = req.query;
+        const { accountEmail, password } = req.body;
 
         if (!accountEmail || !password)
             return res.status(400).json({ error: "accountEmail and password required" });
 
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
         // 🔐 Compare hashed password with plain text
@@ -99,7 +45,15 @@ router.get('/login', async (req, res) => {
         if (!match)
             return res.status(401).json({ error: "Invalid password" });
 
-        res.json({ message: "Login successful", account: acc });
+        res.json({
+            message: "Login successful",
+            ...issueToken({
+                email: acc.accountEmail,
+                role: ROLES.ACCOUNT,
+                universityEmail: acc.universityEmail
+            }),
+            account: acc
+        });
 
     } catch (err) {
         console.error("Login error:", err);
@@ -107,13 +61,16 @@ router.get('/login', async (req, res) => {
     }
 });
 
+// Every route below requires a valid access token
+api.use(authenticate);
+
 // ------------------------------
-// 2️⃣ Get ALL Tickets For Department (GET)
+// 2️⃣ Get ALL Tickets For Department
 // ------------------------------
-router.get('/tickets/:accountEmail', async (req, res) => {
+api.get('/tickets', { legacy: '/tickets/:accountEmail' }, authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const account = await readAccount(accountEmail);
+        const { email: accountEmail } = req.user;
+        const account = await storage.accounts.get(accountEmail);
 
         if (!account)
             return res.status(404).json({ error: "Account not found" });
@@ -121,31 +78,13 @@ router.get('/tickets/:accountEmail', async (req, res) => {
         const departmentEmail = account.universityEmail;
 
         // Get all accounts for this department
-        const allAccFiles = await fs.readdir(ACCOUNTS_DIR);
-        let departmentAccounts = [];
-
-        for (const a of allAccFiles) {
-            if (a.endsWith(".json")) {
-                const accData = JSON.parse(await fs.readFile(path.join(ACCOUNTS_DIR, a), "utf8"));
-                if (accData.universityEmail === departmentEmail) {
-                    departmentAccounts.push(accData.accountEmail);
-                }
-            }
-        }
+        const departmentAccounts = (await storage.accounts.listByUniversity(departmentEmail))
+            .map(a => a.accountEmail);
 
         // Fetch tickets for all accounts in this department
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
-        let pending = [], completed = [];
-
-        for (const file of ticketFiles) {
-            if (file.endsWith(".json")) {
-                const t = JSON.parse(await fs.readFile(path.join(TICKETS_DIR, file), "utf8"));
-                if (departmentAccounts.includes(t.accountEmail)) {
-                    if (t.status === "pending") pending.push(t);
-                    else completed.push(t);
-                }
-            }
-        }
+        const tickets = await storage.tickets.listByAccounts(departmentAccounts);
+        const pending = tickets.filter(t => t.status === "pending");
+        const completed = tickets.filter(t => t.status !== "pending");
 
         res.json({
             departmentEmail,
@@ -162,16 +101,17 @@ router.get('/tickets/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 3️⃣ Solve Ticket (GET)
+// 3️⃣ Solve Ticket
 // ------------------------------
-router.get('/ticket/solve', async (req, res) => {
+api.post('/tickets/:ticketId/solve', { legacy: '/ticket/solve' }, authorize('ticket:solve', ticketFromParams), async (req, res) => {
     try {
-        const { ticketId, solution } = req.query;
+        const { ticketId } = req.params;
+        const { solution } = req.body;
 
         if (!ticketId || !solution)
             return res.status(400).json({ error: "ticketId & solution required" });
 
-        const ticket = await readTicket(ticketId);
+        const ticket = await storage.tickets.get(ticketId);
         if (!ticket)
             return res.status(404).json({ error: "Ticket not found" });
 
@@ -179,7 +119,7 @@ router.get('/ticket/solve', async (req, res) => {
         ticket.status = "completed";
         ticket.updatedAt = new Date().toISOString();
 
-        await writeTicket(ticketId, ticket);
+        await storage.tickets.save(ticketId, ticket);
 
         res.json({ message: "Ticket marked as completed", ticket });
 
@@ -190,11 +130,11 @@ router.get('/ticket/solve', async (req, res) => {
 });
 
 // ------------------------------
-// 4️⃣ Get All Uploads (GET)
+// 4️⃣ Get All Uploads
 // ------------------------------
-router.get('/uploads/:accountEmail', async (req, res) => {
+api.get('/uploads', { legacy: '/uploads/:accountEmail' }, authorize('account:self'), async (req, res) => {
     try {
-        const uploads = await readUploads(req.params.accountEmail);
+        const uploads = await storage.uploads.get(req.user.email);
         res.json(uploads);
     } catch (err) {
         console.error("Get uploads error:", err);
@@ -203,35 +143,36 @@ router.get('/uploads/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 5️⃣ Upload File (GET with base64 encoding)
+// 5️⃣ Upload File (multipart "file" field, or base64 fileData on the legacy GET)
 // ------------------------------
-router.get('/upload/:accountEmail', async (req, res) => {
+api.post('/uploads', { legacy: '/upload/:accountEmail' }, authorize('account:self'), upload.single('file'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { category, fileName, fileData } = req.query;
+        const { email: accountEmail } = req.user;
+        const { category, fileData } = req.body;
+        const fileName = req.body.fileName || req.file?.originalname;
 
-        if (!category || !fileName || !fileData)
+        if (!category || !fileName || (!req.file && !fileData))
             return res.status(400).json({
-                error: "category, fileName, and fileData (base64) required"
+                error: "category, fileName, and a file (multipart \"file\" or base64 fileData) required"
             });
 
-        if (!["notice", "faq", "impData"].includes(category))
+        if (!UPLOAD_CATEGORIES.includes(category))
             return res.status(400).json({ error: "Invalid category" });
 
-        const acc = await readAccount(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
-        // Decode base64 file data
-        const fileBuffer = Buffer.from(fileData, 'base64');
+        // Multipart upload, or decode base64 file data
+        const fileBuffer = req.file ? req.file.buffer : Buffer.from(fileData, 'base64');
 
         // Upload to ImageKit
         const ikUpload = await imagekit.upload({
-            file: fileData,
+            file: fileBuffer,
             fileName: fileName
         });
 
         // Get university API key
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         if (!university || !university.apiKeyInfo?.key) {
             return res.status(500).json({ error: "University API key not found" });
         }
@@ -250,17 +191,22 @@ router.get('/upload/:accountEmail', async (req, res) => {
             ]
         );
 
-        const uploads = await readUploads(accountEmail);
-
-        uploads[category].push({
-            filename: fileName,
-            imagekitUrl: ikUpload.url,
-            imagekitFileId: ikUpload.fileId,
-            ragData: ragUpload.data || null,
-            uploadedAt: new Date().toISOString()
+        const uploads = await storage.uploads.withLock(accountEmail, async () => {
+            const current = await storage.uploads.get(accountEmail);
+            current[category] = current[category] || [];
+            current[category].push({
+                filename: fileName,
+                imagekitUrl: ikUpload.url,
+                imagekitFileId: ikUpload.fileId,
+                ragData: ragUpload.data || null,
+                // starter / follow-up questions for students, see suggestions.js
+                ...(category === "faq" && { questions: extractFaqQuestions(fileBuffer, fileName) }),
+                uploadedAt: new Date().toISOString()
+            });
+            await storage.uploads.save(accountEmail, current);
+            return current;
         });
-
-        await writeUploads(accountEmail, uploads);
+        answerCache.invalidateStore(acc.ragStore?.storeName);
 
         res.json({
             message: "File uploaded successfully",
@@ -277,22 +223,23 @@ router.get('/upload/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 6️⃣ Delete File (GET)
+// 6️⃣ Delete File
 // ------------------------------
-router.get('/upload/delete/:accountEmail', async (req, res) => {
+api.delete('/uploads/:category/:filename', { legacy: '/upload/delete/:accountEmail' }, authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { category, filename } = req.query;
+        const { email: accountEmail } = req.user;
+        const { category, filename } = req.params;
 
         if (!category || !filename)
             return res.status(400).json({ error: "category & filename required" });
 
-        const acc = await readAccount(accountEmail);
-        if (!acc) return res.status(404).json({ error: "Account not found" });
+        if (!UPLOAD_CATEGORIES.includes(category))
+            return res.status(400).json({ error: "Invalid category" });
 
-        const uploads = await readUploads(accountEmail);
+        const acc = await storage.accounts.get(accountEmail);
+        if (!acc) return res.status(404).json({ error: "Account not found" });
 
-        const fileEntry = uploads[category].find(f => f.filename === filename);
+        const fileEntry = ((await storage.uploads.get(accountEmail))[category] || []).find(f => f.filename === filename);
         if (!fileEntry)
             return res.status(404).json({ error: "File not found" });
 
@@ -300,7 +247,7 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
         await imagekit.deleteFile(fileEntry.imagekitFileId);
 
         // Get university API key for RAG deletion
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         if (university && university.apiKeyInfo?.key) {
             // Delete from RAG store
             if (fileEntry.ragData?.documentId) {
@@ -312,10 +259,14 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
             }
         }
 
-        // Remove from JSON
-        uploads[category] = uploads[category].filter(f => f.filename !== filename);
-
-        await writeUploads(accountEmail, uploads);
+        // Remove from JSON (re-read under the lock: other uploads may have landed meanwhile)
+        const uploads = await storage.uploads.withLock(accountEmail, async () => {
+            const current = await storage.uploads.get(accountEmail);
+            current[category] = (current[category] || []).filter(f => f.filename !== filename);
+            await storage.uploads.save(accountEmail, current);
+            return current;
+        });
+        answerCache.invalidateStore(acc.ragStore?.storeName);
 
         res.json({
             message: "File deleted successfully",
@@ -329,12 +280,12 @@ router.get('/upload/delete/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 7️⃣ Get Account Profile (GET)
+// 7️⃣ Get Account Profile
 // ------------------------------
-router.get('/profile/:accountEmail', async (req, res) => {
+api.get('/profile', { legacy: '/profile/:accountEmail' }, authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const acc = await readAccount(accountEmail);
+        const { email: accountEmail } = req.user;
+        const acc = await storage.accounts.get(accountEmail);
 
         if (!acc) return res.status(404).json({ error: "Account not found" });
 
@@ -342,7 +293,7 @@ router.get('/profile/:accountEmail', async (req, res) => {
         const { password, ...accountData } = acc;
 
         // Get university info
-        const university = await readUniversity(acc.universityEmail);
+        const university = await storage.universities.get(acc.universityEmail);
         const universityInfo = university ? {
             universityName: university.universityName,
             universityEmail: university.email,
@@ -364,17 +315,14 @@ router.get('/profile/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 8️⃣ Update Account Profile (GET)
+// 8️⃣ Update Account Profile
 // ------------------------------
-router.get('/profile/update', async (req, res) => {
+api.patch('/profile', { legacy: '/profile/update' }, authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail, ...updates } = req.query;
+        const { email: accountEmail } = req.user;
+        const updates = { ...req.body };
 
-        if (!accountEmail) {
-            return res.status(400).json({ error: 'accountEmail is required' });
-        }
-
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -398,14 +346,14 @@ router.get('/profile/update', async (req, res) => {
 
         // Parse boolean field
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update account
         Object.assign(account, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         const { password, ...accountData } = account;
         res.json({
@@ -419,31 +367,21 @@ router.get('/profile/update', async (req, res) => {
 });
 
 // ------------------------------
-// 9️⃣ Get Tickets by Status (GET)
+// 9️⃣ Get Tickets by Status
 // ------------------------------
-router.get('/tickets/status/:accountEmail', async (req, res) => {
+api.get('/tickets/status', { legacy: '/tickets/status/:accountEmail' }, authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
+        const { email: accountEmail } = req.user;
         const { status } = req.query;
 
         if (!status || !['pending', 'completed'].includes(status)) {
             return res.status(400).json({ error: 'Valid status (pending/completed) required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) return res.status(404).json({ error: "Account not found" });
 
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
-        const tickets = [];
-
-        for (const file of ticketFiles) {
-            if (file.endsWith(".json")) {
-                const t = JSON.parse(await fs.readFile(path.join(TICKETS_DIR, file), "utf8"));
-                if (t.accountEmail === accountEmail && t.status === status) {
-                    tickets.push(t);
-                }
-            }
-        }
+        const tickets = await storage.tickets.listByAccounts([accountEmail], status);
 
         res.json({
             accountEmail,
@@ -458,31 +396,52 @@ router.get('/tickets/status/:accountEmail', async (req, res) => {
 });
 
 // ------------------------------
-// 🔟 Delete Account (GET)
+// Knowledge gaps: questions this department failed or answered poorly, by topic
+// Optional ?from=&to= (ISO dates)
 // ------------------------------
-router.get('/delete/:accountEmail', async (req, res) => {
+api.get('/knowledge-gaps', authorize('account:self'), async (req, res) => {
     try {
-        const { accountEmail } = req.params;
-        const { universityEmail } = req.query;
+        const { email: accountEmail } = req.user;
+        const { from, to } = req.query;
 
-        if (!universityEmail) {
-            return res.status(400).json({ error: 'universityEmail is required' });
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
+        if (!account) return res.status(404).json({ error: "Account not found" });
+
+        const report = await buildGapReport({ accounts: [account], from, to });
+
+        res.json({
+            accountEmail,
+            accountName: account.accountName,
+            from: from || null,
+            to: to || null,
+            ...report
+        });
+    } catch (err) {
+        console.error("Knowledge gaps error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+// ------------------------------
+// 🔟 Delete Account
+// ------------------------------
+api.delete('/:accountEmail', { legacy: '/delete/:accountEmail' }, authorize('account:manage', accountFromParams), async (req, res) => {
+    try {
+        const { accountEmail } = req.params;
+        const { universityEmail } = req.user;
+
+        // Ownership is enforced by the account:manage policy
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
 
-        // Verify that account belongs to the specified university
-        if (account.universityEmail !== universityEmail) {
-            return res.status(403).json({
-                error: 'This account does not belong to the specified university'
-            });
-        }
-
         // Get university API key for RAG store deletion
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         const geminiKey = university?.apiKeyInfo?.key;
 
         // Delete RAG store if exists
@@ -495,18 +454,9 @@ router.get('/delete/:accountEmail', async (req, res) => {
             }
         }
 
-        // Delete account file
-        const sanitizedEmail = accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const accountPath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(accountPath);
-
-        // Delete uploads file
-        const uploadsPath = path.join(UPLOADS_DIR, `${sanitizedEmail}.json`);
-        try {
-            await fs.unlink(uploadsPath);
-        } catch {
-            // Uploads file may not exist
-        }
+        // Delete account and its uploads list
+        await storage.accounts.remove(accountEmail);
+        await storage.uploads.remove(accountEmail);
 
         res.json({
             message: 'Account deleted successfully',
@@ -518,4 +468,4 @@ router.get('/delete/:accountEmail', async (req, res) => {
     }
 });
 
-module.exports = router;
+module.exports = { v1: api.v1, v2: api.v2 };
@@ -0,0 +1,172 @@
+/**
+ * ANSWER CACHE
+ *
+ * Reuses the answer to a question already asked by another student of the
+ * same university with the same accessible stores, skipping the classifier,
+ * RAG and synthesis calls on the university's Gemini key.
+ *
+ * Key: university + sorted store names + normalized question (lowercase,
+ * punctuation and extra spaces removed). Only complete answers are cached:
+ * every selected store answered and no part of the question was left
+ * unanswered.
+ *
+ * Entries are dropped when any of their stores changes (a department upload
+ * or delete, the university website toggle: see invalidateStore), when the
+ * university changes a setting a cached answer was built under (guardrails,
+ * confidence threshold, languages, LLM provider: see invalidateUniversity), after
+ * ANSWER_CACHE_TTL_MS (default 6 hours), or least-recently-used first beyond
+ * ANSWER_CACHE_MAX_ENTRIES (default 1000). ANSWER_CACHE_TTL_MS=0 disables the
+ * cache.
+ *
+ * The cache and its hit/miss counters live in this process's memory.
+ */
+
+const TTL_MS = process.env.ANSWER_CACHE_TTL_MS !== undefined
+    ? parseInt(process.env.ANSWER_CACHE_TTL_MS, 10) || 0
+    : 6 * 60 * 60 * 1000;
+const MAX_ENTRIES = parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES, 10) || 1000;
+
+// key -> { universityEmail, stores, value, cachedAt, expiresAt } (Map order = least recently used first)
+const entries = new Map();
+// universityEmail -> { hits, misses, invalidations }
+const stats = new Map();
+
+// Helper: Counters of one university
+function statsFor(universityEmail) {
+    if (!stats.has(universityEmail)) stats.set(universityEmail, { hits: 0, misses: 0, invalidations: 0 });
+    return stats.get(universityEmail);
+}
+
+// Helper: Question reduced to what matters for matching
+function normalizeQuestion(question) {
+    return String(question || "")
+        .normalize("NFKC")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+// Helper: Cache key of a question asked against a store set
+function cacheKey(universityEmail, storeNames, question) {
+    return `${universityEmail}|${[...storeNames].sort().join(",")}|${normalizeQuestion(question)}`;
+}
+
+/**
+ * Look up a cached answer (counts a hit or a miss)
+ * @returns {Object|null} { value, cachedAt } or null
+ */
+function get(universityEmail, storeNames, question) {
+    if (TTL_MS <= 0) return null;
+
+    const key = cacheKey(universityEmail, storeNames, question);
+    const entry = entries.get(key);
+    const counters = statsFor(universityEmail);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        counters.misses++;
+        return null;
+    }
+
+    // move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    counters.hits++;
+    return { value: entry.value, cachedAt: entry.cachedAt };
+}
+
+// Store an answer for a question asked against a store set
+function set(universityEmail, storeNames, question, value) {
+    if (TTL_MS <= 0) return;
+
+    const key = cacheKey(universityEmail, storeNames, question);
+    entries.delete(key);
+    entries.set(key, {
+        universityEmail,
+        stores: [...storeNames],
+        value,
+        cachedAt: new Date().toISOString(),
+        expiresAt: Date.now() + TTL_MS
+    });
+
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+/**
+ * Drop every cached answer that involved a store (its documents changed)
+ * @param {string} storeName
+ * @returns {number} Entries removed
+ */
+function invalidateStore(storeName) {
+    if (!storeName) return 0;
+
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (!entry.stores.includes(storeName)) continue;
+        entries.delete(key);
+        statsFor(entry.universityEmail).invalidations++;
+        removed++;
+    }
+    return removed;
+}
+
+/**
+ * Drop every cached answer of a university (its answer settings changed)
+ * @param {string} universityEmail
+ * @returns {number} Entries removed
+ */
+function invalidateUniversity(universityEmail) {
+    if (!universityEmail) return 0;
+
+    let removed = 0;
+    for (const [key, entry] of entries) {
+        if (entry.universityEmail !== universityEmail) continue;
+        entries.delete(key);
+        removed++;
+    }
+    if (removed > 0) statsFor(universityEmail).invalidations += removed;
+    return removed;
+}
+
+// Helper: Hit rate rounded to two decimals (null before the first lookup)
+function hitRate({ hits, misses }) {
+    return hits + misses === 0 ? null : Math.round((hits / (hits + misses)) * 100) / 100;
+}
+
+/**
+ * Hit-rate statistics, for one university or for the whole process
+ * @param {string} [universityEmail]
+ * @returns {Object} { enabled, ttlMs, entries, hits, misses, hitRate, invalidations }
+ */
+function getStats(universityEmail) {
+    const scoped = universityEmail ? [statsFor(universityEmail)] : [...stats.values()];
+    const totals = scoped.reduce((sum, s) => ({
+        hits: sum.hits + s.hits,
+        misses: sum.misses + s.misses,
+        invalidations: sum.invalidations + s.invalidations
+    }), { hits: 0, misses: 0, invalidations: 0 });
+
+    const entryCount = universityEmail
+        ? [...entries.values()].filter(e => e.universityEmail === universityEmail).length
+        : entries.size;
+
+    return {
+        enabled: TTL_MS > 0,
+        ttlMs: TTL_MS,
+        entries: entryCount,
+        ...totals,
+        hitRate: hitRate(totals)
+    };
+}
+
+module.exports = {
+    get,
+    set,
+    invalidateStore,
+    invalidateUniversity,
+    getStats,
+    normalizeQuestion
+};
@@ -1,9 +1,4 @@
-const fs = require('fs').promises;
-const path = require('path');
-
-// Database paths
-const DB_DIR = path.join('/tmp', 'database');
-const API_KEYS_FILE = path.join(DB_DIR, 'api_keys.json');
+const storage = require('./storage');
 
 /**
  * API Key Manager
@@ -53,52 +48,59 @@ class APIKeyManager {
     }
 
     /**
-     * Initialize database file with default API keys
+     * Initialize the key pool in storage with default API keys
      */
     async initializeDatabase() {
         try {
-            await fs.mkdir(DB_DIR, { recursive: true });
-
-            // Check if file exists
-            try {
-                await fs.access(API_KEYS_FILE);
-                // File exists, load existing data
-                await this.loadKeys();
-            } catch {
-                // File doesn't exist, create with default keys
-                await this.saveKeys();
-                console.log('API Keys database initialized with default keys');
-            }
+            await storage.ready;
+
+            await storage.apiKeys.withLock(async () => {
+                const keys = await storage.apiKeys.load();
+                if (keys) {
+                    // Pool exists, use existing data
+                    this.apiKeys = keys;
+                } else {
+                    // Pool was never saved, store the default keys
+                    await this.saveKeys();
+                    console.log('API Keys database initialized with default keys');
+                }
+            });
         } catch (error) {
             console.error('Error initializing API keys database:', error);
         }
     }
 
     /**
-     * Load API keys from file
+     * Load API keys from storage
+     * @returns {Promise<Array>} The loaded key pool
      */
     async loadKeys() {
         try {
-            const data = await fs.readFile(API_KEYS_FILE, 'utf8');
-            this.apiKeys = JSON.parse(data);
+            const keys = await storage.apiKeys.load();
+            if (keys) this.apiKeys = keys;
         } catch (error) {
             console.error('Error loading API keys:', error);
             // Keep default keys if loading fails
         }
+        return this.apiKeys;
     }
 
     /**
-     * Save API keys to file
+     * Save API keys to storage
+     * @param {Array} [keys] - Key pool to save (defaults to the last loaded pool)
      */
-    async saveKeys() {
+    async saveKeys(keys = this.apiKeys) {
         try {
-            await fs.writeFile(API_KEYS_FILE, JSON.stringify(this.apiKeys, null, 2));
+            await storage.apiKeys.save(keys);
         } catch (error) {
             console.error('Error saving API keys:', error);
             throw error;
         }
     }
 
+    // Mutating methods below hold the key pool lock and work on the pool they
+    // loaded, so concurrent registrations can never be handed the same key.
+
     /**
      * Get an available API key for a new university
      * @param {string} universityEmail - Email of the university
@@ -106,51 +108,53 @@ class APIKeyManager {
      * @returns {Promise<Object>} Object containing key info or error
      */
     async assignKey(universityEmail, universityId) {
-        try {
-            await this.loadKeys();
+        return storage.apiKeys.withLock(async () => {
+            try {
+                const keys = await this.loadKeys();
+
+                // Check if university already has a key assigned
+                const existingKey = keys.find(k => k.assignedTo === universityEmail);
+                if (existingKey) {
+                    return {
+                        success: true,
+                        key: existingKey.key,
+                        keyId: existingKey.id,
+                        message: 'Using existing assigned key'
+                    };
+                }
+
+                // Find first available key
+                const availableKey = keys.find(k => k.isAvailable === true);
+
+                if (!availableKey) {
+                    return {
+                        success: false,
+                        error: 'No API keys available. All keys are currently assigned.'
+                    };
+                }
+
+                // Assign the key
+                availableKey.assignedTo = universityEmail;
+                availableKey.assignedAt = new Date().toISOString();
+                availableKey.isAvailable = false;
+                availableKey.universityId = universityId;
+
+                await this.saveKeys(keys);
 
-            // Check if university already has a key assigned
-            const existingKey = this.apiKeys.find(k => k.assignedTo === universityEmail);
-            if (existingKey) {
                 return {
                     success: true,
-                    key: existingKey.key,
-                    keyId: existingKey.id,
-                    message: 'Using existing assigned key'
+                    key: availableKey.key,
+                    keyId: availableKey.id,
+                    assignedAt: availableKey.assignedAt
                 };
-            }
-
-            // Find first available key
-            const availableKey = this.apiKeys.find(k => k.isAvailable === true);
-
-            if (!availableKey) {
+            } catch (error) {
+                console.error('Error assigning API key:', error);
                 return {
                     success: false,
-                    error: 'No API keys available. All keys are currently assigned.'
+                    error: error.message
                 };
             }
-
-            // Assign the key
-            availableKey.assignedTo = universityEmail;
-            availableKey.assignedAt = new Date().toISOString();
-            availableKey.isAvailable = false;
-            availableKey.universityId = universityId;
-
-            await this.saveKeys();
-
-            return {
-                success: true,
-                key: availableKey.key,
-                keyId: availableKey.id,
-                assignedAt: availableKey.assignedAt
-            };
-        } catch (error) {
-            console.error('Error assigning API key:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        });
     }
 
     /**
@@ -159,37 +163,39 @@ class APIKeyManager {
      * @returns {Promise<Object>} Success status
      */
     async releaseKey(universityEmail) {
-        try {
-            await this.loadKeys();
+        return storage.apiKeys.withLock(async () => {
+            try {
+                const keys = await this.loadKeys();
+
+                const keyToRelease = keys.find(k => k.assignedTo === universityEmail);
+
+                if (!keyToRelease) {
+                    return {
+                        success: false,
+                        error: 'No key found for this university'
+                    };
+                }
+
+                // Release the key
+                keyToRelease.assignedTo = null;
+                keyToRelease.assignedAt = null;
+                keyToRelease.isAvailable = true;
+                keyToRelease.universityId = null;
 
-            const keyToRelease = this.apiKeys.find(k => k.assignedTo === universityEmail);
+                await this.saveKeys(keys);
 
-            if (!keyToRelease) {
+                return {
+                    success: true,
+                    message: `API key ${keyToRelease.id} released successfully`
+                };
+            } catch (error) {
+                console.error('Error releasing API key:', error);
                 return {
                     success: false,
-                    error: 'No key found for this university'
+                    error: error.message
                 };
             }
-
-            // Release the key
-            keyToRelease.assignedTo = null;
-            keyToRelease.assignedAt = null;
-            keyToRelease.isAvailable = true;
-            keyToRelease.universityId = null;
-
-            await this.saveKeys();
-
-            return {
-                success: true,
-                message: `API key ${keyToRelease.id} released successfully`
-            };
-        } catch (error) {
-            console.error('Error releasing API key:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        });
     }
 
     /**
@@ -307,41 +313,43 @@ class APIKeyManager {
      * @returns {Promise<Object>} Success status
      */
     async addKey(newKey) {
-        try {
-            await this.loadKeys();
+        return storage.apiKeys.withLock(async () => {
+            try {
+                const keys = await this.loadKeys();
+
+                // Check if key already exists
+                const exists = keys.some(k => k.key === newKey);
+                if (exists) {
+                    return {
+                        success: false,
+                        error: 'This API key already exists in the pool'
+                    };
+                }
+
+                const newKeyId = `key_${keys.length + 1}`;
+                keys.push({
+                    key: newKey,
+                    id: newKeyId,
+                    assignedTo: null,
+                    assignedAt: null,
+                    isAvailable: true
+                });
+
+                await this.saveKeys(keys);
 
-            // Check if key already exists
-            const exists = this.apiKeys.some(k => k.key === newKey);
-            if (exists) {
+                return {
+                    success: true,
+                    message: `API key ${newKeyId} added successfully`,
+                    keyId: newKeyId
+                };
+            } catch (error) {
+                console.error('Error adding API key:', error);
                 return {
                     success: false,
-                    error: 'This API key already exists in the pool'
+                    error: error.message
                 };
             }
-
-            const newKeyId = `key_${this.apiKeys.length + 1}`;
-            this.apiKeys.push({
-                key: newKey,
-                id: newKeyId,
-                assignedTo: null,
-                assignedAt: null,
-                isAvailable: true
-            });
-
-            await this.saveKeys();
-
-            return {
-                success: true,
-                message: `API key ${newKeyId} added successfully`,
-                keyId: newKeyId
-            };
-        } catch (error) {
-            console.error('Error adding API key:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        });
     }
 
     /**
@@ -350,41 +358,43 @@ class APIKeyManager {
      * @returns {Promise<Object>} Success status
      */
     async removeKey(keyId) {
-        try {
-            await this.loadKeys();
+        return storage.apiKeys.withLock(async () => {
+            try {
+                const keys = await this.loadKeys();
 
-            const keyIndex = this.apiKeys.findIndex(k => k.id === keyId);
+                const keyIndex = keys.findIndex(k => k.id === keyId);
 
-            if (keyIndex === -1) {
-                return {
-                    success: false,
-                    error: 'API key not found'
-                };
-            }
+                if (keyIndex === -1) {
+                    return {
+                        success: false,
+                        error: 'API key not found'
+                    };
+                }
+
+                const key = keys[keyIndex];
+
+                if (!key.isAvailable) {
+                    return {
+                        success: false,
+                        error: 'Cannot remove an assigned API key. Release it first.'
+                    };
+                }
 
-            const key = this.apiKeys[keyIndex];
+                keys.splice(keyIndex, 1);
+                await this.saveKeys(keys);
 
-            if (!key.isAvailable) {
+                return {
+                    success: true,
+                    message: `API key ${keyId} removed successfully`
+                };
+            } catch (error) {
+                console.error('Error removing API key:', error);
                 return {
                     success: false,
-                    error: 'Cannot remove an assigned API key. Release it first.'
+                    error: error.message
                 };
             }
-
-            this.apiKeys.splice(keyIndex, 1);
-            await this.saveKeys();
-
-            return {
-                success: true,
-                message: `API key ${keyId} removed successfully`
-            };
-        } catch (error) {
-            console.error('Error removing API key:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        });
     }
 }
 
@@ -9,6 +9,8 @@ const studentRoutes = require('./student');
 const accountRoutes = require('./accounts');   // ⬅ NEW
 const askRoutes = require("./ask");
 const developerRoutes = require('./developer');
+const { LEGACY_GET_ROUTES } = require('./versioned_router');
+const storage = require('./storage');
 // Initialize Express app
 const app = express();
 
@@ -32,12 +34,21 @@ app.get('/health', (req, res) => {
     });
 });
 
-// API Routes
-app.use('/university', universityAdminRoutes);
-app.use('/api/student', studentRoutes);
-app.use('/api/account', accountRoutes);     // ⬅ NEW
-app.use("/api/ask", askRoutes);
-app.use('/developer', developerRoutes);
+// API Routes (v2: proper verbs + JSON/multipart bodies)
+app.use('/api/v2/university', universityAdminRoutes.v2);
+app.use('/api/v2/student', studentRoutes.v2);
+app.use('/api/v2/account', accountRoutes.v2);
+app.use('/api/v2/ask', askRoutes.v2);
+app.use('/api/v2/developer', developerRoutes.v2);
+
+// Legacy GET routes, kept for the existing frontend until it moves to v2
+if (LEGACY_GET_ROUTES) {
+    app.use('/university', universityAdminRoutes.v1);
+    app.use('/api/student', studentRoutes.v1);
+    app.use('/api/account', accountRoutes.v1);     // ⬅ NEW
+    app.use("/api/ask", askRoutes.v1);
+    app.use('/developer', developerRoutes.v1);
+}
 
 // 404 handler
 app.use((req, res) => {
@@ -57,17 +68,22 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server
+// Start server once storage is initialized and legacy data merged
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, "0.0.0.0", () => {
+storage.ready.then(() => app.listen(PORT, "0.0.0.0", () => {
     console.log('=================================================');
     console.log('  University Management System API');
     console.log('=================================================');
     console.log(`  Server running on port ${PORT}`);
     console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`  Health check: http://localhost:${PORT}/health`);
+    console.log(`  Legacy GET routes: ${LEGACY_GET_ROUTES ? 'enabled' : 'disabled'}`);
+    console.log(`  Storage: ${storage.name}${storage.dataDir ? ` (${storage.dataDir})` : ''}`);
     console.log(`  API Documentation: http://localhost:${PORT}/`);
     console.log('=================================================');
+})).catch(() => {
+    console.error('Storage is not ready — exiting');
+    process.exit(1);
 });
 
 module.exports = app;
@@ -1,580 +1,531 @@
-const express = require("express");
-const router = express.Router();
-const path = require("path");
-const fs = require("fs").promises;
-const RAGService = require("./rag");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-
-// DB paths
-const DB_DIR = path.join(__dirname, "database");
-const STUDENTS_DIR = path.join(DB_DIR, "students");
-const UNIVERSITIES_DIR = path.join(DB_DIR, "universities");
-const CHAT_DIR = path.join(DB_DIR, "chat_sessions");
-const PROVIDER_LOGS_DIR = path.join(DB_DIR, "provider_questions");
-
-// ensure directories
-(async () => {
-    await fs.mkdir(CHAT_DIR, { recursive: true });
-    await fs.mkdir(PROVIDER_LOGS_DIR, { recursive: true });
-})();
-
-// -------------------- helpers --------------------
-async function readStudent(email) {
-    try {
-        const safe = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(STUDENTS_DIR, safe + ".json");
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
-}
-
-async function readUniversity(email) {
-    try {
-        const safe = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(UNIVERSITIES_DIR, safe + ".json");
-        return JSON.parse(await fs.readFile(file, "utf8"));
-    } catch {
-        return null;
-    }
+const { authenticate } = require("./auth");
+const { authorize } = require("./policy");
+const { createVersionedRouter, toBoolean } = require("./versioned_router");
+const { answerQuestion } = require("./ask_pipeline");
+const { RATINGS, recordFeedback } = require("./feedback");
+const { createTicket } = require("./tickets");
+const { limitAsk, limitStudent } = require("./rate_limit");
+const { EXPORT_FORMATS, renderSession, writeSessionsZip } = require("./session_export");
+const { starterQuestions } = require("./suggestions");
+const storage = require("./storage");
+
+const api = createVersionedRouter();
+
+// every ask/session route acts on the authenticated caller
+api.use(authenticate);
+
+// policy loader: the department whose provider logs are requested
+const providerFromParams = (req) => storage.accounts.get(req.params.providerEmail);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SESSION_NAME_LENGTH = 100;
+const SNIPPET_RADIUS = 80;
+const MAX_STARTER_QUESTIONS = 20;
+
+// Helper: Session as shown in listings
+function sessionListItem(data) {
+    return {
+        sessionId: data.sessionId,
+        sessionName: data.sessionName,
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt || data.createdAt,
+        pinned: !!data.pinned,
+        archived: !!data.archived,
+        messageCount: data.messages ? data.messages.length : 0
+    };
 }
 
-function getSessionFile(email, sessionId) {
-    const safeEmail = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-    return path.join(CHAT_DIR, `${safeEmail}__${sessionId}.json`);
+// Helper: Text around the first occurrence of term
+function searchSnippet(text, term) {
+    const clean = String(text || "").replace(/\s+/g, " ");
+    const at = Math.max(0, clean.toLowerCase().indexOf(term));
+    const start = Math.max(0, at - SNIPPET_RADIUS);
+    const end = Math.min(clean.length, at + term.length + SNIPPET_RADIUS);
+    return (start > 0 ? "..." : "") + clean.slice(start, end) + (end < clean.length ? "..." : "");
 }
 
-function generateSessionName(question) {
-    if (!question || typeof question !== "string") return "New Session";
-    const words = question.trim().split(/\s+/);
-    return words.length <= 10 ? question.trim() : words.slice(0, 10).join(" ") + "...";
+// Middleware: reject asks without a question before they use up the student's rate limit or the quota
+function requireQuestion(req, res, next) {
+    const { question } = req.body;
+    if (typeof question !== "string" || !question.trim()) {
+        return res.status(400).json({ error: "question required" });
+    }
+    next();
 }
 
-// Append message to session file (async)
-async function appendMessageToSessionFile(email, sessionId, messageObj) {
-    const file = getSessionFile(email, sessionId);
+// ---------------- POST /ask ----------------
+// body: { question, sessionId?, language? } - language (e.g. "hi") overrides the detected answer language
+// Rate limited per student and per university (429 + Retry-After), see rate_limit.js
+api.post("/ask", { legacy: true }, authorize("student:self"), requireQuestion, limitAsk, async (req, res) => {
     try {
-        let session = JSON.parse(await fs.readFile(file, "utf8"));
-        session.messages = session.messages || [];
-        session.messages.push(messageObj);
-        session.updatedAt = new Date().toISOString();
-        await fs.writeFile(file, JSON.stringify(session, null, 2));
+        const { email } = req.user;
+        const { question, sessionId, language } = req.body;
+
+        const student = await storage.students.get(email);
+        if (!student) return res.status(404).json({ error: "Student not found" });
+
+        const result = await answerQuestion({ email, student, question, sessionId, language });
+        res.json(result);
     } catch (err) {
-        // if session file missing, create one
-        const sessionData = {
-            sessionId,
-            sessionName: generateSessionName(messageObj.question || ""),
-            email,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-            messages: [messageObj]
-        };
-        await fs.writeFile(file, JSON.stringify(sessionData, null, 2));
+        console.error("ASK endpoint error:", err);
+        if (!res.headersSent) {
+            return res.status(500).json({ error: "Internal Server Error" });
+        }
     }
-}
+});
 
-// Create session file (called synchronously before responding if new)
-async function createSessionFile(email, sessionId, sessionName) {
-    const file = getSessionFile(email, sessionId);
-    const sessionData = {
-        sessionId,
-        sessionName,
-        email,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        messages: []
-    };
-    await fs.writeFile(file, JSON.stringify(sessionData, null, 2));
-}
+// ---------------- POST /ask/stream (Server-Sent Events) ----------------
+// Same pipeline as /ask, emitting each step as it completes:
+// session, language, rewrite (follow-ups), classification, partial (answers that passed the guardrails and
+// the confidence threshold, in the answer language) / citations / low_confidence / store_failed per store,
+// blocked (guardrails), suggestions, then answer (the /ask body).
+api.post("/ask/stream", authorize("student:self"), requireQuestion, limitAsk, async (req, res) => {
+    const { email } = req.user;
+    const { question, sessionId, language } = req.body;
 
-// Provider logs (store which provider/store was asked + question + answer + timestamp)
-async function appendProviderLog(providerEmail, logDoc) {
+    let student;
     try {
-        const safe = providerEmail.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(PROVIDER_LOGS_DIR, `${safe}.json`);
-        let arr = [];
-        try {
-            arr = JSON.parse(await fs.readFile(file, "utf8"));
-            if (!Array.isArray(arr)) arr = [];
-        } catch {
-            arr = [];
-        }
-        arr.push(logDoc);
-        await fs.writeFile(file, JSON.stringify(arr, null, 2));
+        student = await storage.students.get(email);
     } catch (err) {
-        console.error("appendProviderLog error:", err);
+        console.error("ASK stream error:", err);
+        return res.status(500).json({ error: "Internal Server Error" });
     }
-}
+    if (!student) return res.status(404).json({ error: "Student not found" });
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    // The pipeline keeps running (and persisting) if the client goes away
+    const send = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-// ---------------- GEMINI CLASSIFIER (improved system prompt) ----------------
-async function classifyStores(geminiKey, stores, question) {
     try {
-        if (!geminiKey) {
-            // fallback: return all stores with no splitting
-            return { stores: stores, split_questions: {}, unanswered: [] };
-        }
+        const result = await answerQuestion({ email, student, question, sessionId, language }, send);
+        send("answer", result);
+    } catch (err) {
+        console.error("ASK stream error:", err);
+        send("error", { error: "Internal Server Error" });
+    }
+    res.end();
+});
 
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-        // TIGHT system prompt — explicit JSON only, deterministic, temperature 0
-        const SYSTEM_PROMPT = `
-You are a strict classifier and splitter. INPUT:
-- stores list (names only): ${JSON.stringify(stores)}
-- user's question (provided as the user content)
-
-TASK:
-1) Decide which of the stores from the list can answer whole or parts of the user's question.
-2) If some part belongs to a store, rewrite that part clearly and put it in split_questions under that store name.
-3) If a part belongs to multiple stores, include it under all relevant store keys.
-4) If a part cannot be answered by any store, include that part in "unanswered" with a short "reason".
-
-OUTPUT REQUIREMENTS (must output only valid JSON, nothing else):
-{
-  "stores": ["store1","store2"],               // exact store names from the provided list (or empty array)
-  "split_questions": {                         // mapping store -> rewritten question part
-     "store1": "rewritten part for store1",
-     "store2": "rewritten part for store2"
-  },
-  "unanswered": [                              // list of {text, reason}
-     { "text": "original part text", "reason": "why no store can answer" }
-  ]
-}
+// ---------------- GET /starter-questions ----------------
+// Questions to start with, per department the student can ask: from each department's
+// FAQ uploads, then its most frequently asked questions. Optional ?limit= per department (default 5).
+api.get("/starter-questions", authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const limit = Math.min(MAX_STARTER_QUESTIONS, Math.max(1, parseInt(req.query.limit, 10) || 5));
 
-If NO store can answer, return:
-{
-  "stores": [],
-  "split_questions": {},
-  "unanswered": [{ "text": "<full question>", "reason": "No department can answer this" }]
-}
+        const student = await storage.students.get(email);
+        if (!student) return res.status(404).json({ error: "Student not found" });
 
-Do NOT return any extra text, commentary, or explanation. Return valid JSON only.
-`.trim();
+        const departments = [];
+        for (const store of student.accessibleStores || []) {
+            const account = store.accountEmail ? await storage.accounts.get(store.accountEmail) : null;
+            if (!account || account.isActive === false) continue;
 
-        const result = await model.generateContent({
-            contents: question,
-            system_instruction: SYSTEM_PROMPT,
-            generationConfig: { temperature: 0.0 }
-        });
-
-        // extract text safely
-        const txt = result.response?.text?.() || (result.candidates && result.candidates[0] && result.candidates[0].text) || "";
-        if (!txt) return { stores: [], split_questions: {}, unanswered: [] };
-
-        // Parse JSON — try direct parse, otherwise extract substring
-        const raw = txt.trim();
-        try {
-            return JSON.parse(raw);
-        } catch (e) {
-            const start = raw.indexOf("{");
-            const end = raw.lastIndexOf("}");
-            if (start !== -1 && end !== -1) {
-                try {
-                    return JSON.parse(raw.slice(start, end + 1));
-                } catch (e2) {
-                    console.warn("classifyStores: JSON parse failed after substring");
-                }
-            }
+            departments.push({
+                accountEmail: account.accountEmail,
+                department: account.accountName || account.accountEmail,
+                storeName: store.storeName,
+                questions: await starterQuestions(account.accountEmail, limit)
+            });
         }
 
-        // if parse fails, fallback: treat all stores as selected without splitting
-        return { stores: stores, split_questions: {}, unanswered: [] };
+        res.json({ departments });
     } catch (err) {
-        console.error("classifyStores error:", err);
-        return { stores: stores, split_questions: {}, unanswered: [] };
+        console.error("Starter questions error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
-}
+});
 
-// ---------------- GET /ask ----------------
-router.get("/ask", async (req, res) => {
+// ---------------- POST /ask/escalate ----------------
+// One-step ticket from an unanswered question, usually the `escalation` offer of an /ask answer:
+// body: { question, sessionId?, accountEmail?, details? }
+// Without accountEmail the ticket goes to the university's fallback department.
+// Rate limited per student like /ask (without using the university's quota)
+api.post("/ask/escalate", authorize("student:self"), requireQuestion, limitStudent, async (req, res) => {
     try {
-        const { email, question, sessionId } = req.query;
+        const { email } = req.user;
+        const { question, sessionId, details } = req.body;
 
-        if (!email || !question) {
-            return res.status(400).json({ error: "email & question required" });
+        for (const field of ["sessionId", "accountEmail", "details"]) {
+            if (req.body[field] !== undefined && req.body[field] !== null && typeof req.body[field] !== "string") {
+                return res.status(400).json({ error: `${field} must be a string` });
+            }
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) return res.status(404).json({ error: "Student not found" });
 
-        const accessible = student.accessibleStores || [];
-        const storeNames = accessible.map(s => s.storeName);
+        const university = await storage.universities.get(student.universityEmail);
+        const accountEmail = req.body.accountEmail || university?.escalationAccountEmail;
+        if (!accountEmail) {
+            return res.status(400).json({ error: "accountEmail required: no fallback department is configured" });
+        }
 
-        if (storeNames.length === 0) {
-            // no stores — quick response (nothing to log)
-            return res.json({
-                sessionId: null,
-                answer: "No RAG stores available for your account.",
-                storesUsed: [],
-                grounding: []
-            });
+        const account = await storage.accounts.get(accountEmail);
+        if (!account) {
+            return res.status(404).json({ error: "Department account not found" });
+        }
+        if (account.universityEmail !== student.universityEmail) {
+            return res.status(403).json({ error: "This department does not belong to your university" });
         }
 
-        // get university key (use university-provided key)
-        const university = await readUniversity(student.universityEmail).catch(() => null);
-        const geminiKey = university?.apiKeyInfo?.key || null;
+        const ticket = await createTicket({
+            studentEmail: email,
+            accountEmail,
+            universityEmail: student.universityEmail,
+            problem: details ? `${question}\n\n${details}` : question,
+            source: "ask",
+            question,
+            sessionId: sessionId || null
+        });
 
-        // if new session create id + name synchronously (we will persist file async AFTER sending response)
-        let isNewSession = false;
-        let currentSessionId = sessionId;
-        if (!currentSessionId) {
-            isNewSession = true;
-            currentSessionId = "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
-        }
-        const sessionName = isNewSession ? generateSessionName(question) : undefined;
-
-        // 1) classify (Gemini) — blocking call (we need store selection before asking RAG)
-        const classification = await classifyStores(geminiKey, storeNames, question);
-        const predictedStores = classification.stores || [];
-        const splitQuestions = classification.split_questions || {};
-        const unanswered = classification.unanswered || [];
-
-        // If Gemini explicitly says no store
-        if (!predictedStores || predictedStores.length === 0) {
-            // Prepare immediate response
-            const answerText = "Sorry, none of the departments can answer this.";
-
-            // Respond quickly
-            res.json({
-                sessionId: currentSessionId,
-                answer: answerText,
-                storesUsed: [],
-                unanswered
-            });
+        res.status(201).json({
+            message: "Ticket created successfully",
+            ticket
+        });
+    } catch (err) {
+        console.error("Escalate error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+// ------------------------- GET ALL SESSIONS (sessionId + sessionName) -------------------------
+// Pinned sessions first, then most recently active. Query filters:
+//   archived  false (default) | true | all
+//   pinned    true | false
+//   q         text contained in the session name
+//   from, to  ISO dates on the last activity (updatedAt)
+//   page, pageSize (default 1 / 20, pageSize at most 100)
+api.get("/sessions", { legacy: "/sessions/:email" }, authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { archived = "false", pinned, q, from, to } = req.query;
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
 
-            // Fire-and-forget: record session + message asynchronously
-            (async () => {
-                try {
-                    // create session file if new
-                    if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
-
-                    const messageObj = {
-                        role: "assistant",
-                        question,
-                        answer: answerText,
-                        storesUsed: [],
-                        grounding: [],
-                        timestamp: new Date().toISOString(),
-                        unresolvedParts: unanswered
-                    };
-                    await appendMessageToSessionFile(email, currentSessionId, messageObj);
-                } catch (err) {
-                    console.error("background log error (no stores):", err);
-                }
-            })();
-
-            return; // done
+        if (!["true", "false", "all"].includes(String(archived))) {
+            return res.status(400).json({ error: "archived must be true, false or all" });
+        }
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: "from and to must be valid dates" });
         }
 
-        // 2) For each predicted store -> call RAG (we must wait for RAG answers before responding)
-        const ragResults = [];
-        const allGrounding = [];
-
-        for (const store of predictedStores) {
-            const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : question;
-            // Use the university gemini key as RAG API key as required by your system
-            // RAGService.askQuestion(apiKey, storesArray, question)
-            const ragResp = await RAGService.askQuestion(geminiKey, [store], qForStore);
-
-            if (!ragResp || !ragResp.success || !ragResp.data) {
-                // RAG failed or empty for this store -> immediate minimal response and async log
-                const dept = accessible.find(x => x.storeName === store);
-                const answerText = "Sorry we didn't find any information related to this.";
-
-                // Respond quickly
-                res.json({
-                    sessionId: currentSessionId,
-                    answer: answerText,
-                    searchedIn: dept?.accountEmail || null
-                });
+        let sessions = (await storage.sessions.listByStudent(email)).map(sessionListItem);
 
-                // Fire-and-forget: log what we attempted
-                (async () => {
-                    try {
-                        if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
-
-                        const messageObj = {
-                            role: "assistant",
-                            question,
-                            answer: answerText,
-                            storesUsed: [store],
-                            grounding: [],
-                            timestamp: new Date().toISOString(),
-                            searchedIn: dept?.accountEmail || null
-                        };
-                        await appendMessageToSessionFile(email, currentSessionId, messageObj);
-
-                        // provider log
-                        if (dept?.accountEmail) {
-                            await appendProviderLog(dept.accountEmail, {
-                                provider_email: dept.accountEmail,
-                                user_email: email,
-                                store_name: store,
-                                question: qForStore,
-                                response: null,
-                                asked_at: new Date().toISOString()
-                            });
-                        }
-                    } catch (err) {
-                        console.error("background log error (rag failed):", err);
-                    }
-                })();
-
-                return; // done
-            }
+        if (archived !== "all") sessions = sessions.filter(s => s.archived === toBoolean(archived));
+        if (pinned !== undefined) sessions = sessions.filter(s => s.pinned === toBoolean(pinned));
+        if (q) sessions = sessions.filter(s => (s.sessionName || "").toLowerCase().includes(String(q).toLowerCase()));
+        if (from) sessions = sessions.filter(s => new Date(s.updatedAt) >= new Date(from));
+        if (to) sessions = sessions.filter(s => new Date(s.updatedAt) <= new Date(to));
 
-            // successful rag result expected shape in ragResp.data
-            const answerText = ragResp.data.response_text || "";
-            const groundingChunks = ragResp.data.grounding_metadata?.groundingChunks || [];
-            ragResults.push({ store, answerText, groundingChunks });
+        // pinned first, then newest first
+        sessions.sort((a, b) => (b.pinned - a.pinned) || (new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)));
 
-            // collect grounding texts for return and storage
-            for (const chunk of groundingChunks || []) {
-                const ctx = chunk.retrievedContext || {};
-                if (ctx.text) allGrounding.push(ctx.text);
-            }
+        res.json({
+            sessions: sessions.slice((page - 1) * pageSize, page * pageSize),
+            page,
+            pageSize,
+            total: sessions.length,
+            totalPages: Math.ceil(sessions.length / pageSize)
+        });
+    } catch (err) {
+        console.error("sessions list err:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+// ----------------------- SEARCH SESSION MESSAGES -----------------------
+// Full-text search over the caller's own sessions: every word of q must appear in
+// the session name, a question or an answer. Newest matches first, at most `limit` (default 20).
+// (registered before /sessions/:sessionId so "search" is not taken as an id)
+api.get("/sessions/search", authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { q } = req.query;
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+        const terms = String(q || "").toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return res.status(400).json({ error: "q required" });
         }
 
-        // 3) Merge results (if multiple)
-        let finalAnswer;
-        if (ragResults.length === 1) {
-            finalAnswer = ragResults[0].answerText;
-        } else {
-            finalAnswer = ragResults.map(r => `**${r.store}**:\n${r.answerText}`).join("\n\n");
+        const matches = [];
+        for (const session of await storage.sessions.listByStudent(email)) {
+            (session.messages || []).forEach((message, messageIndex) => {
+                const text = [session.sessionName, message.question, message.standaloneQuestion, message.answer]
+                    .filter(Boolean).join("\n");
+                if (!terms.every(term => text.toLowerCase().includes(term))) return;
+
+                matches.push({
+                    sessionId: session.sessionId,
+                    sessionName: session.sessionName,
+                    archived: !!session.archived,
+                    messageIndex,
+                    question: message.question,
+                    snippet: searchSnippet(message.answer || message.question, terms[0]),
+                    timestamp: message.timestamp
+                });
+            });
         }
 
-        // 4) Respond IMMEDIATELY with the final answer
+        matches.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+
         res.json({
-            sessionId: currentSessionId,
-            answer: finalAnswer,
-            storesUsed: predictedStores,
-            grounding: allGrounding
+            q,
+            total: matches.length,
+            results: matches.slice(0, limit)
         });
+    } catch (err) {
+        console.error("Search sessions error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
 
-        // 5) FIRE-AND-FORGET: persist session + messages + provider logs asynchronously
-        (async () => {
-            try {
-                // create session if new
-                if (isNewSession) await createSessionFile(email, currentSessionId, sessionName);
-
-                // Save assistant message
-                const messageObj = {
-                    role: "assistant",
-                    question,
-                    answer: finalAnswer,
-                    storesUsed: predictedStores,
-                    grounding: allGrounding,
-                    timestamp: new Date().toISOString()
-                };
-                await appendMessageToSessionFile(email, currentSessionId, messageObj);
-
-                // Save provider-specific logs for each store: include which department email owns store
-                for (const r of ragResults) {
-                    const store = r.store;
-                    const dept = accessible.find(x => x.storeName === store);
-                    const providerEmail = dept?.accountEmail || null;
-                    const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : question;
-
-                    await appendProviderLog(providerEmail || "unknown", {
-                        provider_email: providerEmail,
-                        user_email: email,
-                        store_name: store,
-                        question: qForStore,
-                        response: r.answerText,
-                        grounding: r.groundingChunks || [],
-                        asked_at: new Date().toISOString()
-                    });
-                }
-            } catch (err) {
-                console.error("background persistence error:", err);
-            }
-        })();
+// ----------------------- GET STUDENT SESSION SUMMARY -----------------------
+// (registered before /sessions/:sessionId so "summary" is not taken as an id)
+api.get("/sessions/summary", { legacy: "/session/summary/:email" }, authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { limit } = req.query;
+        const sessions = (await storage.sessions.listByStudent(email)).map(data => ({
+            sessionId: data.sessionId,
+            sessionName: data.sessionName,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt || data.createdAt,
+            messageCount: data.messages ? data.messages.length : 0
+        }));
 
-    } catch (err) {
-        console.error("ASK endpoint error:", err);
-        // If we haven't sent a response yet, return error now
-        if (!res.headersSent) {
-            return res.status(500).json({ error: "Internal Server Error" });
+        // sort newest first
+        sessions.sort((a,b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+        // Apply limit if provided
+        let finalSessions = sessions;
+        if (limit && !isNaN(parseInt(limit))) {
+            finalSessions = sessions.slice(0, parseInt(limit));
         }
-        // otherwise just log
+
+        res.json({
+            email,
+            totalSessions: sessions.length,
+            sessions: finalSessions
+        });
+    } catch (err) {
+        console.error("Get session summary error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ------------------------- GET ALL SESSIONS (sessionId + sessionName) -------------------------
-router.get("/sessions/:email", async (req, res) => {
+// ----------------------- EXPORT ALL SESSIONS (zip) -----------------------
+// ?format=markdown (default) | html | json, one file per session
+// (registered before /sessions/:sessionId so "export" is not taken as an id)
+api.get("/sessions/export", authorize("student:self"), async (req, res) => {
     try {
-        const { email } = req.params;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        const sessions = [];
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    const data = JSON.parse(await fs.readFile(path.join(CHAT_DIR, file), "utf8"));
-                    sessions.push({ sessionId: data.sessionId, sessionName: data.sessionName, createdAt: data.createdAt });
-                } catch { /* skip invalid */ }
-            }
+        const { email } = req.user;
+        const format = String(req.query.format || "markdown").toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
         }
-        // sort newest first
-        sessions.sort((a,b) => (b.createdAt || 0) - (a.createdAt || 0));
-        res.json({ sessions });
+
+        const sessions = await storage.sessions.listByStudent(email);
+        if (sessions.length === 0) return res.status(404).json({ error: "No sessions to export" });
+
+        res.attachment(`sessions-${new Date().toISOString().slice(0, 10)}.zip`);
+        await writeSessionsZip(sessions, format, res);
     } catch (err) {
-        console.error("sessions list err:", err);
+        console.error("Export sessions error:", err);
+        if (res.headersSent) return res.destroy(err);
         res.status(500).json({ error: "Internal server error" });
     }
 });
 
 // ----------------------- GET SPECIFIC SESSION (full structured data) -----------------------
-router.get("/session/:email/:sessionId", async (req, res) => {
+api.get("/sessions/:sessionId", { legacy: "/session/:email/:sessionId" }, authorize("student:self"), async (req, res) => {
     try {
-        const { email, sessionId } = req.params;
-        const file = getSessionFile(email, sessionId);
-        const data = JSON.parse(await fs.readFile(file, "utf8"));
+        const { email } = req.user;
+        const { sessionId } = req.params;
+        const data = await storage.sessions.get(email, sessionId);
+        if (!data) return res.status(404).json({ error: "Session not found" });
         res.json(data);
     } catch (err) {
-        res.status(404).json({ error: "Session not found" });
+        console.error("Get session error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- DELETE SESSION (GET) -----------------------
-router.get("/session/delete/:email/:sessionId", async (req, res) => {
+// ----------------------- EXPORT ONE SESSION -----------------------
+// ?format=markdown (default) | html (printable, save as PDF from the browser) | json
+api.get("/sessions/:sessionId/export", authorize("student:self"), async (req, res) => {
     try {
-        const { email, sessionId } = req.params;
-        const file = getSessionFile(email, sessionId);
+        const { email } = req.user;
+        const { sessionId } = req.params;
+        const format = String(req.query.format || "markdown").toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+        }
 
-        // Check if file exists
-        await fs.access(file);
+        const session = await storage.sessions.get(email, sessionId);
+        if (!session) return res.status(404).json({ error: "Session not found" });
 
-        // Delete the session file
-        await fs.unlink(file);
+        const { body, contentType, filename } = await renderSession(session, format);
+        // html opens in the browser for printing, the other formats download
+        if (format === "html") res.set("Content-Disposition", `inline; filename="${filename}"`);
+        else res.attachment(filename);
+        res.type(contentType).send(body);
+    } catch (err) {
+        console.error("Export session error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+// ----------------------- RENAME / PIN / ARCHIVE SESSION -----------------------
+// body: any of { sessionName, pinned, archived }
+api.patch("/sessions/:sessionId", authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { sessionId } = req.params;
+        const { sessionName, pinned, archived } = req.body;
+        const now = new Date().toISOString();
+        const fields = {};
+
+        if (sessionName !== undefined) {
+            const name = String(sessionName).trim();
+            if (!name || name.length > MAX_SESSION_NAME_LENGTH) {
+                return res.status(400).json({ error: `sessionName must be 1-${MAX_SESSION_NAME_LENGTH} characters` });
+            }
+            fields.sessionName = name;
+        }
+        if (pinned !== undefined) {
+            fields.pinned = toBoolean(pinned);
+            fields.pinnedAt = fields.pinned ? now : null;
+        }
+        if (archived !== undefined) {
+            fields.archived = toBoolean(archived);
+            fields.archivedAt = fields.archived ? now : null;
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: "Nothing to update: send sessionName, pinned or archived" });
+        }
+
+        const session = await storage.sessions.update(email, sessionId, fields);
+        if (!session) return res.status(404).json({ error: "Session not found" });
 
         res.json({
-            message: "Session deleted successfully",
-            email,
-            sessionId
+            message: "Session updated successfully",
+            session: sessionListItem(session)
         });
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            res.status(404).json({ error: "Session not found" });
-        } else {
-            console.error("Delete session error:", err);
-            res.status(500).json({ error: "Internal server error" });
-        }
+        console.error("Update session error:", err);
+        res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- DELETE ALL SESSIONS FOR USER (GET) -----------------------
-router.get("/sessions/delete/all/:email", async (req, res) => {
+// ----------------------- FEEDBACK ON AN ANSWER -----------------------
+// body: { rating: "up" | "down", comment? } - messageIndex is the message's position in the session
+api.post("/sessions/:sessionId/messages/:messageIndex/feedback", authorize("student:self"), async (req, res) => {
     try {
-        const { email } = req.params;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        let deletedCount = 0;
-
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    await fs.unlink(path.join(CHAT_DIR, file));
-                    deletedCount++;
-                } catch { /* skip errors */ }
-            }
+        const { email, universityEmail } = req.user;
+        const { sessionId } = req.params;
+        const messageIndex = Number(req.params.messageIndex);
+        const { rating, comment } = req.body;
+
+        if (!Number.isInteger(messageIndex) || messageIndex < 0) {
+            return res.status(400).json({ error: "messageIndex must be a non-negative integer" });
+        }
+        if (!RATINGS.includes(rating)) {
+            return res.status(400).json({ error: `rating must be one of: ${RATINGS.join(", ")}` });
+        }
+        if (comment !== undefined && comment !== null && typeof comment !== "string") {
+            return res.status(400).json({ error: "comment must be a string" });
         }
 
+        const result = await recordFeedback({ email, universityEmail, sessionId, messageIndex, rating, comment });
+        if (!result) return res.status(404).json({ error: "Message not found" });
+
         res.json({
-            message: `Deleted ${deletedCount} sessions for user`,
-            email,
-            deletedCount
+            message: "Feedback recorded",
+            sessionId,
+            messageIndex,
+            feedback: result.feedback
         });
     } catch (err) {
-        console.error("Delete all sessions error:", err);
+        console.error("Feedback error:", err);
         res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- GET PROVIDER LOGS (GET) -----------------------
-router.get("/provider/logs/:providerEmail", async (req, res) => {
+// ----------------------- DELETE SESSION -----------------------
+api.delete("/sessions/:sessionId", { legacy: "/session/delete/:email/:sessionId" }, authorize("student:self"), async (req, res) => {
     try {
-        const { providerEmail } = req.params;
-        const { limit } = req.query;
-        const safeEmail = providerEmail.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const file = path.join(PROVIDER_LOGS_DIR, `${safeEmail}.json`);
-
-        try {
-            const data = JSON.parse(await fs.readFile(file, "utf8"));
-            let logs = data;
+        const { email } = req.user;
+        const { sessionId } = req.params;
+        const removed = await storage.sessions.remove(email, sessionId);
+        if (!removed) return res.status(404).json({ error: "Session not found" });
 
-            // Sort by most recent first
-            logs.sort((a, b) => new Date(b.asked_at) - new Date(a.asked_at));
+        res.json({
+            message: "Session deleted successfully",
+            email,
+            sessionId
+        });
+    } catch (err) {
+        console.error("Delete session error:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
 
-            // Apply limit if provided
-            if (limit && !isNaN(parseInt(limit))) {
-                logs = logs.slice(0, parseInt(limit));
-            }
+// ----------------------- DELETE ALL SESSIONS FOR USER -----------------------
+api.delete("/sessions", { legacy: "/sessions/delete/all/:email" }, authorize("student:self"), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const deletedCount = await storage.sessions.removeAllForStudent(email);
 
-            res.json({
-                providerEmail,
-                totalLogs: data.length,
-                logs: logs
-            });
-        } catch (err) {
-            // File doesn't exist or is empty
-            res.json({
-                providerEmail,
-                totalLogs: 0,
-                logs: []
-            });
-        }
+        res.json({
+            message: `Deleted ${deletedCount} sessions for user`,
+            email,
+            deletedCount
+        });
     } catch (err) {
-        console.error("Get provider logs error:", err);
+        console.error("Delete all sessions error:", err);
         res.status(500).json({ error: "Internal server error" });
     }
 });
 
-// ----------------------- GET STUDENT SESSION SUMMARY (GET) -----------------------
-router.get("/session/summary/:email", async (req, res) => {
+// ----------------------- GET PROVIDER LOGS -----------------------
+api.get("/provider/logs/:providerEmail", { legacy: true }, authorize("providerLogs:read", providerFromParams), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { providerEmail } = req.params;
         const { limit } = req.query;
-        const safePrefix = email.replace(/[^a-zA-Z0-9@._-]/g, "_");
-        const files = await fs.readdir(CHAT_DIR);
-        const sessions = [];
-
-        for (const file of files) {
-            if (file.startsWith(safePrefix + "__")) {
-                try {
-                    const data = JSON.parse(await fs.readFile(path.join(CHAT_DIR, file), "utf8"));
-                    const messageCount = data.messages ? data.messages.length : 0;
-                    const lastUpdated = data.updatedAt || data.createdAt;
-
-                    sessions.push({
-                        sessionId: data.sessionId,
-                        sessionName: data.sessionName,
-                        createdAt: data.createdAt,
-                        updatedAt: lastUpdated,
-                        messageCount: messageCount
-                    });
-                } catch { /* skip invalid */ }
-            }
-        }
+        const data = await storage.providerLogs.list(providerEmail);
+        let logs = data;
 
-        // sort newest first
-        sessions.sort((a,b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        // Sort by most recent first
+        logs.sort((a, b) => new Date(b.asked_at) - new Date(a.asked_at));
 
         // Apply limit if provided
-        let finalSessions = sessions;
         if (limit && !isNaN(parseInt(limit))) {
-            finalSessions = sessions.slice(0, parseInt(limit));
+            logs = logs.slice(0, parseInt(limit));
         }
 
         res.json({
-            email,
-            totalSessions: sessions.length,
-            sessions: finalSessions
+            providerEmail,
+            totalLogs: data.length,
+            logs: logs
         });
     } catch (err) {
-        console.error("Get session summary error:", err);
+        console.error("Get provider logs error:", err);
         res.status(500).json({ error: "Internal server error" });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = { v1: api.v1, v2: api.v2 };
\ No newline at end of file
@@ -0,0 +1,690 @@
+const RAGService = require("./rag");
+const storage = require("./storage");
+const { buildCitations } = require("./citations");
+const { providerForUniversity } = require("./llm");
+const { routeByKeywords } = require("./keyword_router");
+const answerCache = require("./answer_cache");
+const { suggestFollowUps } = require("./suggestions");
+const { languageSettingsFor, resolveLanguage, languageName } = require("./language");
+const { routingCertainty, scoreStoreAnswer, replyConfidence, isBelowThreshold, confidenceThresholdFor } = require("./confidence");
+const { guardrailsFor, checkQuestion, checkAnswer, loggableText, refusalFor, recordBlocked } = require("./guardrails");
+
+/**
+ * ASK PIPELINE
+ *
+ * answerQuestion() runs one student question end to end: classify it against
+ * the student's stores, ask each selected store, merge the answers, and
+ * persist the session message and provider logs in the background.
+ */
+
+// Conversation memory: the last turns of a session, used to rewrite a follow-up
+// like "what about the fee for that?" into a standalone question
+const HISTORY_MAX_MESSAGES = parseInt(process.env.ASK_HISTORY_MESSAGES, 10) || 6;
+const HISTORY_MAX_TOKENS = parseInt(process.env.ASK_HISTORY_TOKENS, 10) || 1500;
+// Each store is asked with its own timeout
+const STORE_TIMEOUT_MS = parseInt(process.env.ASK_STORE_TIMEOUT_MS, 10) || 20000;
+const DONT_KNOW_ANSWER = "I don't know: the university's documents don't answer this clearly enough. You can ask the department directly by raising a ticket.";
+
+// -------------------- helpers --------------------
+function generateSessionName(question) {
+    if (!question || typeof question !== "string") return "New Session";
+    const words = question.trim().split(/\s+/);
+    return words.length <= 10 ? question.trim() : words.slice(0, 10).join(" ") + "...";
+}
+
+// Append a message to a session, creating the session on its first message.
+// Returns the message index (the key students send feedback on)
+async function appendSessionMessage(email, sessionId, messageObj) {
+    const session = await storage.sessions.appendMessage(email, sessionId, messageObj, {
+        sessionName: generateSessionName(messageObj.question || "")
+    });
+    return session.messages.length - 1;
+}
+
+// Provider logs (store which provider/store was asked + question + answer + timestamp).
+// Questions are PII-redacted before they get here, see loggableText()
+async function appendProviderLog(providerEmail, logDoc) {
+    try {
+        await storage.providerLogs.append(providerEmail, logDoc);
+    } catch (err) {
+        console.error("appendProviderLog error:", err);
+    }
+}
+
+// Rough token count (~4 characters per token), good enough for budgeting prompts
+function estimateTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+}
+
+// Most recent question/answer turns of a session, oldest first, within the history budget
+async function loadHistory(email, sessionId) {
+    const session = await storage.sessions.get(email, sessionId).catch(() => null);
+    const messages = (session?.messages || []).filter(m => m.question);
+
+    const turns = [];
+    let tokens = 0;
+    for (const m of messages.slice(-HISTORY_MAX_MESSAGES).reverse()) {
+        // in English, like the question being rewritten
+        const turn = { question: m.standaloneQuestion || m.englishQuestion || m.question, answer: m.englishAnswer || m.answer || "" };
+        const cost = estimateTokens(turn.question) + estimateTokens(turn.answer);
+        if (tokens + cost > HISTORY_MAX_TOKENS) break;
+        tokens += cost;
+        turns.unshift(turn);
+    }
+    return turns;
+}
+
+// ---------------- FOLLOW-UP REWRITER ----------------
+async function rewriteFollowUp(llm, history, question) {
+    try {
+        if (!llm || history.length === 0) return question;
+        return await llm.rewrite(history, question);
+    } catch (err) {
+        console.error("rewriteFollowUp error:", err);
+        return question;
+    }
+}
+
+// ---------------- STORE CLASSIFIER ----------------
+// stores: [{ storeName, department, description, documentTitles }]
+// The result carries `routing`: { strategy: "classifier" | "keyword" | "all", provider?, fallbackReason?, scores? }:
+// the LLM provider, or when it is unavailable or fails, BM25 over the departments'
+// metadata (see keyword_router.js), and all stores when no keyword matched
+async function classifyStores(llm, stores, question) {
+    let fallbackReason = "no_provider";
+    try {
+        if (llm) {
+            const parsed = await llm.classify(stores, question);
+            if (parsed) return { ...parsed, routing: { strategy: "classifier", provider: llm.name } };
+            console.warn(`classifyStores: ${llm.name} reply is not valid JSON`);
+            fallbackReason = "invalid_reply";
+        }
+    } catch (err) {
+        console.error("classifyStores error:", err);
+        fallbackReason = "provider_error";
+    }
+
+    // fallback: keyword routing over local metadata, all stores when nothing matches
+    const keyword = routeByKeywords(stores, question);
+    if (keyword.stores.length > 0) {
+        return {
+            stores: keyword.stores,
+            split_questions: {},
+            unanswered: [],
+            routing: { strategy: "keyword", fallbackReason, scores: keyword.scores }
+        };
+    }
+    return {
+        stores: stores.map(s => s.storeName),
+        split_questions: {},
+        unanswered: [],
+        routing: { strategy: "all", fallbackReason }
+    };
+}
+
+// Routing metadata of the stores a student can ask: department name, account
+// description and uploaded file titles (used by the keyword router)
+async function describeStores(accessible) {
+    return Promise.all(accessible.map(async (s) => {
+        const account = s.accountEmail ? await storage.accounts.get(s.accountEmail).catch(() => null) : null;
+        const uploads = account ? await storage.uploads.get(s.accountEmail).catch(() => ({})) : {};
+        return {
+            storeName: s.storeName,
+            department: account?.accountName || s.storeName,
+            description: account?.description || "",
+            documentTitles: ["notice", "faq", "impData"].flatMap(c => (uploads[c] || []).map(f => f.filename))
+        };
+    }));
+}
+
+// Ask one store, giving up after STORE_TIMEOUT_MS.
+// Resolves to { status: "ok" | "failed" | "timeout", latencyMs, answerText, groundingChunks, error }
+async function askStore(geminiKey, store, question) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve({ timedOut: true }), STORE_TIMEOUT_MS);
+    });
+
+    try {
+        // Use the university gemini key as RAG API key as required by your system
+        const ragResp = await Promise.race([RAGService.askQuestion(geminiKey, [store], question), timeout]);
+        const latencyMs = Date.now() - started;
+
+        if (ragResp?.timedOut) {
+            return { status: "timeout", latencyMs, error: `No answer within ${STORE_TIMEOUT_MS} ms` };
+        }
+        if (!ragResp || !ragResp.success || !ragResp.data) {
+            return { status: "failed", latencyMs, error: ragResp?.error || "Empty response" };
+        }
+
+        // successful rag result expected shape in ragResp.data
+        return {
+            status: "ok",
+            latencyMs,
+            answerText: ragResp.data.response_text || "",
+            groundingChunks: ragResp.data.grounding_metadata?.groundingChunks || []
+        };
+    } catch (err) {
+        return { status: "failed", latencyMs: Date.now() - started, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Grounding texts of a store answer, for returning and storing with the message
+function groundingTexts(groundingChunks) {
+    return (groundingChunks || [])
+        .map(chunk => chunk.retrievedContext?.text)
+        .filter(Boolean);
+}
+
+// ---------------- ANSWER SYNTHESIS ----------------
+// Merge several department answers into one response. Resolves to
+// { answer, contradictions } or null when synthesis is unavailable or fails.
+async function synthesizeAnswer(llm, question, results) {
+    try {
+        if (!llm) return null;
+        const answers = results.map(r => ({ department: r.department, answer: r.answerText }));
+        return await llm.synthesize(question, answers);
+    } catch (err) {
+        console.error("synthesizeAnswer error:", err);
+        return null;
+    }
+}
+
+// Persist an answer in the background: the session message first, then one
+// provider log per store asked. The logs carry the message's session_id and
+// message_index, so student feedback on it (see feedback.js) can be copied onto them
+function persistAnswer({ email, sessionId, messageObj, storeResults, askedAt, routing, guard, cached = false }) {
+    (async () => {
+        try {
+            const messageIndex = await appendSessionMessage(email, sessionId, messageObj);
+
+            for (const r of storeResults) {
+                // failed lookups are only logged for known departments
+                if (r.status !== "ok" && !r.accountEmail) continue;
+
+                await appendProviderLog(r.accountEmail || "unknown", {
+                    provider_email: r.accountEmail,
+                    user_email: email,
+                    store_name: r.store,
+                    question: loggableText(r.question, guard),
+                    response: r.status === "ok" ? r.answerText : null,
+                    ...(r.status === "ok" && { grounding: r.groundingChunks || [] }),
+                    status: r.status,
+                    ...(r.error && { error: r.error }),
+                    ...(r.confidence && { confidence: { ...r.confidence, below_threshold: Boolean(r.lowConfidence) } }),
+                    routing_strategy: routing.strategy,
+                    ...(cached && { cached: true }),
+                    latency_ms: r.latencyMs,
+                    asked_at: askedAt,
+                    session_id: sessionId,
+                    message_index: messageIndex
+                });
+            }
+        } catch (err) {
+            console.error("background persistence error:", err);
+        }
+    })();
+}
+
+// ---------------- TRANSLATION ----------------
+// Text rendered in another language by the LLM provider; null when unavailable or failed
+async function translateText(llm, text, code) {
+    try {
+        if (!llm || !text) return null;
+        return await llm.translate(text, languageName(code));
+    } catch (err) {
+        console.error("translateText error:", err);
+        return null;
+    }
+}
+
+// An (English) answer in the answer language: { answer, englishAnswer?, language }
+async function localizeAnswer(llm, answer, language) {
+    const translatedAnswer = language.code === "en" ? null : await translateText(llm, answer, language.code);
+    return {
+        answer: translatedAnswer || answer,
+        ...(translatedAnswer && { englishAnswer: answer }),
+        language: { ...language, translated: Boolean(translatedAnswer) }
+    };
+}
+
+// Up to three follow-up suggestions for an answer, from the answering departments'
+// FAQs, popular questions and grounding (see suggestions.js); never fails the answer itself
+async function followUps(asked, answer, results) {
+    try {
+        return await suggestFollowUps({ asked, answer, results });
+    } catch (err) {
+        console.error("suggestFollowUps error:", err);
+        return [];
+    }
+}
+
+// Human-readable department name (accountName) of a store's account
+async function departmentName(accountEmail) {
+    if (!accountEmail) return null;
+    const account = await storage.accounts.get(accountEmail).catch(() => null);
+    return account?.accountName || null;
+}
+
+// ---------------- ESCALATION OFFER ----------------
+// Pre-filled ticket the student can raise in one step (POST /ask/escalate) when
+// the question, or part of it, went unanswered: the best-guess department when
+// there is one, else the fallback department configured by the university admin
+async function escalationOffer(university, { question, sessionId, accountEmail, reason }) {
+    const target = accountEmail || university?.escalationAccountEmail || null;
+    if (!target) return null;
+
+    return {
+        accountEmail: target,
+        department: (await departmentName(target)) || target,
+        fallback: !accountEmail,
+        reason,
+        question,
+        sessionId
+    };
+}
+
+// Default emit of answerQuestion (nothing is streamed)
+function NO_EMIT() {}
+
+function newSessionId() {
+    return "session_" + Date.now() + "_" + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Answer a student's question
+ * @param {Object} params
+ * @param {string} params.email - Student email (from the access token)
+ * @param {Object} params.student - Student record
+ * @param {string} params.question - The question as typed
+ * @param {string} [params.sessionId] - Session to continue; a new one is started when omitted
+ * @param {string} [params.language] - Answer language requested by the student (code)
+ * @param {Function} [emit] - (event, data) => void, called as each step completes (streaming route):
+ *   session, language, cache, rewrite, classification, then per store partial + citations,
+ *   low_confidence or store_failed, and blocked / suggestions when they apply. A partial
+ *   only carries an answer that passed the guardrails and the confidence threshold,
+ *   in the answer language
+ * @returns {Promise<Object>} Response body (what /ask answers with)
+ */
+async function answerQuestion({ email, student, question, sessionId, language: requestedLanguage }, emit = NO_EMIT) {
+    const streaming = emit !== NO_EMIT;
+    const accessible = student.accessibleStores || [];
+    const storeNames = accessible.map(s => s.storeName);
+
+    // get university key (use university-provided key for the stores) and its LLM provider:
+    // rewriting, classification, synthesis and translation go through the provider
+    // (see llm/index.js), the stores are always asked through RAG with the Gemini key
+    const university = await storage.universities.get(student.universityEmail).catch(() => null);
+    // every reply carries a confidence; replies not built from store answers score 0
+    const threshold = confidenceThresholdFor(university);
+    const noConfidence = replyConfidence([], threshold);
+
+    if (storeNames.length === 0) {
+        // no stores — quick response (nothing to log)
+        return {
+            sessionId: null,
+            answer: "No RAG stores available for your account.",
+            storesUsed: [],
+            grounding: [],
+            confidence: noConfidence
+        };
+    }
+
+    const geminiKey = university?.apiKeyInfo?.key || null;
+    const llm = providerForUniversity(university);
+
+    // Language: route, retrieve and log with an English rendering (`englishQuestion`), answer
+    // in the student's language (`englishAnswer` keeps the original); citations and
+    // suggestions stay in the documents' language
+    const language = resolveLanguage(question, languageSettingsFor(university), requestedLanguage);
+
+    // Guardrails (see guardrails.js): a blocked question is answered with the university's
+    // refusal and reaches neither the stores nor the session (translated questions are
+    // checked again in English)
+    const guard = guardrailsFor(university);
+    let blockedQuestion = checkQuestion(question, guard);
+    let englishQuestion = question;
+    if (!blockedQuestion && language.detected !== "en") {
+        englishQuestion = (await translateText(llm, question, "en")) || question;
+        blockedQuestion = checkQuestion(englishQuestion, guard);
+    }
+    const translated = englishQuestion !== question ? { englishQuestion } : {};
+    if (blockedQuestion) {
+        const blocked = { stage: "question", reason: blockedQuestion.reason };
+        emit("blocked", blocked);
+        recordBlocked(student.universityEmail, { ...blockedQuestion, stage: "question", studentEmail: email, sessionId, question }, guard);
+        return {
+            sessionId: sessionId || null,
+            answer: refusalFor(university, guard, blockedQuestion.reason),
+            storesUsed: [],
+            grounding: [],
+            confidence: noConfidence,
+            blocked
+        };
+    }
+
+    // if new session create id synchronously (the session is persisted async AFTER answering)
+    const currentSessionId = sessionId || newSessionId();
+    emit("session", { sessionId: currentSessionId });
+    emit("language", { ...language, ...translated });
+
+    // 0) conversation memory: resolve a follow-up against the session's recent turns
+    const history = sessionId ? await loadHistory(email, sessionId) : [];
+    const standaloneQuestion = await rewriteFollowUp(llm, history, englishQuestion);
+    const rewritten = { ...translated, ...(standaloneQuestion !== englishQuestion && { standaloneQuestion }) };
+    if (standaloneQuestion !== englishQuestion) {
+        emit("rewrite", { question: standaloneQuestion, historyUsed: history.length });
+    }
+
+    // Answer cache: the same question on the same store set, with unchanged documents
+    const hit = answerCache.get(student.universityEmail, storeNames, standaloneQuestion);
+    if (hit) {
+        const { storeResults, body } = hit.value;
+        const cache = { hit: true, cachedAt: hit.cachedAt };
+        const latency = {
+            totalMs: 0,
+            stores: storeResults.map(({ store, accountEmail, status }) => ({ store, accountEmail, status, latencyMs: 0 }))
+        };
+        emit("cache", cache);
+        const localized = await localizeAnswer(llm, body.answer, language);
+
+        persistAnswer({
+            email,
+            sessionId: currentSessionId,
+            messageObj: {
+                role: "assistant",
+                question,
+                ...rewritten,
+                ...body,
+                ...localized,
+                cache,
+                timestamp: new Date().toISOString(),
+                latency
+            },
+            storeResults: storeResults.map(r => ({ ...r, latencyMs: 0 })),
+            askedAt: new Date().toISOString(),
+            routing: body.routing,
+            guard,
+            cached: true
+        });
+
+        return { sessionId: currentSessionId, ...rewritten, ...body, ...localized, cache, latency };
+    }
+
+    // 1) classify (LLM provider) — blocking call (we need store selection before asking RAG)
+    const classification = await classifyStores(llm, await describeStores(accessible), standaloneQuestion);
+    const predictedStores = classification.stores || [];
+    const splitQuestions = classification.split_questions || {};
+    const unanswered = classification.unanswered || [];
+    const { routing } = classification;
+    emit("classification", { stores: predictedStores, splitQuestions, unanswered, routing });
+
+    // If the classifier explicitly says no store
+    if (!predictedStores || predictedStores.length === 0) {
+        const localized = await localizeAnswer(llm, "Sorry, none of the departments can answer this.", language);
+        const escalation = await escalationOffer(university, {
+            question: standaloneQuestion,
+            sessionId: currentSessionId,
+            accountEmail: null,
+            reason: "unroutable"
+        });
+
+        // Fire-and-forget: record session + message asynchronously
+        (async () => {
+            try {
+                const messageObj = {
+                    role: "assistant",
+                    question,
+                    ...rewritten,
+                    ...localized,
+                    storesUsed: [],
+                    grounding: [],
+                    timestamp: new Date().toISOString(),
+                    unresolvedParts: unanswered,
+                    routing,
+                    confidence: noConfidence,
+                    ...(escalation && { escalation })
+                };
+                await appendSessionMessage(email, currentSessionId, messageObj);
+            } catch (err) {
+                console.error("background log error (no stores):", err);
+            }
+        })();
+
+        return {
+            sessionId: currentSessionId,
+            ...rewritten,
+            ...localized,
+            storesUsed: [],
+            unanswered,
+            routing,
+            confidence: noConfidence,
+            ...(escalation && { escalation })
+        };
+    }
+
+    // 2) Ask every predicted store in parallel; each one has its own timeout
+    const askedAt = new Date().toISOString();
+    const startedAt = Date.now();
+    const certainty = routingCertainty(routing, unanswered.length > 0);
+    const storeResults = await Promise.all(predictedStores.map(async (store) => {
+        const qForStore = (splitQuestions && splitQuestions[store]) ? splitQuestions[store] : standaloneQuestion;
+        const dept = accessible.find(x => x.storeName === store);
+        const result = await askStore(geminiKey, store, qForStore);
+        const r = { store, accountEmail: dept?.accountEmail || null, question: qForStore, ...result };
+
+        const blockedAnswer = r.status === "ok" ? checkAnswer(r.answerText, guard) : null;
+        if (blockedAnswer) {
+            recordBlocked(student.universityEmail, {
+                ...blockedAnswer, stage: "answer", studentEmail: email, sessionId: currentSessionId,
+                question: qForStore, store, answer: r.answerText
+            }, guard);
+            r.status = "blocked";
+            r.error = `Answer withheld by guardrails (${blockedAnswer.reason})`;
+        }
+
+        if (r.status === "ok") {
+            r.department = (await departmentName(r.accountEmail)) || store;
+            r.citations = await buildCitations(r, university);
+            r.confidence = scoreStoreAnswer(r.answerText, groundingTexts(r.groundingChunks), certainty);
+            r.lowConfidence = isBelowThreshold(r.confidence.score, threshold);
+        }
+
+        if (r.lowConfidence) {
+            emit("low_confidence", { store, accountEmail: r.accountEmail, department: r.department, confidence: r.confidence });
+        } else if (r.status === "ok") {
+            // partials are streamed as the student will read them, in the answer language;
+            // a single store's answer is the reply itself, so it is localized once, here
+            if (streaming || predictedStores.length === 1) {
+                r.localized = await localizeAnswer(llm, r.answerText, language);
+                emit("partial", { store, accountEmail: r.accountEmail, department: r.department, question: qForStore, answer: r.localized.answer });
+            }
+            emit("citations", { store, grounding: groundingTexts(r.groundingChunks), citations: r.citations });
+        } else {
+            emit("store_failed", { store, accountEmail: r.accountEmail, status: r.status, error: r.error, latencyMs: r.latencyMs });
+        }
+        return r;
+    }));
+
+    // answers used in the reply; ones scoring below the university's threshold are
+    // withheld (see confidence.js), and the reply's confidence is the mean of those used
+    const ragResults = storeResults.filter(r => r.status === "ok" && !r.lowConfidence);
+    const withheld = storeResults
+        .filter(r => r.lowConfidence)
+        .sort((a, b) => b.confidence.score - a.confidence.score);
+    const withheldStores = withheld.map(({ store, accountEmail, confidence }) => ({ store, accountEmail, confidence }));
+    const confidence = replyConfidence((ragResults.length > 0 ? ragResults : withheld).map(r => r.confidence), threshold);
+    const failedStores = storeResults
+        .filter(r => r.status !== "ok")
+        .map(({ store, accountEmail, status, error }) => ({ store, accountEmail, status, error }));
+    const latency = {
+        totalMs: Date.now() - startedAt,
+        stores: storeResults.map(({ store, accountEmail, status, latencyMs }) => ({ store, accountEmail, status, latencyMs }))
+    };
+    // `grounding` stays the raw chunk texts; `citations` is the structured form, see citations.js
+    const allGrounding = ragResults.flatMap(r => groundingTexts(r.groundingChunks));
+    const citations = ragResults.flatMap(r => r.citations);
+
+    // 3) Merge results (if multiple): LLM synthesis attributed to department names,
+    //    falling back to one block per department; nothing answered -> minimal answer,
+    //    only low-confidence answers -> "I don't know"
+    let finalAnswer;
+    let synthesis = null;
+    if (ragResults.length === 0 && withheld.length > 0) {
+        finalAnswer = DONT_KNOW_ANSWER;
+    } else if (ragResults.length === 0) {
+        finalAnswer = "Sorry we didn't find any information related to this.";
+    } else if (ragResults.length === 1) {
+        finalAnswer = ragResults[0].answerText;
+    } else {
+        const synthesized = await synthesizeAnswer(llm, standaloneQuestion, ragResults);
+        if (synthesized) {
+            finalAnswer = synthesized.answer;
+            synthesis = { method: "llm", provider: llm.name, contradictions: synthesized.contradictions };
+        } else {
+            finalAnswer = ragResults.map(r => `**${r.department}**:\n${r.answerText}`).join("\n\n");
+            synthesis = { method: "concatenated", contradictions: [] };
+        }
+    }
+    const storesUsed = ragResults.map(r => r.store);
+
+    // Store answers were checked one by one; a synthesized answer is new text
+    let blocked = null;
+    const blockedAnswer = synthesis?.method === "llm" ? checkAnswer(finalAnswer, guard) : null;
+    if (blockedAnswer) {
+        recordBlocked(student.universityEmail, {
+            ...blockedAnswer, stage: "answer", studentEmail: email, sessionId: currentSessionId,
+            question: standaloneQuestion, answer: finalAnswer
+        }, guard);
+        blocked = { stage: "answer", reason: blockedAnswer.reason };
+        finalAnswer = refusalFor(university, guard, blockedAnswer.reason);
+        emit("blocked", blocked);
+    }
+
+    const suggestions = ragResults.length > 0 && !blocked
+        ? await followUps([question, englishQuestion, standaloneQuestion], finalAnswer, ragResults)
+        : [];
+    // the refusal is the university's own text: sent as written
+    const localized = blocked
+        ? { answer: finalAnswer, language: { ...language, translated: false } }
+        : (ragResults.length === 1 && ragResults[0].localized) || await localizeAnswer(llm, finalAnswer, language);
+    if (suggestions.length > 0) emit("suggestions", { questions: suggestions });
+
+    // Offer a ticket when no answer was confident enough (to the most confident department),
+    // when nothing was answered (to the department that failed)
+    // or when the classifier left parts of the question unanswered
+    let escalation = null;
+    if (ragResults.length === 0 && withheld.length > 0) {
+        escalation = await escalationOffer(university, {
+            question: standaloneQuestion,
+            sessionId: currentSessionId,
+            accountEmail: withheld[0].accountEmail,
+            reason: "low_confidence"
+        });
+    } else if (ragResults.length === 0) {
+        escalation = await escalationOffer(university, {
+            question: standaloneQuestion,
+            sessionId: currentSessionId,
+            accountEmail: failedStores.find(f => f.accountEmail)?.accountEmail || null,
+            reason: "no_answer"
+        });
+    } else if (unanswered.length > 0) {
+        escalation = await escalationOffer(university, {
+            question: unanswered.map(u => u.text || u).join(" "),
+            sessionId: currentSessionId,
+            accountEmail: null,
+            reason: "partially_unanswered"
+        });
+    }
+
+    // 4) FIRE-AND-FORGET: persist session + messages + provider logs asynchronously
+    persistAnswer({
+        email,
+        sessionId: currentSessionId,
+        messageObj: {
+            role: "assistant",
+            question,
+            ...rewritten,
+            ...localized,
+            storesUsed,
+            routing,
+            grounding: allGrounding,
+            citations,
+            timestamp: new Date().toISOString(),
+            ...(synthesis && { synthesis }),
+            ...(suggestions.length > 0 && { suggestions }),
+            confidence,
+            ...(withheldStores.length > 0 && { withheldStores }),
+            ...(failedStores.length > 0 && { failedStores }),
+            ...(unanswered.length > 0 && { unresolvedParts: unanswered }),
+            ...(escalation && { escalation }),
+            ...(blocked && { blocked }),
+            latency
+        },
+        storeResults,
+        askedAt,
+        routing,
+        guard
+    });
+
+    // Complete answers are reused for the same question on the same store set
+    if (ragResults.length > 0 && failedStores.length === 0 && withheld.length === 0 && unanswered.length === 0 && !blocked) {
+        answerCache.set(student.universityEmail, storeNames, standaloneQuestion, {
+            storeResults: ragResults.map(({ store, accountEmail, question: q, status, answerText, groundingChunks, confidence: c }) =>
+                ({ store, accountEmail, question: q, status, answerText, groundingChunks, confidence: c })),
+            body: {
+                answer: finalAnswer,
+                storesUsed,
+                routing,
+                grounding: allGrounding,
+                citations,
+                ...(synthesis && { synthesis }),
+                ...(suggestions.length > 0 && { suggestions }),
+                confidence
+            }
+        });
+    }
+
+    // 5) Final answer: what succeeded, which stores failed, and how long each took
+    if (ragResults.length === 0) {
+        return {
+            sessionId: currentSessionId,
+            ...rewritten,
+            ...localized,
+            searchedIn: (withheld[0] || failedStores[0])?.accountEmail || null,
+            routing,
+            confidence,
+            ...(withheldStores.length > 0 && { withheldStores }),
+            failedStores,
+            ...(escalation && { escalation }),
+            latency
+        };
+    }
+
+    return {
+        sessionId: currentSessionId,
+        ...rewritten,
+        ...localized,
+        storesUsed,
+        routing,
+        grounding: allGrounding,
+        citations,
+        ...(synthesis && { synthesis }),
+        ...(suggestions.length > 0 && { suggestions }),
+        confidence,
+        ...(withheldStores.length > 0 && { withheldStores }),
+        ...(failedStores.length > 0 && { failedStores }),
+        ...(escalation && { escalation }),
+        ...(blocked && { blocked }),
+        latency
+    };
+}
+
+module.exports = {
+    answerQuestion,
+    classifyStores,
+    generateSessionName
+};
@@ -0,0 +1,137 @@
+const jwt = require('jsonwebtoken');
+const storage = require('./storage');
+
+/**
+ * AUTHENTICATION
+ *
+ * Login routes call issueToken() with the record that just proved its
+ * password. Every protected router mounts authenticate(), which verifies the
+ * bearer token, checks that the caller's record still exists and is active
+ * (so deleting or deactivating a user revokes its tokens), and exposes the
+ * caller as req.user:
+ *
+ *   req.user = { email, role, universityEmail }
+ *
+ * Routes must use req.user to identify the caller instead of trusting an
+ * email from the query string or URL.
+ */
+
+const ROLES = {
+    UNIVERSITY_ADMIN: 'university_admin',
+    ACCOUNT: 'account',
+    STUDENT: 'student',
+    DEVELOPER: 'developer'
+};
+
+// Without JWT_SECRET anyone could sign tokens: only tolerated outside production
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
+}
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠ JWT_SECRET is not set — using an insecure development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'smartuniversity-dev-secret';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const JWT_ISSUER = 'smartuniversity';
+
+/**
+ * Issue a signed access token
+ * @param {Object} claims
+ * @param {string} claims.email - Subject (login email of the caller)
+ * @param {string} claims.role - One of ROLES
+ * @param {string|null} claims.universityEmail - University the caller belongs to
+ * @returns {{ token: string, tokenType: string, expiresIn: string }}
+ */
+const issueToken = ({ email, role, universityEmail }) => {
+    if (!Object.values(ROLES).includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+
+    const token = jwt.sign(
+        { role, universityEmail: universityEmail || null },
+        JWT_SECRET,
+        {
+            subject: email,
+            issuer: JWT_ISSUER,
+            expiresIn: JWT_EXPIRES_IN
+        }
+    );
+
+    return { token, tokenType: 'Bearer', expiresIn: JWT_EXPIRES_IN };
+};
+
+/**
+ * Verify a token and return the caller it describes
+ * @param {string} token
+ * @returns {Object} { email, role, universityEmail }
+ */
+const verifyToken = (token) => {
+    const payload = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+    return {
+        email: payload.sub,
+        role: payload.role,
+        universityEmail: payload.universityEmail || null
+    };
+};
+
+// Extract the bearer token from the Authorization header
+const readBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) return token;
+    return null;
+};
+
+// Helper: The stored record of a token's caller (operators have none: they must still match DEVELOPER_EMAIL)
+const loadCaller = async ({ email, role }) => {
+    switch (role) {
+        case ROLES.UNIVERSITY_ADMIN: return storage.universities.get(email);
+        case ROLES.ACCOUNT: return storage.accounts.get(email);
+        case ROLES.STUDENT: return storage.students.get(email);
+        case ROLES.DEVELOPER:
+            return process.env.DEVELOPER_EMAIL && email === process.env.DEVELOPER_EMAIL ? { isActive: true } : null;
+        default: return null;
+    }
+};
+
+// Middleware: require a valid token of an existing, active caller and attach req.user
+const authenticate = async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let user;
+    try {
+        user = verifyToken(token);
+    } catch (error) {
+        const message = error.name === 'TokenExpiredError'
+            ? 'Access token expired'
+            : 'Invalid access token';
+        return res.status(401).json({ error: message });
+    }
+
+    try {
+        const record = await loadCaller(user);
+        if (!record) {
+            return res.status(401).json({ error: 'Account no longer exists' });
+        }
+        if (!record.isActive) {
+            return res.status(403).json({ error: 'Account is deactivated' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+module.exports = {
+    ROLES,
+    issueToken,
+    verifyToken,
+    authenticate
+};
@@ -0,0 +1,90 @@
+const storage = require("./storage");
+
+/**
+ * CITATIONS
+ *
+ * Turns the grounding metadata returned by a store into citations the
+ * student UI can show ("Source: Fee Notice 2026.pdf"), by matching each
+ * grounding chunk with the uploads the department recorded through
+ * /api/account/upload:
+ *
+ *   {
+ *     department,     // accountName of the department owning the store
+ *     accountEmail,
+ *     filename,       // uploaded file name, or website_content.json
+ *     category,       // notice | faq | impData | website (null when unknown)
+ *     url,            // ImageKit URL, or the scraped page URL for website content
+ *     snippet         // quoted chunk text
+ *   }
+ */
+
+const WEBSITE_FILE = "website_content.json";
+const SNIPPET_MAX_LENGTH = 300;
+const CATEGORIES = ["notice", "faq", "impData"];
+
+// Helper: Shorten a chunk to a quotable snippet
+function toSnippet(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    return clean.length <= SNIPPET_MAX_LENGTH ? clean : clean.slice(0, SNIPPET_MAX_LENGTH - 3) + "...";
+}
+
+// Helper: Find the upload a grounding chunk came from (by file name or RAG document id)
+function findUpload(uploads, title) {
+    if (!title) return null;
+    for (const category of CATEGORIES) {
+        const entry = (uploads[category] || []).find(f =>
+            f.filename === title || (f.ragData?.documentId && f.ragData.documentId === title)
+        );
+        if (entry) return { category, entry };
+    }
+    return null;
+}
+
+// Helper: Page URL a website chunk was scraped from, when the chunk quotes it
+function scrapedPageUrl(text) {
+    const matches = [...String(text || "").matchAll(/"url"\s*:\s*"(https?:\/\/[^"]+)"/g)];
+    return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Build the citations of one store's answer
+ * @param {Object} result - Store answer: { accountEmail, department, groundingChunks }
+ * @param {Object} [university] - The student's university, for scraped website links
+ * @returns {Promise<Array>} Citations, one per grounding chunk with text
+ */
+async function buildCitations(result, university) {
+    const chunks = (result.groundingChunks || []).filter(chunk => chunk.retrievedContext?.text);
+    if (chunks.length === 0) return [];
+
+    const uploads = result.accountEmail
+        ? await storage.uploads.get(result.accountEmail).catch(() => ({}))
+        : {};
+
+    return chunks.map((chunk) => {
+        const ctx = chunk.retrievedContext;
+        const citation = {
+            department: result.department || null,
+            accountEmail: result.accountEmail || null,
+            filename: ctx.title || null,
+            category: null,
+            url: ctx.uri || null,
+            snippet: toSnippet(ctx.text)
+        };
+
+        if (ctx.title === WEBSITE_FILE) {
+            citation.category = "website";
+            citation.url = scrapedPageUrl(ctx.text) || university?.websiteUrl || citation.url;
+            return citation;
+        }
+
+        const upload = findUpload(uploads, ctx.title);
+        if (upload) {
+            citation.filename = upload.entry.filename;
+            citation.category = upload.category;
+            citation.url = upload.entry.imagekitUrl || citation.url;
+        }
+        return citation;
+    });
+}
+
+module.exports = { buildCitations };
@@ -0,0 +1,124 @@
+const { tokenize } = require("./keyword_router");
+
+/**
+ * ANSWER CONFIDENCE
+ *
+ * How far a store answer can be trusted, from 0 to 1:
+ *
+ *   grounding  share of the answer's sentences whose terms mostly appear in
+ *              the grounding chunks the store returned (0 without grounding)
+ *   routing    how the store was chosen: classifier 1, keyword 0.7, all 0.4,
+ *              times 0.75 when parts of the question were left unanswered
+ *
+ *   score = GROUNDING_WEIGHT * grounding + ROUTING_WEIGHT * routing
+ *
+ * so an answer without any grounding never scores above ROUTING_WEIGHT.
+ * A reply's confidence is the mean over the store answers it is made of
+ * (0 for replies not built from any, e.g. unrouted or blocked questions).
+ *
+ * Store answers scoring below the university's threshold
+ * (university.confidenceThreshold, set through PUT
+ * /university/confidence-threshold, else ASK_CONFIDENCE_THRESHOLD, default
+ * 0.35; 0 disables) are withheld; when every answer is withheld the student
+ * gets an "I don't know" reply with a ticket offer, see ask_pipeline.js.
+ */
+
+const GROUNDING_WEIGHT = 0.7;
+const ROUTING_WEIGHT = 0.3;
+const SUPPORTED_SHARE = 0.5;
+const MIN_SENTENCE_TERMS = 2;
+const ROUTING_CERTAINTY = { classifier: 1, keyword: 0.7, all: 0.4 };
+const UNANSWERED_FACTOR = 0.75;
+const DEFAULT_THRESHOLD = process.env.ASK_CONFIDENCE_THRESHOLD !== undefined
+    ? parseFloat(process.env.ASK_CONFIDENCE_THRESHOLD) || 0
+    : 0.35;
+
+// Helper: Round to two decimals
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Helper: Share of an answer's sentences supported by the grounding chunks (0..1)
+function groundingCoverage(answer, chunkTexts) {
+    if (!chunkTexts || chunkTexts.length === 0) return 0;
+
+    const grounded = new Set(tokenize(chunkTexts.join("\n")));
+    const sentences = String(answer || "")
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(sentence => [...new Set(tokenize(sentence))])
+        .filter(terms => terms.length >= MIN_SENTENCE_TERMS);
+    if (sentences.length === 0) return 0;
+
+    const supported = sentences.filter(terms =>
+        terms.filter(t => grounded.has(t)).length / terms.length >= SUPPORTED_SHARE
+    ).length;
+    return supported / sentences.length;
+}
+
+/**
+ * Certainty of the store selection
+ * @param {Object} routing - { strategy } as reported by the pipeline
+ * @param {boolean} partlyUnanswered - The classifier left parts of the question unanswered
+ * @returns {number} 0..1
+ */
+function routingCertainty(routing, partlyUnanswered) {
+    const base = ROUTING_CERTAINTY[routing?.strategy] ?? ROUTING_CERTAINTY.all;
+    return partlyUnanswered ? base * UNANSWERED_FACTOR : base;
+}
+
+/**
+ * Confidence of one store answer
+ * @param {string} answer - The store's response text
+ * @param {string[]} chunkTexts - Texts of its grounding chunks
+ * @param {number} certainty - routingCertainty()
+ * @returns {Object} { score, grounding, routing }
+ */
+function scoreStoreAnswer(answer, chunkTexts, certainty) {
+    const grounding = groundingCoverage(answer, chunkTexts);
+    return {
+        score: round(GROUNDING_WEIGHT * grounding + ROUTING_WEIGHT * certainty),
+        grounding: round(grounding),
+        routing: round(certainty)
+    };
+}
+
+/**
+ * Confidence of a reply made of store answers
+ * @param {Array} scores - scoreStoreAnswer() results of the answers used
+ * @param {number} threshold
+ * @returns {Object} { score, grounding, routing, threshold, belowThreshold }
+ */
+function replyConfidence(scores, threshold) {
+    const mean = (field) => scores.length === 0 ? 0 : round(scores.reduce((sum, s) => sum + s[field], 0) / scores.length);
+    const score = mean("score");
+    return {
+        score,
+        grounding: mean("grounding"),
+        routing: mean("routing"),
+        threshold,
+        belowThreshold: isBelowThreshold(score, threshold)
+    };
+}
+
+// Whether a score is below a threshold (never, when the threshold is 0)
+function isBelowThreshold(score, threshold) {
+    return threshold > 0 && score < threshold;
+}
+
+/**
+ * Confidence threshold of a university (0 = never withhold answers)
+ * @param {Object} [university]
+ * @returns {number}
+ */
+function confidenceThresholdFor(university) {
+    const value = university?.confidenceThreshold;
+    return typeof value === "number" ? value : DEFAULT_THRESHOLD;
+}
+
+module.exports = {
+    routingCertainty,
+    scoreStoreAnswer,
+    replyConfidence,
+    isBelowThreshold,
+    confidenceThresholdFor
+};
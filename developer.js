@@ -1,91 +1,78 @@
-const express = require('express');
-const router = express.Router();
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const apiKeyManager = require('./apikey');
+const { ROLES, issueToken, authenticate } = require('./auth');
+const { authorize } = require('./policy');
+const { createVersionedRouter, toBoolean } = require('./versioned_router');
+const storage = require('./storage');
+const answerCache = require('./answer_cache');
+const { LIMIT_FIELDS, limitsFor, usageFor, rejectedCounts } = require('./rate_limit');
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const TICKETS_DIR = path.join(DB_DIR, 'tickets');
+const api = createVersionedRouter();
 
-// Helper: Read university data
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Get all accounts for a university
+// Helper: Get all accounts for a university (without passwords)
 const getUniversityAccounts = async (universityEmail) => {
     try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    const { password, ...accountData } = account;
-                    accounts.push(accountData);
-                }
-            }
-        }
-
-        return accounts;
+        const accounts = await storage.accounts.listByUniversity(universityEmail);
+        return accounts.map(({ password, ...accountData }) => accountData);
     } catch (error) {
         console.error('Error getting university accounts:', error);
         return [];
     }
 };
 
-// Helper: Read account data
-const readAccount = async (email) => {
+// Helper: Constant-time string comparison for operator credentials
+const safeEqual = (a, b) => {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// ============================================
+// SYSTEM OPERATOR LOGIN
+// ============================================
+
+// API 0: Operator login - credentials come from DEVELOPER_EMAIL / DEVELOPER_PASSWORD
+api.post('/login', async (req, res) => {
     try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const operatorEmail = process.env.DEVELOPER_EMAIL;
+        const operatorPassword = process.env.DEVELOPER_PASSWORD;
+
+        if (!operatorEmail || !operatorPassword) {
+            return res.status(503).json({ error: 'Operator login is not configured' });
+        }
+
+        if (!safeEqual(email, operatorEmail) || !safeEqual(password, operatorPassword)) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        res.json({
+            message: 'Operator login successful',
+            ...issueToken({ email: operatorEmail, role: ROLES.DEVELOPER, universityEmail: null })
+        });
     } catch (error) {
-        return null;
+        console.error('Operator login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
-};
+});
 
-// Helper: Write account data
-const writeAccount = async (email, accountData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(accountData, null, 2));
-};
+// Every route below is restricted to authenticated system operators
+api.use(authenticate, authorize('system:operate'));
 
 // ============================================
-// SYSTEM ADMIN APIs (GET VERSION)
+// SYSTEM ADMIN APIs
 // ============================================
 
-// API 1: Get all universities (system admin purpose) - GET
-router.get('/universities/all', async (req, res) => {
+// API 1: Get all universities (system admin purpose)
+api.get('/universities', { legacy: '/universities/all' }, async (req, res) => {
     try {
-        const files = await fs.readdir(UNIVERSITIES_DIR);
-        const universities = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const university = JSON.parse(data);
-                const { password, ...universityData } = university;
-                universities.push(universityData);
-            }
-        }
+        const universities = (await storage.universities.list())
+            .map(({ password, ...universityData }) => universityData);
 
         res.json({
             count: universities.length,
@@ -97,12 +84,12 @@ router.get('/universities/all', async (req, res) => {
     }
 });
 
-// API 2: Get university details by email - GET
-router.get('/universities/detail/:email', async (req, res) => {
+// API 2: Get university details by email
+api.get('/universities/:email', { legacy: '/universities/detail/:email' }, async (req, res) => {
     try {
         const { email } = req.params;
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -111,20 +98,8 @@ router.get('/universities/detail/:email', async (req, res) => {
         const accounts = await getUniversityAccounts(email);
 
         // Get all students for this university
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-        const students = [];
-
-        for (const file of studentFiles) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const student = JSON.parse(data);
-                if (student.universityEmail === email) {
-                    const { password, ...studentData } = student;
-                    students.push(studentData);
-                }
-            }
-        }
+        const students = (await storage.students.listByUniversity(email))
+            .map(({ password, ...studentData }) => studentData);
 
         // Return university data without password
         const { password, ...universityData } = university;
@@ -151,8 +126,8 @@ router.get('/universities/detail/:email', async (req, res) => {
     }
 });
 
-// API 3: Get API key statistics (system admin only) - GET
-router.get('/api-keys/stats', async (req, res) => {
+// API 3: Get API key statistics (system admin only)
+api.get('/api-keys/stats', { legacy: true }, async (req, res) => {
     try {
         const stats = await apiKeyManager.getStats();
         res.json(stats);
@@ -162,8 +137,8 @@ router.get('/api-keys/stats', async (req, res) => {
     }
 });
 
-// API 4: Get all API keys with details (system admin only) - GET
-router.get('/api-keys', async (req, res) => {
+// API 4: Get all API keys with details (system admin only)
+api.get('/api-keys', { legacy: true }, async (req, res) => {
     try {
         const result = await apiKeyManager.getAllKeys();
         res.json(result);
@@ -173,10 +148,10 @@ router.get('/api-keys', async (req, res) => {
     }
 });
 
-// API 5: Add new API key (system admin only) - GET
-router.get('/api-keys/add', async (req, res) => {
+// API 5: Add new API key (system admin only)
+api.post('/api-keys', { legacy: '/api-keys/add' }, async (req, res) => {
     try {
-        const { apiKey } = req.query;
+        const { apiKey } = req.body;
 
         if (!apiKey) {
             return res.status(400).json({ error: 'API key is required' });
@@ -195,10 +170,10 @@ router.get('/api-keys/add', async (req, res) => {
     }
 });
 
-// API 6: Release API key from a university (system admin only) - GET
-router.get('/api-keys/release', async (req, res) => {
+// API 6: Release API key from a university (system admin only)
+api.post('/api-keys/release', { legacy: true }, async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
@@ -212,8 +187,8 @@ router.get('/api-keys/release', async (req, res) => {
     }
 });
 
-// API 7: Delete API key from pool (system admin only) - GET
-router.get('/api-keys/delete/:keyId', async (req, res) => {
+// API 7: Delete API key from pool (system admin only)
+api.delete('/api-keys/:keyId', { legacy: '/api-keys/delete/:keyId' }, async (req, res) => {
     try {
         const { keyId } = req.params;
 
@@ -234,10 +209,10 @@ router.get('/api-keys/delete/:keyId', async (req, res) => {
     }
 });
 
-// API 8: Reassign API key to different university (system admin only) - GET
-router.get('/api-keys/reassign', async (req, res) => {
+// API 8: Reassign API key to different university (system admin only)
+api.post('/api-keys/reassign', { legacy: true }, async (req, res) => {
     try {
-        const { fromEmail, toEmail } = req.query;
+        const { fromEmail, toEmail } = req.body;
 
         if (!fromEmail || !toEmail) {
             return res.status(400).json({
@@ -252,7 +227,7 @@ router.get('/api-keys/reassign', async (req, res) => {
         }
 
         // Check if target university exists
-        const targetUniversity = await readUniversity(toEmail);
+        const targetUniversity = await storage.universities.get(toEmail);
         if (!targetUniversity) {
             return res.status(404).json({
                 error: 'Target university not found'
@@ -297,53 +272,36 @@ router.get('/api-keys/reassign', async (req, res) => {
     }
 });
 
-// API 9: Get system health and statistics - GET
-router.get('/system/health', async (req, res) => {
+// API 9: Get system health and statistics
+api.get('/system/health', { legacy: true }, async (req, res) => {
     try {
         // Get API key statistics
         const apiKeyStats = await apiKeyManager.getStats();
 
-        // Count universities
-        const universityFiles = await fs.readdir(UNIVERSITIES_DIR);
-        const universityCount = universityFiles.filter(file => file.endsWith('.json')).length;
-
-        // Count accounts
-        const accountFiles = await fs.readdir(ACCOUNTS_DIR);
-        const accountCount = accountFiles.filter(file => file.endsWith('.json')).length;
-
-        // Count students
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-        const studentCount = studentFiles.filter(file => file.endsWith('.json')).length;
-
-        // Count tickets
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
-        const ticketCount = ticketFiles.filter(file => file.endsWith('.json')).length;
-
-        // Calculate disk usage
-        let totalSize = 0;
-
-        // Helper function to calculate directory size
-        const calculateDirSize = async (dirPath) => {
-            let size = 0;
-            const files = await fs.readdir(dirPath);
-
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const filePath = path.join(dirPath, file);
-                    const stats = await fs.stat(filePath);
-                    size += stats.size;
-                }
-            }
-            return size;
-        };
-
-        // Calculate sizes for all directories
-        const uniSize = await calculateDirSize(UNIVERSITIES_DIR);
-        const accSize = await calculateDirSize(ACCOUNTS_DIR);
-        const stuSize = await calculateDirSize(STUDENTS_DIR);
-        const tickSize = await calculateDirSize(TICKETS_DIR);
-
-        totalSize = uniSize + accSize + stuSize + tickSize;
+        // Count records
+        const universityCount = await storage.universities.count();
+        const accountCount = await storage.accounts.count();
+        const studentCount = await storage.students.count();
+        const ticketCount = await storage.tickets.count();
+
+        // Calculate storage usage
+        const usage = await storage.usage();
+        const uniSize = usage.universities;
+        const accSize = usage.accounts;
+        const stuSize = usage.students;
+        const tickSize = usage.tickets;
+
+        const totalSize = uniSize + accSize + stuSize + tickSize;
+
+        // Today's ask usage per university
+        const askUsage = [];
+        for (const university of await storage.universities.list()) {
+            askUsage.push({
+                email: university.email,
+                universityName: university.universityName,
+                ...(await usageFor(university))
+            });
+        }
 
         // Convert to MB
         const totalSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
@@ -355,6 +313,7 @@ router.get('/system/health', async (req, res) => {
         res.json({
             system: {
                 status: 'healthy',
+                storageBackend: storage.name,
                 timestamp: new Date().toISOString(),
                 uptime: process.uptime(),
                 nodeVersion: process.version
@@ -373,7 +332,12 @@ router.get('/system/health', async (req, res) => {
                     tickets: `${tickSizeMB} MB`
                 }
             },
-            apiKeys: apiKeyStats
+            apiKeys: apiKeyStats,
+            answerCache: answerCache.getStats(),
+            askQuota: {
+                rejected: rejectedCounts(),
+                universities: askUsage
+            }
         });
     } catch (error) {
         console.error('System health check error:', error);
@@ -384,24 +348,25 @@ router.get('/system/health', async (req, res) => {
     }
 });
 
-// API 10: Force deactivate/reactivate university (system admin only) - GET
-router.get('/universities/status', async (req, res) => {
+// API 10: Force deactivate/reactivate university (system admin only)
+api.patch('/universities/:email/status', { legacy: '/universities/status' }, async (req, res) => {
     try {
-        const { email, isActive } = req.query;
+        const { email } = req.params;
+        const { isActive } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
         }
 
-        if (!isActive || (isActive !== 'true' && isActive !== 'false')) {
+        if (![true, false, 'true', 'false'].includes(isActive)) {
             return res.status(400).json({
                 error: 'isActive must be either "true" or "false"'
             });
         }
 
-        const isActiveBool = isActive === 'true';
+        const isActiveBool = toBoolean(isActive);
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -411,18 +376,16 @@ router.get('/universities/status', async (req, res) => {
         university.updatedAt = new Date().toISOString();
 
         // Save updated data
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.writeFile(filePath, JSON.stringify(university, null, 2));
+        await storage.universities.save(email, university);
 
         // Also deactivate/reactivate all accounts of this university
         const accounts = await getUniversityAccounts(email);
         for (const account of accounts) {
-            const accountData = await readAccount(account.accountEmail);
+            const accountData = await storage.accounts.get(account.accountEmail);
             if (accountData) {
                 accountData.isActive = isActiveBool;
                 accountData.updatedAt = new Date().toISOString();
-                await writeAccount(account.accountEmail, accountData);
+                await storage.accounts.save(account.accountEmail, accountData);
             }
         }
 
@@ -438,23 +401,24 @@ router.get('/universities/status', async (req, res) => {
     }
 });
 
-// API 11: Delete university (system admin only) - GET
-router.get('/universities/delete', async (req, res) => {
+// API 11: Delete university (system admin only)
+api.delete('/universities/:email', { legacy: '/universities/delete' }, async (req, res) => {
     try {
-        const { email, confirm } = req.query;
+        const { email } = req.params;
+        const { confirm } = req.body;
 
         if (!email) {
             return res.status(400).json({ error: 'University email is required' });
         }
 
-        if (confirm !== 'true') {
+        if (!toBoolean(confirm)) {
             return res.status(400).json({
                 error: 'Please confirm deletion by adding confirm=true',
                 warning: 'This will delete the university, all its accounts, and all related data!'
             });
         }
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -470,49 +434,32 @@ router.get('/universities/delete', async (req, res) => {
         console.log(`Found ${accounts.length} accounts to delete.`);
 
         for (const acc of accounts) {
-            // Delete account file
-            const sanitizedAccEmail = acc.accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-            const accountPath = path.join(ACCOUNTS_DIR, `${sanitizedAccEmail}.json`);
-            await fs.unlink(accountPath);
+            await storage.accounts.remove(acc.accountEmail);
             console.log(`Deleted account: ${acc.accountEmail}`);
         }
 
         // 3. Delete all students of this university
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
+        const students = await storage.students.listByUniversity(email);
         let studentCount = 0;
 
-        for (const file of studentFiles) {
-            const filePath = path.join(STUDENTS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const student = JSON.parse(data);
-
-            if (student.universityEmail === email) {
-                await fs.unlink(filePath);
-                studentCount++;
-                console.log(`Deleted student: ${student.email}`);
-            }
+        for (const student of students) {
+            await storage.students.remove(student.email);
+            studentCount++;
+            console.log(`Deleted student: ${student.email}`);
         }
 
         // 4. Delete all tickets related to this university
-        const ticketFiles = await fs.readdir(TICKETS_DIR);
+        const tickets = await storage.tickets.listByUniversity(email);
         let ticketCount = 0;
 
-        for (const file of ticketFiles) {
-            const filePath = path.join(TICKETS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const ticket = JSON.parse(data);
-
-            if (ticket.universityEmail === email) {
-                await fs.unlink(filePath);
-                ticketCount++;
-                console.log(`Deleted ticket: ${ticket.ticketId}`);
-            }
+        for (const ticket of tickets) {
+            await storage.tickets.remove(ticket.ticketId);
+            ticketCount++;
+            console.log(`Deleted ticket: ${ticket.ticketId}`);
         }
 
-        // 5. Delete university file
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const uniPath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(uniPath);
+        // 5. Delete university record
+        await storage.universities.remove(email);
 
         console.log(`========= UNIVERSITY DELETE COMPLETE =========\n`);
 
@@ -536,8 +483,8 @@ router.get('/universities/delete', async (req, res) => {
     }
 });
 
-// API 12: Get system logs or recent activity - GET
-router.get('/system/activity', async (req, res) => {
+// API 12: Get system logs or recent activity
+api.get('/system/activity', { legacy: true }, async (req, res) => {
     try {
         const { limit } = req.query;
         const activityLimit = limit && !isNaN(parseInt(limit)) ? parseInt(limit) : 100;
@@ -546,54 +493,39 @@ router.get('/system/activity', async (req, res) => {
         const activities = [];
 
         // 1. Recent university registrations
-        const uniFiles = await fs.readdir(UNIVERSITIES_DIR);
-        for (const file of uniFiles.slice(-10)) { // Last 10 universities
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const uni = JSON.parse(data);
-                activities.push({
-                    type: 'university_registration',
-                    email: uni.email,
-                    name: uni.universityName,
-                    timestamp: uni.createdAt,
-                    description: `University registered: ${uni.universityName}`
-                });
-            }
+        const universities = await storage.universities.list();
+        for (const uni of universities.slice(-10)) { // Last 10 universities
+            activities.push({
+                type: 'university_registration',
+                email: uni.email,
+                name: uni.universityName,
+                timestamp: uni.createdAt,
+                description: `University registered: ${uni.universityName}`
+            });
         }
 
         // 2. Recent account creations
-        const accFiles = await fs.readdir(ACCOUNTS_DIR);
-        for (const file of accFiles.slice(-20)) { // Last 20 accounts
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const acc = JSON.parse(data);
-                activities.push({
-                    type: 'account_creation',
-                    email: acc.accountEmail,
-                    name: acc.accountName,
-                    timestamp: acc.createdAt,
-                    description: `Account created: ${acc.accountName} (${acc.universityName})`
-                });
-            }
+        const accounts = await storage.accounts.list();
+        for (const acc of accounts.slice(-20)) { // Last 20 accounts
+            activities.push({
+                type: 'account_creation',
+                email: acc.accountEmail,
+                name: acc.accountName,
+                timestamp: acc.createdAt,
+                description: `Account created: ${acc.accountName} (${acc.universityName})`
+            });
         }
 
         // 3. Recent student registrations
-        const stuFiles = await fs.readdir(STUDENTS_DIR);
-        for (const file of stuFiles.slice(-30)) { // Last 30 students
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const stu = JSON.parse(data);
-                activities.push({
-                    type: 'student_registration',
-                    email: stu.email,
-                    name: stu.name,
-                    timestamp: stu.createdAt,
-                    description: `Student registered: ${stu.name} (${stu.universityName})`
-                });
-            }
+        const students = await storage.students.list();
+        for (const stu of students.slice(-30)) { // Last 30 students
+            activities.push({
+                type: 'student_registration',
+                email: stu.email,
+                name: stu.name,
+                timestamp: stu.createdAt,
+                description: `Student registered: ${stu.name} (${stu.universityName})`
+            });
         }
 
         // Sort by timestamp (newest first)
@@ -606,9 +538,9 @@ router.get('/system/activity', async (req, res) => {
             totalActivities: activities.length,
             recentActivities: recentActivities,
             summary: {
-                universities: uniFiles.filter(f => f.endsWith('.json')).length,
-                accounts: accFiles.filter(f => f.endsWith('.json')).length,
-                students: stuFiles.filter(f => f.endsWith('.json')).length
+                universities: universities.length,
+                accounts: accounts.length,
+                students: students.length
             }
         });
     } catch (error) {
@@ -617,12 +549,12 @@ router.get('/system/activity', async (req, res) => {
     }
 });
 
-// API 13: Clear system cache or temporary data - GET
-router.get('/system/cleanup', async (req, res) => {
+// API 13: Clear system cache or temporary data
+api.post('/system/cleanup', { legacy: true }, async (req, res) => {
     try {
-        const { type, confirm } = req.query;
+        const { type, confirm } = req.body;
 
-        if (confirm !== 'true') {
+        if (!toBoolean(confirm)) {
             return res.status(400).json({
                 error: 'Please confirm cleanup by adding confirm=true',
                 warning: 'This action may delete temporary or cached data!'
@@ -633,25 +565,8 @@ router.get('/system/cleanup', async (req, res) => {
         let deletedCount = 0;
 
         if (!type || type === 'all') {
-            // Count empty or corrupted files
-            const directories = [UNIVERSITIES_DIR, ACCOUNTS_DIR, STUDENTS_DIR, TICKETS_DIR];
-
-            for (const dir of directories) {
-                const files = await fs.readdir(dir);
-                for (const file of files) {
-                    if (file.endsWith('.json')) {
-                        const filePath = path.join(dir, file);
-                        try {
-                            const data = await fs.readFile(filePath, 'utf8');
-                            JSON.parse(data); // Validate JSON
-                        } catch {
-                            // Delete corrupted file
-                            await fs.unlink(filePath);
-                            deletedCount++;
-                        }
-                    }
-                }
-            }
+            // Delete records that are empty or corrupted
+            deletedCount = await storage.removeCorrupted();
             message = `Cleaned up ${deletedCount} corrupted files`;
         }
 
@@ -666,4 +581,49 @@ router.get('/system/cleanup', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// API 14: Override a university's ask rate limits (system admin only)
+// body: any of { studentPerMinute, studentBurst, universityDailyQuota } (null resets a field to the default)
+api.put('/universities/:email/rate-limits', async (req, res) => {
+    try {
+        const { email } = req.params;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const rateLimits = { ...(university.rateLimits || {}) };
+        for (const field of LIMIT_FIELDS) {
+            if (!(field in req.body)) continue;
+
+            const value = req.body[field];
+            if (value === null) {
+                delete rateLimits[field];
+                continue;
+            }
+
+            const number = Number(value);
+            const minimum = field === 'universityDailyQuota' ? 0 : 1;
+            if (!Number.isInteger(number) || number < minimum) {
+                return res.status(400).json({ error: `${field} must be an integer >= ${minimum}` });
+            }
+            rateLimits[field] = number;
+        }
+
+        university.rateLimits = rateLimits;
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+
+        res.json({
+            message: 'Rate limits updated successfully',
+            email,
+            rateLimits,
+            effectiveLimits: limitsFor(university)
+        });
+    } catch (error) {
+        console.error('Update rate limits error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { v1: api.v1, v2: api.v2 };
\ No newline at end of file
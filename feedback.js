@@ -0,0 +1,146 @@
+const storage = require("./storage");
+const { guardrailsFor, loggableText } = require("./guardrails");
+
+/**
+ * ANSWER FEEDBACK
+ *
+ * Students rate an answer (thumbs up / down, optional comment) by session id
+ * and message index. The feedback is stored on the session message:
+ *
+ *   feedback: { rating: "up" | "down", comment, createdAt }
+ *
+ * and copied onto the provider log entries of every department asked for
+ * that message (matched by session_id + message_index), so departments see
+ * it next to the question in their logs. The copied comment is PII-redacted
+ * like the question (per the university's guardrails).
+ *
+ * summarizeFeedback() aggregates the rated provider log entries of a
+ * university into helpfulness rates per department account and per document
+ * (the grounding chunks' file names).
+ */
+
+const RATINGS = ["up", "down"];
+const COMMENT_MAX_LENGTH = 1000;
+const RECENT_COMMENTS = 5;
+
+// Helper: Share of thumbs up, rounded to two decimals (null when nothing was rated)
+function helpfulnessRate(up, down) {
+    const total = up + down;
+    return total === 0 ? null : Math.round((up / total) * 100) / 100;
+}
+
+// Helper: Departments that were asked (and logged) for a session message
+function askedDepartments(message) {
+    const emails = (message.latency?.stores || []).map(s => s.accountEmail).filter(Boolean);
+    return [...new Set(emails)];
+}
+
+// Helper: Document names a provider log answer was grounded on
+function groundedDocuments(entry) {
+    const titles = (entry.grounding || []).map(chunk => chunk.retrievedContext?.title).filter(Boolean);
+    return [...new Set(titles)];
+}
+
+/**
+ * Record a student's feedback on one answer
+ * @param {Object} params - { email, universityEmail, sessionId, messageIndex, rating, comment }
+ * @returns {Promise<Object|null>} { feedback, departments } or null when the message does not exist
+ */
+async function recordFeedback({ email, universityEmail, sessionId, messageIndex, rating, comment }) {
+    const feedback = {
+        rating,
+        comment: comment ? String(comment).trim().slice(0, COMMENT_MAX_LENGTH) : null,
+        createdAt: new Date().toISOString()
+    };
+
+    const session = await storage.sessions.updateMessage(email, sessionId, messageIndex, { feedback });
+    if (!session) return null;
+
+    const departments = askedDepartments(session.messages[messageIndex]);
+    const guard = guardrailsFor(await storage.universities.get(universityEmail).catch(() => null));
+    const logged = { ...feedback, comment: feedback.comment && loggableText(feedback.comment, guard) };
+    for (const accountEmail of departments) {
+        try {
+            await storage.providerLogs.update(
+                accountEmail,
+                { session_id: sessionId, message_index: messageIndex, user_email: email },
+                { feedback: logged }
+            );
+        } catch (err) {
+            console.error("feedback provider log update error:", err);
+        }
+    }
+
+    return { feedback, departments };
+}
+
+/**
+ * Helpfulness rates of a university's departments and documents
+ * @param {string} universityEmail
+ * @param {Object} [range] - { from, to } ISO dates applied to the feedback time
+ * @returns {Promise<Object>} { totals, accounts, documents }
+ */
+async function summarizeFeedback(universityEmail, { from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const accounts = [];
+    const documents = new Map();
+    const totals = { up: 0, down: 0 };
+
+    for (const account of await storage.accounts.listByUniversity(universityEmail)) {
+        const logs = await storage.providerLogs.list(account.accountEmail);
+        const rated = logs.filter((entry) => {
+            if (!RATINGS.includes(entry.feedback?.rating)) return false;
+            const time = new Date(entry.feedback.createdAt).getTime();
+            return time >= fromTime && time <= toTime;
+        });
+
+        const summary = {
+            accountEmail: account.accountEmail,
+            accountName: account.accountName,
+            answers: logs.filter(entry => entry.status === "ok" || entry.status === undefined).length,
+            up: 0,
+            down: 0,
+            helpfulnessRate: null,
+            recentComments: []
+        };
+
+        for (const entry of rated) {
+            const { rating } = entry.feedback;
+            summary[rating]++;
+            totals[rating]++;
+
+            for (const filename of groundedDocuments(entry)) {
+                const key = `${account.accountEmail}|${filename}`;
+                if (!documents.has(key)) {
+                    documents.set(key, { accountEmail: account.accountEmail, accountName: account.accountName, filename, up: 0, down: 0 });
+                }
+                documents.get(key)[rating]++;
+            }
+        }
+
+        summary.helpfulnessRate = helpfulnessRate(summary.up, summary.down);
+        summary.recentComments = rated
+            .filter(entry => entry.feedback.comment)
+            .sort((a, b) => new Date(b.feedback.createdAt) - new Date(a.feedback.createdAt))
+            .slice(0, RECENT_COMMENTS)
+            .map(entry => ({
+                question: entry.question,
+                rating: entry.feedback.rating,
+                comment: entry.feedback.comment,
+                createdAt: entry.feedback.createdAt
+            }));
+        accounts.push(summary);
+    }
+
+    return {
+        totals: { ...totals, helpfulnessRate: helpfulnessRate(totals.up, totals.down) },
+        accounts,
+        documents: [...documents.values()]
+            .map(doc => ({ ...doc, helpfulnessRate: helpfulnessRate(doc.up, doc.down) }))
+            .sort((a, b) => (b.up + b.down) - (a.up + a.down))
+    };
+}
+
+module.exports = { RATINGS, recordFeedback, summarizeFeedback };
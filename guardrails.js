@@ -0,0 +1,295 @@
+const storage = require("./storage");
+
+/**
+ * GUARDRAILS
+ *
+ * Checks around the ask pipeline, configured per university
+ * (university.guardrails, set through PUT /university/guardrails) on top of
+ * DEFAULT_GUARDRAILS:
+ *
+ *   enabled          false turns every check off
+ *   promptInjection  block questions that try to override or reveal the system
+ *                    prompts ("ignore previous instructions", fake system tags, ...)
+ *   abuse            block abusive questions and answers (built-in list plus
+ *                    the university's blockedTerms)
+ *   redactPII        mask phone numbers, ID numbers and email addresses in
+ *                    questions and feedback comments before they are written
+ *                    to provider logs
+ *   idFormats        the university's ID number formats, masked as [ID] besides
+ *                    the built-in roll-number shape ("01FE21BCS123"): "9" is a
+ *                    digit, "A" a letter, anything else literal ("99AA99AAA999")
+ *   blockedTerms     extra words or phrases the university blocks
+ *   refusalMessage   reply sent instead of an answer; {university} and {reason}
+ *                    are filled in
+ *
+ * checkQuestion() runs before the question reaches the LLM provider or the
+ * stores; checkAnswer() runs on each store's answer and on the merged answer
+ * (abuse, and replies echoing the system prompts).
+ *
+ * Every block is recorded with recordBlocked() (storage.guardrailEvents) for
+ * the university admin, GET /university/guardrails/events. Questions in
+ * those events are always PII-redacted.
+ */
+
+const DEFAULT_GUARDRAILS = {
+    enabled: true,
+    promptInjection: true,
+    abuse: true,
+    redactPII: true,
+    idFormats: [],
+    blockedTerms: [],
+    refusalMessage: "Sorry, I can't help with that because {reason}. Please ask a question about {university}."
+};
+const SWITCHES = ["enabled", "promptInjection", "abuse", "redactPII"];
+const REFUSAL_MAX_LENGTH = 500;
+const BLOCKED_TERMS_MAX = 200;
+const ID_FORMATS_MAX = 20;
+const ID_FORMAT_PATTERN = /^[A-Za-z0-9\/.-]{4,30}$/;
+const EXCERPT_MAX_LENGTH = 200;
+
+const REASON_TEXT = {
+    prompt_injection: "it tries to change how the assistant works",
+    abuse: "it contains abusive language",
+    blocked_term: "it contains a blocked term",
+    prompt_leak: "the reply would expose internal instructions"
+};
+
+// Attempts to override or reveal the instructions the providers are given. Only wording aimed
+// at the assistant itself: "ignore the hostel rules" is a student question, not an attack.
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+)?(of\s+)?(the\s+)?(previous|prior|above|earlier|preceding)\s+(instructions?|prompts?|directions|messages?)\b/i,
+    /\b(ignore|disregard|forget|override|bypass)\s+(all\s+)?(of\s+)?your\s+(instructions?|prompts?|rules|guidelines|programming|training)\b/i,
+    /\b(system|hidden|initial|secret)\s+prompts?\b/i,
+    /\b(reveal|show|print|repeat|output|display|leak|tell me)\b.{0,40}\b(hidden|initial|original|secret)\s+(instructions?|message|rules)\b/i,
+    /\b(you are now|from now on,? you are|pretend (that )?you are)\b/i,
+    /\b(act as|pretend to be)\b.{0,40}\b(unrestricted|unfiltered|jailbroken|dan|developer mode|no rules)\b/i,
+    /\b(jailbreak|developer mode|dan mode)\b/i,
+    /<\/?\s*(system|assistant|instructions?)\s*>|\[\/?\s*(system|inst)\s*\]|^\s*(system|assistant)\s*:/im
+];
+
+// Abusive words, matched as whole words only (so "flame retardant" or "Scunthorpe" pass)
+const ABUSIVE_WORDS = [
+    "fuck", "fucks", "fucked", "fucker", "fuckers", "fucking", "motherfucker", "motherfuckers",
+    "shit", "shits", "shitty", "bullshit", "bitch", "bitches", "cunt", "cunts", "asshole", "assholes",
+    "bastard", "bastards", "dickhead", "dickheads", "retard", "retards", "retarded",
+    "whore", "whores", "slut", "sluts"
+];
+
+// Abuse and threats (case-insensitive)
+const ABUSE_PATTERNS = [
+    new RegExp(`\\b(${ABUSIVE_WORDS.join("|")})\\b`, "i"),
+    /\b(i will|i'll|gonna|going to)\s+(kill|shoot|stab|hurt|bomb)\b/i,
+    /\b(kill|shoot|stab|bomb)\s+(you|everyone|the (school|campus|university|teacher|professor))\b/i
+];
+
+// Fragments of the system prompts (llm/prompts.js) that never belong in an answer
+const PROMPT_LEAK_MARKERS = [
+    "you are a strict classifier and splitter",
+    "output requirements (must output only valid json",
+    "you rewrite a student's follow-up question",
+    "\"split_questions\""
+];
+
+const PII_PATTERNS = [
+    { label: "[EMAIL]", pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g },
+    // international or grouped phone numbers: +44 20 7946 0958, (555) 123-4567, 0300-1234567
+    { label: "[PHONE]", pattern: /(?<![\w+])(\+\d{1,3}[\s.-]?)?(\(\d{2,5}\)[\s.-]?|\d{2,5}[\s.-])\d{3,4}[\s.-]?\d{3,5}(?!\w)/g },
+    // roll numbers / USNs mixing letter and digit groups: 01FE21BCS123, 1MS21CS001 (plain amounts stay)
+    { label: "[ID]", pattern: /\b\d{0,2}[A-Z]{1,4}\d{2}[A-Z]{1,4}\d{2,4}\b/gi }
+];
+
+/**
+ * Effective guardrail settings of a university (its overrides on top of the defaults)
+ * @param {Object} [university]
+ * @returns {Object}
+ */
+function guardrailsFor(university) {
+    return { ...DEFAULT_GUARDRAILS, ...(university?.guardrails || {}) };
+}
+
+/**
+ * Whether a string is a valid ID format ("9" digit, "A" letter, other characters literal)
+ * @param {string} format
+ * @returns {boolean}
+ */
+function isIdFormat(format) {
+    return typeof format === "string" && ID_FORMAT_PATTERN.test(format) && /[9Aa]/.test(format);
+}
+
+// Helper: Regular expression matching an ID format
+function idFormatPattern(format) {
+    const body = [...format].map(c => {
+        if (c === "9") return "\\d";
+        if (c === "A" || c === "a") return "[A-Z]";
+        return c.replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&");
+    }).join("");
+    return new RegExp(`\\b${body}\\b`, "gi");
+}
+
+// Helper: First pattern matching a text, as { matched } (null when none)
+function firstMatch(patterns, text) {
+    for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match) return { matched: match[0] };
+    }
+    return null;
+}
+
+// Helper: Blocked term contained in a text (whole words, case-insensitive)
+function blockedTermIn(terms, text) {
+    const lower = String(text || "").toLowerCase();
+    const term = (terms || []).find(t => {
+        const escaped = String(t).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return escaped && new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(lower);
+    });
+    return term ? { matched: term } : null;
+}
+
+// Helper: Abuse / blocked-term check shared by questions and answers
+function checkContent(text, config) {
+    if (config.abuse) {
+        const abuse = firstMatch(ABUSE_PATTERNS, text);
+        if (abuse) return { reason: "abuse", ...abuse };
+    }
+    const term = blockedTermIn(config.blockedTerms, text);
+    if (term) return { reason: "blocked_term", ...term };
+    return null;
+}
+
+/**
+ * Check a student's question before it is processed
+ * @param {string} question
+ * @param {Object} config - guardrailsFor(university)
+ * @returns {Object|null} { reason, matched } when the question is blocked
+ */
+function checkQuestion(question, config) {
+    if (!config.enabled) return null;
+
+    if (config.promptInjection) {
+        const injection = firstMatch(INJECTION_PATTERNS, question);
+        if (injection) return { reason: "prompt_injection", ...injection };
+    }
+    return checkContent(question, config);
+}
+
+/**
+ * Check a generated answer (one store's, or the merged one) before it is shown
+ * @param {string} answer
+ * @param {Object} config - guardrailsFor(university)
+ * @returns {Object|null} { reason, matched } when the answer is blocked
+ */
+function checkAnswer(answer, config) {
+    if (!config.enabled) return null;
+
+    const lower = String(answer || "").toLowerCase();
+    const leak = PROMPT_LEAK_MARKERS.find(marker => lower.includes(marker));
+    if (leak) return { reason: "prompt_leak", matched: leak };
+
+    return checkContent(answer, config);
+}
+
+/**
+ * Mask phone numbers, ID numbers and email addresses
+ * @param {string} text
+ * @param {Object} [config] - guardrailsFor(university), for the university's idFormats
+ * @returns {string}
+ */
+function redactPII(text, config) {
+    if (!text) return text;
+    const patterns = [
+        ...(config?.idFormats || []).filter(isIdFormat).map(format => ({ label: "[ID]", pattern: idFormatPattern(format) })),
+        ...PII_PATTERNS
+    ];
+    return patterns.reduce((result, { label, pattern }) => result.replace(pattern, label), String(text));
+}
+
+// Student text (a question, a feedback comment) as written to provider logs
+// (redacted when the university asks for it)
+function loggableText(text, config) {
+    return config.enabled && config.redactPII ? redactPII(text, config) : text;
+}
+
+/**
+ * Reply sent instead of a blocked question's answer
+ * @param {Object} university
+ * @param {Object} config - guardrailsFor(university)
+ * @param {string} reason
+ * @returns {string}
+ */
+function refusalFor(university, config, reason) {
+    return String(config.refusalMessage || DEFAULT_GUARDRAILS.refusalMessage)
+        .replace(/\{university\}/g, university?.universityName || "your university")
+        .replace(/\{reason\}/g, REASON_TEXT[reason] || "it is not allowed");
+}
+
+// Helper: Shorten a text for an event record
+function excerpt(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    return clean.length <= EXCERPT_MAX_LENGTH ? clean : clean.slice(0, EXCERPT_MAX_LENGTH - 3) + "...";
+}
+
+/**
+ * Record a blocked question or answer for the university admin (never throws)
+ * @param {string} universityEmail
+ * @param {Object} event - { stage: "question" | "answer", reason, matched, studentEmail, sessionId, question, store?, answer? }
+ * @param {Object} [config] - guardrailsFor(university), for the university's idFormats
+ * @returns {Promise<void>}
+ */
+async function recordBlocked(universityEmail, { stage, reason, matched, studentEmail, sessionId, question, store, answer }, config) {
+    try {
+        await storage.guardrailEvents.append(universityEmail, {
+            stage,
+            reason,
+            matched: reason === "abuse" || reason === "blocked_term" ? matched : excerpt(redactPII(matched, config)),
+            student_email: studentEmail,
+            session_id: sessionId || null,
+            question: excerpt(redactPII(question, config)),
+            ...(store && { store_name: store }),
+            ...(answer && { answer_excerpt: excerpt(redactPII(answer, config)) }),
+            created_at: new Date().toISOString()
+        });
+    } catch (err) {
+        console.error("guardrail event log error:", err);
+    }
+}
+
+/**
+ * Blocked events of a university, newest first
+ * @param {string} universityEmail
+ * @param {Object} [filters] - { from, to, stage, reason }
+ * @returns {Promise<Object>} { total, byReason, byStage, events }
+ */
+async function listBlockedEvents(universityEmail, { from, to, stage, reason } = {}) {
+    const events = (await storage.guardrailEvents.list(universityEmail)).filter(e =>
+        (!from || new Date(e.created_at) >= new Date(from)) &&
+        (!to || new Date(e.created_at) <= new Date(to)) &&
+        (!stage || e.stage === stage) &&
+        (!reason || e.reason === reason)
+    );
+    events.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    const count = (field) => events.reduce((counts, e) => ({ ...counts, [e[field]]: (counts[e[field]] || 0) + 1 }), {});
+    return {
+        total: events.length,
+        byReason: count("reason"),
+        byStage: count("stage"),
+        events
+    };
+}
+
+module.exports = {
+    DEFAULT_GUARDRAILS,
+    SWITCHES,
+    REFUSAL_MAX_LENGTH,
+    BLOCKED_TERMS_MAX,
+    ID_FORMATS_MAX,
+    isIdFormat,
+    guardrailsFor,
+    checkQuestion,
+    checkAnswer,
+    redactPII,
+    loggableText,
+    refusalFor,
+    recordBlocked,
+    listBlockedEvents
+};
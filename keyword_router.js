@@ -0,0 +1,87 @@
+/**
+ * KEYWORD ROUTER
+ *
+ * Deterministic store routing from local metadata only, used when the LLM
+ * classifier is unavailable (no provider, provider error, unusable reply)
+ * and by the offline rules provider.
+ *
+ * Each store is one BM25 document made of its department name (weighted
+ * NAME_WEIGHT times), the account description and the titles of the files
+ * the department uploaded. Stores scoring at least MIN_SCORE and within
+ * RELATIVE_CUTOFF of the best score are selected.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+const NAME_WEIGHT = 3;
+const MIN_SCORE = 0.1;
+const RELATIVE_CUTOFF = 0.5;
+
+const STOPWORDS = new Set([
+    "the", "and", "for", "are", "what", "when", "where", "which", "who", "how", "why", "can",
+    "could", "would", "should", "will", "does", "did", "have", "has", "had", "was", "were",
+    "about", "with", "from", "into", "that", "this", "there", "their", "your", "you", "our",
+    "any", "all", "get", "please", "tell", "know", "need", "want", "than", "then", "not",
+    "got", "whom", "them", "they", "much", "many", "more", "some", "also", "here", "its",
+    "pdf", "doc", "docx", "txt", "json", "png", "jpg", "jpeg"
+]);
+
+// Helper: Searchable terms of a text (lowercased, no stopwords, naive plural stripping).
+// Letters of any script count (marks included, for Indic vowel signs), so non-English text has terms too.
+function tokenize(text) {
+    return String(text || "").toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(w => w.length > 2 && !STOPWORDS.has(w))
+        .map(w => (w.length > 4 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w));
+}
+
+// Helper: Terms of one store's metadata
+function storeTerms(store) {
+    const nameTerms = tokenize(store.department);
+    return [
+        ...Array.from({ length: NAME_WEIGHT }, () => nameTerms).flat(),
+        ...tokenize(store.description),
+        ...(store.documentTitles || []).flatMap(tokenize)
+    ];
+}
+
+/**
+ * Score stores against a question with BM25
+ * @param {Array} stores - [{ storeName, department, description, documentTitles }]
+ * @param {string} question
+ * @returns {Object} { stores: selected store names (best first), scores: { storeName: score } }
+ */
+function routeByKeywords(stores, question) {
+    const queryTerms = [...new Set(tokenize(question))];
+    const docs = stores.map((store) => {
+        const terms = storeTerms(store);
+        const frequency = new Map();
+        for (const term of terms) frequency.set(term, (frequency.get(term) || 0) + 1);
+        return { storeName: store.storeName, length: terms.length, frequency };
+    });
+
+    const averageLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1) || 1;
+    const scores = {};
+
+    for (const doc of docs) {
+        let score = 0;
+        for (const term of queryTerms) {
+            const tf = doc.frequency.get(term) || 0;
+            if (tf === 0) continue;
+
+            const containing = docs.filter(d => d.frequency.has(term)).length;
+            const idf = Math.log(1 + (docs.length - containing + 0.5) / (containing + 0.5));
+            score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+        }
+        scores[doc.storeName] = Math.round(score * 1000) / 1000;
+    }
+
+    const best = Math.max(0, ...Object.values(scores));
+    const selected = Object.entries(scores)
+        .filter(([, score]) => score >= MIN_SCORE && score >= best * RELATIVE_CUTOFF)
+        .sort((a, b) => b[1] - a[1])
+        .map(([storeName]) => storeName);
+
+    return { stores: selected, scores };
+}
+
+module.exports = { routeByKeywords, tokenize };
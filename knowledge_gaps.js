@@ -0,0 +1,190 @@
+const storage = require("./storage");
+const { tokenize } = require("./keyword_router");
+
+/**
+ * KNOWLEDGE GAPS
+ *
+ * Collects the questions the assistant could not answer well and groups
+ * them by topic, so departments know which notices or FAQs to upload next.
+ *
+ * A question counts as a gap when, in a department's provider log (answers
+ * withheld by guardrails excepted):
+ *   failed / timeout   the store lookup failed (response: null)
+ *   no_grounding       the store answered without quoting any document
+ *   low_confidence     the answer scored below the university's confidence
+ *                      threshold and was withheld (see confidence.js)
+ *   rated_unhelpful    the student gave the answer a thumbs down
+ *
+ * and, for university-wide reports, when the classifier could not route it
+ * (or part of it) to any department: `unrouted`, read from the
+ * unresolvedParts of the students' session messages.
+ *
+ * Topics are built without an LLM: questions are reduced to keywords (the
+ * keyword router's terms, so questions in any script have some) and
+ * grouped greedily with the first question of a cluster whose keywords they
+ * mostly share; the cluster's most frequent keywords name the topic.
+ */
+
+const SAMPLE_QUESTIONS = 10;
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Helper: Distinct keywords of a question
+function keywords(text) {
+    return [...new Set(tokenize(text))];
+}
+
+// Helper: Share of the smaller keyword set found in the other one
+function similarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const other = new Set(b);
+    const shared = a.filter(w => other.has(w)).length;
+    return shared / Math.min(a.length, b.length);
+}
+
+// Helper: Whether an ISO date falls in the report range
+function inRange(date, fromTime, toTime) {
+    const time = new Date(date).getTime();
+    return !isNaN(time) && time >= fromTime && time <= toTime;
+}
+
+// Helper: Why a provider log entry is a gap (null when it was answered well, or withheld by guardrails)
+function gapReason(entry) {
+    if (entry.status === "blocked") return null;
+    if (entry.status === "failed" || entry.status === "timeout") return entry.status;
+    if (entry.response === null || entry.response === undefined) return "failed";
+    if (entry.feedback?.rating === "down") return "rated_unhelpful";
+    if (Array.isArray(entry.grounding) && entry.grounding.length === 0) return "no_grounding";
+    if (entry.confidence?.below_threshold) return "low_confidence";
+    return null;
+}
+
+// Gaps from one department's provider logs
+async function departmentGaps(account, fromTime, toTime) {
+    const logs = await storage.providerLogs.list(account.accountEmail);
+    const gaps = [];
+    for (const entry of logs) {
+        const reason = gapReason(entry);
+        if (!reason || !inRange(entry.asked_at, fromTime, toTime)) continue;
+        gaps.push({
+            question: entry.question,
+            reason,
+            accountEmail: account.accountEmail,
+            department: account.accountName || account.accountEmail,
+            askedAt: entry.asked_at,
+            studentEmail: entry.user_email || null,
+            sessionId: entry.session_id || null,
+            messageIndex: entry.message_index ?? null
+        });
+    }
+    return gaps;
+}
+
+// Question parts no department could take, from the university's student sessions
+// (messages blocked by guardrails are not gaps)
+async function unroutedGaps(universityEmail, fromTime, toTime) {
+    const gaps = [];
+    for (const session of await storage.sessions.listByUniversity(universityEmail)) {
+        (session.messages || []).forEach((message, messageIndex) => {
+            if (message.blocked || !inRange(message.timestamp, fromTime, toTime)) return;
+            for (const part of message.unresolvedParts || []) {
+                gaps.push({
+                    question: part.text || String(part),
+                    reason: "unrouted",
+                    accountEmail: null,
+                    department: null,
+                    askedAt: message.timestamp,
+                    studentEmail: session.email,
+                    sessionId: session.sessionId,
+                    messageIndex
+                });
+            }
+        });
+    }
+    return gaps;
+}
+
+// Group gaps by topic, largest clusters first
+function clusterGaps(gaps) {
+    const clusters = [];
+    for (const gap of gaps) {
+        const words = keywords(gap.question);
+        const cluster = clusters.find(c => similarity(words, c.seed) >= SIMILARITY_THRESHOLD);
+        if (cluster) {
+            cluster.items.push({ gap, words });
+        } else {
+            clusters.push({ seed: words, items: [{ gap, words }] });
+        }
+    }
+
+    return clusters.map(({ items }) => {
+        const frequency = new Map();
+        const reasons = {};
+        const departments = new Set();
+        const sessions = new Map();
+
+        for (const { gap, words } of items) {
+            for (const w of words) frequency.set(w, (frequency.get(w) || 0) + 1);
+            reasons[gap.reason] = (reasons[gap.reason] || 0) + 1;
+            if (gap.accountEmail) departments.add(gap.accountEmail);
+            if (gap.sessionId) {
+                sessions.set(`${gap.studentEmail}|${gap.sessionId}|${gap.messageIndex}`, {
+                    studentEmail: gap.studentEmail,
+                    sessionId: gap.sessionId,
+                    messageIndex: gap.messageIndex
+                });
+            }
+        }
+
+        const topKeywords = [...frequency.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([w]) => w);
+
+        return {
+            topic: topKeywords.join(" ") || "other",
+            keywords: topKeywords,
+            count: items.length,
+            reasons,
+            departments: [...departments],
+            questions: items
+                .map(({ gap }) => gap)
+                .sort((a, b) => new Date(b.askedAt) - new Date(a.askedAt))
+                .slice(0, SAMPLE_QUESTIONS)
+                .map(({ question, reason, department, askedAt }) => ({ question, reason, department, askedAt })),
+            sessions: [...sessions.values()]
+        };
+    }).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Knowledge-gap report over a date range
+ * @param {Object} params
+ * @param {Array} params.accounts - Department accounts whose provider logs are included
+ * @param {string} [params.universityEmail] - Also include unrouted questions of this university's students
+ * @param {string} [params.from] - ISO date, inclusive
+ * @param {string} [params.to] - ISO date, inclusive
+ * @returns {Promise<Object>} { totalQuestions, byReason, clusters }
+ */
+async function buildGapReport({ accounts, universityEmail, from, to }) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const gaps = [];
+    for (const account of accounts) {
+        gaps.push(...await departmentGaps(account, fromTime, toTime));
+    }
+    if (universityEmail) {
+        gaps.push(...await unroutedGaps(universityEmail, fromTime, toTime));
+    }
+
+    const byReason = {};
+    for (const gap of gaps) byReason[gap.reason] = (byReason[gap.reason] || 0) + 1;
+
+    return {
+        totalQuestions: gaps.length,
+        byReason,
+        clusters: clusterGaps(gaps)
+    };
+}
+
+module.exports = { buildGapReport };
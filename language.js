@@ -0,0 +1,123 @@
+/**
+ * QUESTION LANGUAGE
+ *
+ * Students may ask in any supported language; departments' documents,
+ * prompts and provider logs stay in English. The ask pipeline:
+ *
+ *   1. detects the question's language (detectLanguage: by script, plus
+ *      common words for Hindi typed in Latin letters)
+ *   2. picks the answer language (resolveLanguage): the language the student
+ *      requested, else the detected one, when the university supports it;
+ *      otherwise the university's default
+ *   3. routes and retrieves with an English rendering of non-English questions
+ *   4. translates the answer into the answer language
+ *
+ * Translation goes through the university's LLM provider; without one (or
+ * with the rules provider) the question is used as typed and the answer is
+ * returned untranslated (`language.translated: false`).
+ *
+ * Per university: university.languages { supported: [codes], default: code },
+ * set through PUT /university/languages. Without it ASK_LANGUAGES (default
+ * "en,hi,kn") and ASK_DEFAULT_LANGUAGE (default "en") apply.
+ */
+
+const LANGUAGES = {
+    en: { name: "English", script: /[a-z]/gi },
+    hi: { name: "Hindi", script: /[\u0900-\u097F]/g },
+    mr: { name: "Marathi", script: /[\u0900-\u097F]/g },
+    kn: { name: "Kannada", script: /[\u0C80-\u0CFF]/g },
+    ta: { name: "Tamil", script: /[\u0B80-\u0BFF]/g },
+    te: { name: "Telugu", script: /[\u0C00-\u0C7F]/g },
+    ml: { name: "Malayalam", script: /[\u0D00-\u0D7F]/g },
+    bn: { name: "Bengali", script: /[\u0980-\u09FF]/g },
+    gu: { name: "Gujarati", script: /[\u0A80-\u0AFF]/g },
+    pa: { name: "Punjabi", script: /[\u0A00-\u0A7F]/g },
+    ur: { name: "Urdu", script: /[\u0600-\u06FF]/g }
+};
+const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+const DEFAULT_SETTINGS = {
+    supported: (process.env.ASK_LANGUAGES || "en,hi,kn").split(",").map(c => c.trim()).filter(c => LANGUAGES[c]),
+    default: LANGUAGES[process.env.ASK_DEFAULT_LANGUAGE] ? process.env.ASK_DEFAULT_LANGUAGE : "en"
+};
+
+// Hindi typed in Latin letters ("library kab khulti hai?"): two or more of these words
+const ROMAN_HINDI_WORDS = new Set([
+    "kya", "kab", "kaise", "kahan", "kaha", "kaun", "kyun", "kyon", "kitna", "kitni", "kitne",
+    "hai", "hain", "hoga", "hogi", "mujhe", "mera", "meri", "mere", "nahi", "nahin", "chahiye",
+    "karna", "karein", "batao", "bataiye", "aur", "ke", "ki", "ka", "se", "mein", "liye"
+]);
+const ROMAN_HINDI_MIN_WORDS = 2;
+
+/**
+ * Language a text is written in
+ * @param {string} text
+ * @param {string[]} [preferred] - Codes to choose first among languages sharing a script (e.g. hi / mr)
+ * @returns {string} Language code (en when nothing else is recognized)
+ */
+function detectLanguage(text, preferred = []) {
+    const value = String(text || "");
+    const counts = LANGUAGE_CODES
+        .map(code => ({ code, count: (value.match(LANGUAGES[code].script) || []).length }))
+        .filter(c => c.count > 0);
+
+    const best = Math.max(0, ...counts.map(c => c.count));
+    const top = counts.filter(c => c.count === best).map(c => c.code);
+
+    if (top.length === 0) return "en";
+    if (top.includes("en") && top.length === 1) {
+        const words = value.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+        return words.filter(w => ROMAN_HINDI_WORDS.has(w)).length >= ROMAN_HINDI_MIN_WORDS ? "hi" : "en";
+    }
+    return top.find(code => preferred.includes(code)) || top[0];
+}
+
+/**
+ * Effective language settings of a university
+ * @param {Object} [university]
+ * @returns {Object} { supported: [codes], default: code }
+ */
+function languageSettingsFor(university) {
+    const configured = university?.languages || {};
+    return {
+        supported: configured.supported?.length ? configured.supported : DEFAULT_SETTINGS.supported,
+        default: configured.default || DEFAULT_SETTINGS.default
+    };
+}
+
+/**
+ * Language of a question and the language to answer it in
+ * @param {string} question
+ * @param {Object} settings - languageSettingsFor(university)
+ * @param {string} [requested] - Language code the student asked for
+ * @returns {Object} { code, name, detected, source: "requested" | "detected" | "default" }
+ */
+function resolveLanguage(question, settings, requested) {
+    const detected = detectLanguage(question, settings.supported);
+    const supported = (code) => settings.supported.includes(code) || code === settings.default;
+
+    let code = settings.default;
+    let source = "default";
+    if (requested && LANGUAGES[requested] && supported(requested)) {
+        code = requested;
+        source = "requested";
+    } else if (supported(detected)) {
+        code = detected;
+        source = "detected";
+    }
+
+    return { code, name: LANGUAGES[code].name, detected, source };
+}
+
+// Name of a language code (for prompts)
+function languageName(code) {
+    return LANGUAGES[code]?.name || code;
+}
+
+module.exports = {
+    LANGUAGE_CODES,
+    detectLanguage,
+    languageSettingsFor,
+    resolveLanguage,
+    languageName
+};
@@ -0,0 +1,42 @@
+const { rewritePrompt, classifyPrompt, SYNTHESIS_PROMPT, translatePrompt, parseModelJson } = require('./prompts');
+
+/**
+ * Build the provider interface on top of a chat-completion function
+ * @param {string} name - Provider name reported in logs
+ * @param {Function} complete - async (systemPrompt, userContent) => reply text
+ * @returns {Object} { name, rewrite, classify, synthesize, translate }
+ */
+const createChatProvider = (name, complete) => ({
+    name,
+
+    rewrite: async (history, question) => {
+        const reply = await complete(rewritePrompt(history), question);
+        return String(reply || '').trim() || question;
+    },
+
+    // null when the reply is not valid JSON
+    classify: async (stores, question) => {
+        const reply = await complete(classifyPrompt(stores.map(s => s.storeName)), question);
+        if (!reply) return { stores: [], split_questions: {}, unanswered: [] };
+        return parseModelJson(reply);
+    },
+
+    // null when the reply has no usable answer
+    synthesize: async (question, answers) => {
+        const parsed = parseModelJson(await complete(SYNTHESIS_PROMPT, JSON.stringify({ question, answers })));
+        if (!parsed || typeof parsed.answer !== 'string' || !parsed.answer.trim()) return null;
+
+        return {
+            answer: parsed.answer.trim(),
+            contradictions: Array.isArray(parsed.contradictions) ? parsed.contradictions : []
+        };
+    },
+
+    // null when the reply is empty
+    translate: async (text, languageName) => {
+        const reply = String(await complete(translatePrompt(languageName), text) || '').trim();
+        return reply || null;
+    }
+});
+
+module.exports = { createChatProvider };
@@ -0,0 +1,23 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createChatProvider } = require('./chat_provider');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+/**
+ * Gemini provider (the university's assigned Gemini key)
+ * @param {Object} config - { apiKey, model }
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL }) => {
+    const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+    return createChatProvider('gemini', async (systemPrompt, userContent) => {
+        const result = await generativeModel.generateContent({
+            contents: userContent,
+            system_instruction: systemPrompt,
+            generationConfig: { temperature: 0.0 }
+        });
+        return result.response?.text?.() || '';
+    });
+};
+
+module.exports = { createGeminiProvider };
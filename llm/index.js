@@ -0,0 +1,170 @@
+/**
+ * LLM PROVIDERS
+ *
+ * The ask pipeline's language tasks go through one interface, so a
+ * university can run on Gemini, on any OpenAI-compatible server (including a
+ * local model server) or fully offline:
+ *
+ *   rewrite(history, question)      -> standalone question
+ *   classify(stores, question)      -> { stores, split_questions, unanswered } | null
+ *   synthesize(question, answers)   -> { answer, contradictions } | null
+ *   translate(text, languageName)   -> translated text | null
+ *
+ * `stores` are { storeName, department, description, documentTitles } and
+ * `answers` { department, answer }.
+ * Providers throw on transport errors; the pipeline falls back as it does
+ * when no provider is available (keyword routing, no rewrite, answers per
+ * department, no translation).
+ *
+ * Implementations:
+ *
+ *   gemini  (default) - the university's assigned Gemini key, see llm/gemini.js
+ *   openai            - POST <baseUrl>/chat/completions, see llm/openai_compatible.js
+ *   rules             - deterministic, no network, see llm/rules.js
+ *
+ * Selected per university by `university.llmProvider`
+ * ({ type, baseUrl, model, apiKey }, set through PUT /university/llm-provider),
+ * otherwise by LLM_PROVIDER. Without a baseUrl of its own, the openai
+ * provider uses the operator's OPENAI_BASE_URL / OPENAI_API_KEY / OPENAI_MODEL
+ * (the university's apiKey and model, when set, replace the latter two); a
+ * university with its own baseUrl must also supply its own apiKey, so the
+ * operator's key is never sent to a host the university chose.
+ *
+ * A university's own baseUrl must be https on a public host (checkBaseUrl):
+ * the server calls it with stored keys, so it must not reach loopback,
+ * private or link-local addresses (cloud metadata, internal services). The
+ * host is resolved again on every request (publicLookup) and redirects are
+ * not followed, so neither DNS rebinding nor a redirect can reach them. Local
+ * model servers are configured by the operator through OPENAI_BASE_URL.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openai_compatible');
+const { createRulesProvider } = require('./rules');
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+const OPENAI_DEFAULTS = {
+    baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.OPENAI_API_KEY || null,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+};
+
+// Addresses a university's baseUrl may not point to
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+const INTERNAL_HOSTNAME = /(^localhost$|\.localhost$|\.local$|\.internal$|^[^.]+$)/i;
+
+// Helper: Whether an IP address is loopback, private, link-local or otherwise not public
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Helper: Why a baseUrl is refused without resolving its host (null when it may be used)
+const baseUrlProblem = (baseUrl) => {
+    let url;
+    try {
+        url = new URL(baseUrl);
+    } catch {
+        return 'baseUrl must be a valid URL';
+    }
+    if (url.protocol !== 'https:') return 'baseUrl must be an https URL';
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return isBlockedAddress(host) ? 'baseUrl must not point to a private or local address' : null;
+    if (INTERNAL_HOSTNAME.test(host)) return 'baseUrl must not point to a private or local address';
+    return null;
+};
+
+// Helper: dns.lookup for connections to a university's baseUrl, failing when
+// the host resolves to an address it may not point to
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(a => isBlockedAddress(a.address))) {
+            const refused = new Error(`${hostname} resolves to a private or local address`);
+            refused.code = 'EADDRNOTALLOWED';
+            return callback(refused);
+        }
+        callback(null, address, family);
+    });
+};
+
+/**
+ * Check a baseUrl a university wants its OpenAI-compatible provider to use
+ * @param {string} baseUrl
+ * @returns {Promise<string|null>} Why it is refused, or null when it may be used
+ */
+const checkBaseUrl = async (baseUrl) => {
+    const problem = baseUrlProblem(baseUrl);
+    if (problem) return problem;
+
+    const host = new URL(baseUrl).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return null;
+    try {
+        const addresses = await dns.promises.lookup(host, { all: true });
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            return 'baseUrl must not point to a private or local address';
+        }
+    } catch {
+        return 'baseUrl host could not be resolved';
+    }
+    return null;
+};
+
+const PROVIDERS = {
+    gemini: (config, university) => {
+        const apiKey = university?.apiKeyInfo?.key;
+        return apiKey ? createGeminiProvider({ apiKey, ...(config.model && { model: config.model }) }) : null;
+    },
+    // a university's own baseUrl is only called with its own key, and a stored baseUrl
+    // that is no longer acceptable disables the provider rather than being called
+    openai: (config) => {
+        if (!config.baseUrl) {
+            return createOpenAICompatibleProvider({
+                baseUrl: OPENAI_DEFAULTS.baseUrl,
+                apiKey: config.apiKey || OPENAI_DEFAULTS.apiKey,
+                model: config.model || OPENAI_DEFAULTS.model
+            });
+        }
+        if (!config.apiKey || baseUrlProblem(config.baseUrl)) return null;
+        return createOpenAICompatibleProvider({
+            baseUrl: config.baseUrl,
+            apiKey: config.apiKey,
+            model: config.model || OPENAI_DEFAULTS.model,
+            lookup: publicLookup
+        });
+    },
+    rules: () => createRulesProvider()
+};
+
+const PROVIDER_TYPES = Object.keys(PROVIDERS);
+
+if (!PROVIDERS[DEFAULT_PROVIDER]) {
+    throw new Error(`Unknown LLM_PROVIDER "${DEFAULT_PROVIDER}". Use one of: ${PROVIDER_TYPES.join(', ')}`);
+}
+
+/**
+ * The LLM provider configured for a university
+ * @param {Object} university - University record
+ * @returns {Object|null} Provider, or null when it cannot be used (e.g. Gemini without a key)
+ */
+const providerForUniversity = (university) => {
+    const config = university?.llmProvider || {};
+    const type = PROVIDERS[config.type] ? config.type : DEFAULT_PROVIDER;
+    return PROVIDERS[type](config, university);
+};
+
+module.exports = {
+    PROVIDER_TYPES,
+    checkBaseUrl,
+    providerForUniversity
+};
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const https = require('https');
+const { createChatProvider } = require('./chat_provider');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * OpenAI-compatible provider: any server exposing POST <baseUrl>/chat/completions
+ * (OpenAI, vLLM, llama.cpp server, Ollama's /v1, ...)
+ * @param {Object} config - { baseUrl, apiKey, model, lookup? }; `lookup` replaces
+ *   dns.lookup for the connections (used to refuse private addresses)
+ */
+const createOpenAICompatibleProvider = ({ baseUrl, apiKey, model, lookup }) => {
+    const url = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+    const httpsAgent = lookup ? new https.Agent({ lookup }) : undefined;
+
+    return createChatProvider('openai', async (systemPrompt, userContent) => {
+        const response = await axios.post(url, {
+            model,
+            temperature: 0,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userContent }
+            ]
+        }, {
+            timeout: REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            ...(httpsAgent && { httpsAgent }),
+            headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+        });
+        return response.data?.choices?.[0]?.message?.content || '';
+    });
+};
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,114 @@
+/**
+ * PROMPTS
+ *
+ * System prompts and reply parsing shared by the chat-completion providers
+ * (Gemini, OpenAI-compatible). Every prompt asks for deterministic output and
+ * is sent with temperature 0.
+ */
+
+// Follow-up rewriting: the conversation is part of the system prompt, the question is the user content
+const rewritePrompt = (history) => {
+    const transcript = history
+        .map(t => `Student: ${t.question}\nAssistant: ${t.answer}`)
+        .join('\n\n');
+
+    return `
+You rewrite a student's follow-up question into a standalone question.
+Use the conversation below only to resolve references ("that", "it", "the fee", ...).
+If the question is already standalone, return it unchanged.
+Return ONLY the rewritten question, no quotes, no explanation.
+
+CONVERSATION:
+${transcript}
+`.trim();
+};
+
+// Store classification: TIGHT system prompt — explicit JSON only
+const classifyPrompt = (storeNames) => `
+You are a strict classifier and splitter. INPUT:
+- stores list (names only): ${JSON.stringify(storeNames)}
+- user's question (provided as the user content)
+
+TASK:
+1) Decide which of the stores from the list can answer whole or parts of the user's question.
+2) If some part belongs to a store, rewrite that part clearly and put it in split_questions under that store name.
+3) If a part belongs to multiple stores, include it under all relevant store keys.
+4) If a part cannot be answered by any store, include that part in "unanswered" with a short "reason".
+
+OUTPUT REQUIREMENTS (must output only valid JSON, nothing else):
+{
+  "stores": ["store1","store2"],               // exact store names from the provided list (or empty array)
+  "split_questions": {                         // mapping store -> rewritten question part
+     "store1": "rewritten part for store1",
+     "store2": "rewritten part for store2"
+  },
+  "unanswered": [                              // list of {text, reason}
+     { "text": "original part text", "reason": "why no store can answer" }
+  ]
+}
+
+If NO store can answer, return:
+{
+  "stores": [],
+  "split_questions": {},
+  "unanswered": [{ "text": "<full question>", "reason": "No department can answer this" }]
+}
+
+Do NOT return any extra text, commentary, or explanation. Return valid JSON only.
+`.trim();
+
+// Answer synthesis: the question and the departments' answers are the user content (JSON)
+const SYNTHESIS_PROMPT = `
+You combine answers from several university departments into ONE reply to a student.
+INPUT (user content): the student's question and the departments' answers as JSON.
+
+RULES:
+1) Write a single coherent answer; do not repeat the same fact twice.
+2) Attribute facts to their department by name, e.g. "According to the Library, ...".
+3) Never mention internal store names or identifiers.
+4) If departments contradict each other, do NOT pick one: state both and say they differ,
+   and list the contradiction in "contradictions".
+5) Use only the given answers; add nothing else.
+
+OUTPUT (valid JSON only, nothing else):
+{
+  "answer": "the combined answer",
+  "contradictions": [
+     { "topic": "what they disagree on", "departments": ["Dept A","Dept B"], "details": "short summary" }
+  ]
+}
+`.trim();
+
+// Translation: the text to translate is the user content
+const translatePrompt = (languageName) => `
+You translate text for a university help desk into ${languageName}.
+Keep names of people, departments, documents and places, numbers, dates, URLs, email
+addresses and markdown formatting unchanged.
+If the text is already in ${languageName}, return it unchanged.
+Return ONLY the translation, no quotes, no explanation.
+`.trim();
+
+// Parse a model's JSON reply — try direct parse, otherwise extract the {...} substring
+const parseModelJson = (txt) => {
+    const raw = String(txt || '').trim();
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        const start = raw.indexOf('{');
+        const end = raw.lastIndexOf('}');
+        if (start !== -1 && end !== -1) {
+            try {
+                return JSON.parse(raw.slice(start, end + 1));
+            } catch (e2) { /* fall through */ }
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    rewritePrompt,
+    classifyPrompt,
+    SYNTHESIS_PROMPT,
+    translatePrompt,
+    parseModelJson
+};
@@ -0,0 +1,48 @@
+const { routeByKeywords } = require('../keyword_router');
+
+/**
+ * Rules provider: deterministic, no model and no network, for offline use.
+ *
+ *   classify    keyword (BM25) routing over the stores' department names,
+ *               descriptions and document titles, see keyword_router.js;
+ *               every store when none matches
+ *   rewrite     short questions that refer back ("what about that?") get the
+ *               previous question appended as context
+ *   synthesize  not supported (null): answers are shown per department
+ *   translate   not supported (null): questions and answers stay as they are
+ */
+
+const REFERRING_WORDS = new Set(['it', 'its', 'that', 'this', 'those', 'these', 'they', 'them', 'there', 'same']);
+const SHORT_QUESTION_WORDS = 8;
+
+// Helper: Lowercase words of a text
+const words = (text) => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const createRulesProvider = () => ({
+    name: 'rules',
+
+    rewrite: async (history, question) => {
+        const questionWords = words(question);
+        const refersBack = questionWords.some(w => REFERRING_WORDS.has(w)) || /^\s*(and|what about|how about)\b/i.test(question);
+        if (history.length === 0 || questionWords.length > SHORT_QUESTION_WORDS || !refersBack) return question;
+
+        const previous = history[history.length - 1].question;
+        return `${question.trim()} (regarding: ${previous})`;
+    },
+
+    classify: async (stores, question) => {
+        const matched = routeByKeywords(stores, question).stores;
+
+        return {
+            stores: matched.length > 0 ? matched : stores.map(s => s.storeName),
+            split_questions: {},
+            unanswered: []
+        };
+    },
+
+    synthesize: async () => null,
+
+    translate: async () => null
+});
+
+module.exports = { createRulesProvider };
@@ -0,0 +1,136 @@
+const { ROLES } = require('./auth');
+
+/**
+ * AUTHORIZATION POLICY
+ *
+ * Every protected route declares which rule it needs:
+ *
+ *   router.get('/accounts/delete',
+ *       authorize('account:manage', req => readAccount(req.query.accountEmail)),
+ *       handler);
+ *
+ * A rule lists the roles allowed to attempt the action and, optionally, a
+ * check against the resource the request targets. The resource is loaded by
+ * the route (it owns its own readers). When the loader finds nothing, the
+ * request is passed through so the handler can answer 404 as it always has.
+ */
+
+const { UNIVERSITY_ADMIN, ACCOUNT, STUDENT, DEVELOPER } = ROLES;
+
+const RULES = {
+    // University admin acting on its own university record
+    'university:self': {
+        roles: [UNIVERSITY_ADMIN]
+    },
+
+    // Department account acting on its own record, uploads and tickets
+    'account:self': {
+        roles: [ACCOUNT]
+    },
+
+    // Student acting on its own profile, tickets and chat sessions
+    'student:self': {
+        roles: [STUDENT]
+    },
+
+    // Platform operators only (/developer/*)
+    'system:operate': {
+        roles: [DEVELOPER]
+    },
+
+    // University admin creating, updating or deleting one of its accounts
+    'account:manage': {
+        roles: [UNIVERSITY_ADMIN],
+        check: (user, account) => account.universityEmail === user.universityEmail,
+        message: 'This account does not belong to your university'
+    },
+
+    // Reading an account's details: its university admin or any account of the same university
+    'account:read': {
+        roles: [UNIVERSITY_ADMIN, ACCOUNT],
+        check: (user, account) => account.universityEmail === user.universityEmail,
+        message: 'Access denied. This account belongs to a different university.'
+    },
+
+    // Listing the students of the caller's university
+    'student:list': {
+        roles: [UNIVERSITY_ADMIN]
+    },
+
+    // University admin deleting or (de)activating one of its students
+    'student:manage': {
+        roles: [UNIVERSITY_ADMIN],
+        check: (user, student) => student.universityEmail === user.universityEmail,
+        message: 'This student does not belong to your university'
+    },
+
+    // Only the department a ticket is addressed to may solve it
+    'ticket:solve': {
+        roles: [ACCOUNT],
+        check: (user, ticket) => ticket.accountEmail === user.email,
+        message: 'This ticket is not addressed to your department'
+    },
+
+    // Provider logs: the department itself, or its university admin
+    'providerLogs:read': {
+        roles: [ACCOUNT, UNIVERSITY_ADMIN],
+        check: (user, account) => (
+            user.role === ACCOUNT
+                ? account.accountEmail === user.email
+                : account.universityEmail === user.universityEmail
+        ),
+        message: 'Access denied. These logs belong to a different department.'
+    }
+};
+
+/**
+ * Decide whether a caller may perform an action
+ * @param {Object} user - req.user as set by authenticate()
+ * @param {string} ruleName - Key of RULES
+ * @param {Object} [resource] - Target record for rules with a check
+ * @returns {boolean}
+ */
+const can = (user, ruleName, resource) => {
+    const rule = RULES[ruleName];
+    if (!rule) throw new Error(`Unknown policy rule: ${ruleName}`);
+
+    if (!user || !rule.roles.includes(user.role)) return false;
+    if (rule.check && resource) return rule.check(user, resource);
+    return true;
+};
+
+/**
+ * Middleware enforcing a rule, answering 403 when it does not hold
+ * @param {string} ruleName - Key of RULES
+ * @param {Function} [loadResource] - async (req) => target record or null
+ */
+const authorize = (ruleName, loadResource) => {
+    const rule = RULES[ruleName];
+    if (!rule) throw new Error(`Unknown policy rule: ${ruleName}`);
+
+    return async (req, res, next) => {
+        try {
+            if (!can(req.user, ruleName)) {
+                return res.status(403).json({ error: 'You are not allowed to perform this action' });
+            }
+
+            if (rule.check && loadResource) {
+                const resource = await loadResource(req);
+                if (resource && !can(req.user, ruleName, resource)) {
+                    return res.status(403).json({ error: rule.message || 'Access denied' });
+                }
+            }
+
+            next();
+        } catch (error) {
+            console.error(`Policy "${ruleName}" error:`, error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+};
+
+module.exports = {
+    RULES,
+    can,
+    authorize
+};
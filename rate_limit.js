@@ -0,0 +1,170 @@
+const storage = require('./storage');
+
+/**
+ * ASK RATE LIMITS
+ *
+ * Protects a university's Gemini quota from a single student:
+ *
+ *   studentPerMinute       questions per minute per student (token bucket refill)
+ *   studentBurst           questions a student may send back to back (bucket size)
+ *   universityDailyQuota   questions per university per UTC day (0 = unlimited)
+ *
+ * Defaults come from ASK_RATE_PER_MINUTE (10), ASK_RATE_BURST (5) and
+ * ASK_DAILY_QUOTA (1000); a developer can override them per university
+ * (university.rateLimits). Rejected requests get 429 with a Retry-After
+ * header (seconds). Student requests that do not reach Gemini but should not
+ * be sent in bulk either (raising a ticket from an answer) take from the
+ * same student bucket without using the quota: limitStudent.
+ *
+ * Student buckets live in this process's memory; the daily quota is counted
+ * in storage (storage.quotas) so it survives restarts.
+ */
+
+const DEFAULT_LIMITS = {
+    studentPerMinute: parseInt(process.env.ASK_RATE_PER_MINUTE, 10) || 10,
+    studentBurst: parseInt(process.env.ASK_RATE_BURST, 10) || 5,
+    universityDailyQuota: process.env.ASK_DAILY_QUOTA !== undefined
+        ? parseInt(process.env.ASK_DAILY_QUOTA, 10) || 0
+        : 1000
+};
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+const MAX_IDLE_BUCKETS = 10000;
+
+// studentEmail -> { tokens, updatedAt }
+const buckets = new Map();
+// Requests rejected since start
+const rejected = { rateLimited: 0, quotaExceeded: 0 };
+
+// Helper: Current UTC day (quota period)
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Helper: Seconds until the next UTC day starts
+const secondsUntilTomorrow = () => {
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((tomorrow - now.getTime()) / 1000);
+};
+
+// Helper: Quota counter key of a university
+const quotaKey = (universityEmail) => `ask:${universityEmail}`;
+
+/**
+ * Effective limits of a university (its overrides on top of the defaults)
+ * @param {Object} [university]
+ * @returns {Object} { studentPerMinute, studentBurst, universityDailyQuota }
+ */
+const limitsFor = (university) => ({ ...DEFAULT_LIMITS, ...(university?.rateLimits || {}) });
+
+// Drop buckets that have refilled completely once too many students are tracked
+const pruneBuckets = (limits) => {
+    if (buckets.size <= MAX_IDLE_BUCKETS) return;
+    const refillMs = (limits.studentBurst / limits.studentPerMinute) * 60 * 1000;
+    for (const [email, bucket] of buckets) {
+        if (Date.now() - bucket.updatedAt > refillMs) buckets.delete(email);
+    }
+};
+
+// Take one token from a student's bucket; resolves to 0 or the seconds to wait
+const takeToken = (email, limits) => {
+    const ratePerMs = limits.studentPerMinute / 60000;
+    const now = Date.now();
+    const bucket = buckets.get(email) || { tokens: limits.studentBurst, updatedAt: now };
+
+    bucket.tokens = Math.min(limits.studentBurst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+    buckets.set(email, bucket);
+    pruneBuckets(limits);
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / ratePerMs / 1000);
+};
+
+// Helper: 429 response with Retry-After
+const tooManyRequests = (res, retryAfter, error, details) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error, retryAfter, ...details });
+};
+
+// Helper: Take a token for the student, answering 429 when there is none; resolves to whether it did
+const rateLimited = (res, email, limits) => {
+    const wait = takeToken(email, limits);
+    if (wait === 0) return false;
+
+    rejected.rateLimited++;
+    tooManyRequests(res, wait, 'Too many questions, please slow down', {
+        limit: { perMinute: limits.studentPerMinute, burst: limits.studentBurst }
+    });
+    return true;
+};
+
+// Middleware: enforce the student rate limit and the university's daily quota (after authenticate)
+const limitAsk = async (req, res, next) => {
+    try {
+        const { email, universityEmail } = req.user;
+        const university = await storage.universities.get(universityEmail);
+        const limits = limitsFor(university);
+
+        if (rateLimited(res, email, limits)) return;
+
+        const quota = await storage.quotas.consume(quotaKey(universityEmail), today(), limits.universityDailyQuota);
+        if (!quota.allowed) {
+            rejected.quotaExceeded++;
+            return tooManyRequests(res, secondsUntilTomorrow(), 'Daily question quota of your university reached', {
+                limit: { daily: limits.universityDailyQuota }
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Middleware: enforce only the student rate limit (after authenticate)
+const limitStudent = async (req, res, next) => {
+    try {
+        const { email, universityEmail } = req.user;
+        const university = await storage.universities.get(universityEmail);
+        if (rateLimited(res, email, limitsFor(university))) return;
+        next();
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+/**
+ * Today's question usage of a university
+ * @param {Object} university
+ * @returns {Promise<Object>} { day, used, quota, remaining, limits }
+ */
+const usageFor = async (university) => {
+    const limits = limitsFor(university);
+    const day = today();
+    const used = await storage.quotas.get(quotaKey(university.email), day);
+    const quota = limits.universityDailyQuota;
+
+    return {
+        day,
+        used,
+        quota: quota || null,
+        remaining: quota ? Math.max(0, quota - used) : null,
+        limits
+    };
+};
+
+// Rejections since the process started
+const rejectedCounts = () => ({ ...rejected });
+
+module.exports = {
+    LIMIT_FIELDS,
+    limitAsk,
+    limitStudent,
+    limitsFor,
+    usageFor,
+    rejectedCounts
+};
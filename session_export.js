@@ -0,0 +1,179 @@
+const path = require("path");
+const ejs = require("ejs");
+const archiver = require("archiver");
+const storage = require("./storage");
+
+/**
+ * SESSION EXPORT
+ *
+ * Renders a student's chat session so it can be kept outside the app (e.g.
+ * admission requirements):
+ *
+ *   markdown  .md    questions, answers, departments, sources, timestamps
+ *   html      .html  self-contained printable page (views/session_export.ejs),
+ *                    "Print / Save as PDF" from the browser gives the PDF
+ *   json      .json  the same export view as JSON
+ *
+ * Every format is built from exportView(): per message the question (and the
+ * rewritten standalone question), the merged answer, the departments that
+ * answered (from the per-store latency record, or the citations) and the
+ * citations. writeSessionsZip() streams one file per session into a zip.
+ */
+
+const FORMATS = {
+    markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+    html: { extension: "html", contentType: "text/html; charset=utf-8" },
+    json: { extension: "json", contentType: "application/json; charset=utf-8" }
+};
+const EXPORT_FORMATS = Object.keys(FORMATS);
+const VIEW_PATH = path.join(__dirname, "views", "session_export.ejs");
+const FILENAME_MAX_LENGTH = 60;
+
+// Helper: Department names of the accounts that answered a message
+async function answeringDepartments(message, accountNames) {
+    const emails = [...new Set((message.latency?.stores || [])
+        .filter(s => s.status === "ok" && s.accountEmail)
+        .map(s => s.accountEmail))];
+
+    const names = [];
+    for (const email of emails) {
+        if (!accountNames.has(email)) {
+            const account = await storage.accounts.get(email).catch(() => null);
+            accountNames.set(email, account?.accountName || email);
+        }
+        names.push(accountNames.get(email));
+    }
+
+    // older messages (and cached answers) have no latency record: use the sources
+    if (names.length === 0) {
+        names.push(...(message.citations || []).map(c => c.department).filter(Boolean));
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * The exported content of a session
+ * @param {Object} session - Stored chat session
+ * @returns {Promise<Object>} { sessionId, sessionName, createdAt, updatedAt, exportedAt, messages[] }
+ */
+async function exportView(session) {
+    const accountNames = new Map();
+    const messages = [];
+
+    for (const [index, message] of (session.messages || []).entries()) {
+        messages.push({
+            index,
+            question: message.question,
+            standaloneQuestion: message.standaloneQuestion && message.standaloneQuestion !== message.question
+                ? message.standaloneQuestion
+                : null,
+            answer: message.answer || "",
+            departments: await answeringDepartments(message, accountNames),
+            citations: (message.citations || []).map(({ department, filename, category, url, snippet }) =>
+                ({ department, filename, category, url, snippet })),
+            timestamp: message.timestamp || null
+        });
+    }
+
+    return {
+        sessionId: session.sessionId,
+        sessionName: session.sessionName || "Untitled session",
+        createdAt: session.createdAt || null,
+        updatedAt: session.updatedAt || session.createdAt || null,
+        exportedAt: new Date().toISOString(),
+        messages
+    };
+}
+
+// Helper: Markdown of an export view
+function toMarkdown(view) {
+    const lines = [
+        `# ${view.sessionName}`,
+        "",
+        `- Session: ${view.sessionId}`,
+        `- Started: ${view.createdAt || "unknown"}`,
+        `- Exported: ${view.exportedAt}`,
+        ""
+    ];
+
+    for (const message of view.messages) {
+        lines.push("---", "", `## Q${message.index + 1}: ${message.question}`, "");
+        if (message.timestamp) lines.push(`*Asked ${message.timestamp}*`, "");
+        if (message.standaloneQuestion) lines.push(`> Understood as: ${message.standaloneQuestion}`, "");
+        lines.push(message.answer, "");
+        if (message.departments.length > 0) lines.push(`**Departments:** ${message.departments.join(", ")}`, "");
+        if (message.citations.length > 0) {
+            lines.push("**Sources:**", "");
+            for (const c of message.citations) {
+                const name = c.url ? `[${c.filename}](${c.url})` : c.filename;
+                lines.push(`- ${name}${c.department ? ` (${c.department})` : ""}`);
+            }
+            lines.push("");
+        }
+    }
+
+    return lines.join("\n");
+}
+
+/**
+ * Render a session in one of EXPORT_FORMATS
+ * @param {Object} session - Stored chat session
+ * @param {string} format - markdown | html | json
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+async function renderSession(session, format) {
+    const view = await exportView(session);
+    let body;
+    if (format === "markdown") body = toMarkdown(view);
+    else if (format === "html") body = await ejs.renderFile(VIEW_PATH, { session: view });
+    else body = JSON.stringify(view, null, 2);
+
+    return {
+        body,
+        contentType: FORMATS[format].contentType,
+        filename: `${exportFilename(session)}.${FORMATS[format].extension}`
+    };
+}
+
+// Helper: File name (without extension) of an exported session, limited to [A-Za-z0-9_-]
+// so it is safe in a Content-Disposition header and as a zip entry name
+function exportFilename(session) {
+    const slug = String(session.sessionName || "session")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, FILENAME_MAX_LENGTH) || "session";
+    const id = String(session.sessionId || "").replace(/[^A-Za-z0-9_-]+/g, "");
+    return id ? `${slug}-${id}` : slug;
+}
+
+/**
+ * Stream all given sessions, rendered in one format, as a zip archive
+ * @param {Array} sessions - Stored chat sessions
+ * @param {string} format - markdown | html | json
+ * @param {Object} output - Writable stream (e.g. the HTTP response)
+ * @returns {Promise<void>} Resolves once the archive is finalized
+ */
+async function writeSessionsZip(sessions, format, output) {
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+        archive.on("error", reject);
+        output.on("close", resolve);
+        archive.on("end", resolve);
+    });
+    archive.pipe(output);
+
+    for (const session of sessions) {
+        const { body, filename } = await renderSession(session, format);
+        archive.append(body, { name: filename, date: session.updatedAt ? new Date(session.updatedAt) : new Date() });
+    }
+
+    await archive.finalize();
+    return done;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    renderSession,
+    writeSessionsZip
+};
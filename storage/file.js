@@ -0,0 +1,403 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    sanitizeEmail,
+    sanitizeId,
+    readJson,
+    writeJson,
+    removeFile,
+    pathExists,
+    listJsonFiles,
+    readAll,
+    dirSize
+} = require('./json_files');
+const { withFileLock } = require('./lock');
+const { createRecordIndex } = require('./record_index');
+
+/**
+ * File-backed repositories
+ *
+ * One JSON file per record, all under a single data root (DATA_DIR, default
+ * ./database next to app.js):
+ *
+ *   universities/<email>.json
+ *   accounts/<email>.json
+ *   students/<email>.json
+ *   tickets/<ticketId>.json
+ *   chat_sessions/<email>__<sessionId>.json
+ *   provider_questions/<providerEmail>.json   (array of log entries)
+ *   uploads/<accountEmail>.json               ({ notice, faq, impData })
+ *   quotas/<key>.json                         ({ key, day, used })
+ *   guardrail_events/<universityEmail>.json   (array of blocked events)
+ *   pending_registrations.json                (array)
+ *   pending_student_registrations.json        (array)
+ *   api_keys.json                             (array)
+ *
+ * Files are written atomically (temp file + rename). Read-modify-write
+ * operations on one file (appends, pending registrations, the key pool,
+ * uploads) hold that file's lock, see storage/lock.js.
+ *
+ * Lookups by university, account, student, email extension and ticket status
+ * (and a student's or university's sessions) go through in-memory indexes
+ * (storage/record_index.js) rebuilt at startup.
+ */
+
+const DB_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'database'));
+
+const DIRS = {
+    universities: path.join(DB_DIR, 'universities'),
+    accounts: path.join(DB_DIR, 'accounts'),
+    students: path.join(DB_DIR, 'students'),
+    tickets: path.join(DB_DIR, 'tickets'),
+    sessions: path.join(DB_DIR, 'chat_sessions'),
+    providerLogs: path.join(DB_DIR, 'provider_questions'),
+    uploads: path.join(DB_DIR, 'uploads'),
+    quotas: path.join(DB_DIR, 'quotas'),
+    guardrailEvents: path.join(DB_DIR, 'guardrail_events')
+};
+
+const FILES = {
+    pendingUniversities: path.join(DB_DIR, 'pending_registrations.json'),
+    pendingStudents: path.join(DB_DIR, 'pending_student_registrations.json'),
+    apiKeys: path.join(DB_DIR, 'api_keys.json')
+};
+
+// A repository of one-record-per-file documents keyed by email (or id).
+// `indexes` (index name -> record => value) enables findBy() on those fields.
+const createRecordRepository = (dir, { sanitize = sanitizeEmail, indexes = {} } = {}) => {
+    const fileFor = (key) => path.join(dir, `${sanitize(key)}.json`);
+    const index = createRecordIndex(indexes);
+
+    return {
+        get: (key) => readJson(fileFor(key)),
+        save: async (key, data) => {
+            await writeJson(fileFor(key), data);
+            index.add(sanitize(key), data);
+        },
+        remove: async (key) => {
+            const removed = await removeFile(fileFor(key));
+            index.remove(sanitize(key));
+            return removed;
+        },
+        exists: (key) => pathExists(fileFor(key)),
+        list: () => readAll(dir),
+        count: async () => (await listJsonFiles(dir)).length,
+        find: async (predicate) => (await readAll(dir)).filter(predicate),
+
+        // Records matching every criterion: { field: value } or { field: [values] }
+        findBy: async (criteria) => {
+            let names = null;
+            for (const [field, wanted] of Object.entries(criteria)) {
+                const values = Array.isArray(wanted) ? wanted : [wanted];
+                const matches = new Set(values.flatMap(value => index.lookup(field, value)));
+                names = names ? names.filter(name => matches.has(name)) : [...matches];
+            }
+
+            const records = [];
+            for (const name of names || []) {
+                const record = await readJson(path.join(dir, `${name}.json`));
+                // Re-check in case the file changed behind the index
+                const stillMatches = record && Object.entries(criteria).every(([field, wanted]) =>
+                    (Array.isArray(wanted) ? wanted : [wanted]).includes(indexes[field](record))
+                );
+                if (stillMatches) records.push(record);
+            }
+            return records;
+        },
+
+        // Rebuild the indexes from the files on disk
+        rebuildIndex: async () => {
+            index.clear();
+            for (const file of await listJsonFiles(dir)) {
+                const record = await readJson(path.join(dir, file));
+                if (record) index.add(path.basename(file, '.json'), record);
+            }
+        }
+    };
+};
+
+// A repository of pending registrations stored as one JSON array
+const createPendingRepository = (file) => ({
+    get: async (email) => (await readJson(file, [])).find(reg => reg.email === email) || null,
+    add: (registration) => withFileLock(file, async () => {
+        const registrations = await readJson(file, []);
+        registrations.push(registration);
+        await writeJson(file, registrations);
+    }),
+    remove: (email) => withFileLock(file, async () => {
+        const registrations = await readJson(file, []);
+        await writeJson(file, registrations.filter(reg => reg.email !== email));
+    })
+});
+
+const universities = {
+    ...createRecordRepository(DIRS.universities, {
+        indexes: { studentEmailExtension: u => u.studentEmailExtension }
+    }),
+    findByEmailExtension: async (extension) => {
+        const matches = await universities.findBy({ studentEmailExtension: extension });
+        return matches[0] || null;
+    }
+};
+
+const accounts = {
+    ...createRecordRepository(DIRS.accounts, {
+        indexes: { universityEmail: a => a.universityEmail }
+    }),
+    listByUniversity: (universityEmail) => accounts.findBy({ universityEmail })
+};
+
+const students = {
+    ...createRecordRepository(DIRS.students, {
+        indexes: { universityEmail: s => s.universityEmail }
+    }),
+    listByUniversity: (universityEmail) => students.findBy({ universityEmail })
+};
+
+const tickets = {
+    ...createRecordRepository(DIRS.tickets, {
+        sanitize: sanitizeId,
+        indexes: {
+            studentEmail: t => t.studentEmail,
+            accountEmail: t => t.accountEmail,
+            universityEmail: t => t.universityEmail,
+            status: t => t.status
+        }
+    }),
+    listByStudent: (studentEmail) => tickets.findBy({ studentEmail }),
+    listByAccounts: (accountEmails, status) => tickets.findBy({
+        accountEmail: accountEmails,
+        ...(status && { status })
+    }),
+    listByUniversity: (universityEmail) => tickets.findBy({ universityEmail })
+};
+
+const sessionName = (email, sessionId) => `${sanitizeEmail(email)}__${sanitizeId(sessionId)}`;
+const sessionFile = (email, sessionId) => path.join(DIRS.sessions, `${sessionName(email, sessionId)}.json`);
+
+// Session file names by student email
+const sessionIndex = createRecordIndex({ email: s => s.email });
+
+// Helper: Sessions stored under the given file names (skipping files removed meanwhile)
+const readSessions = async (names) => {
+    const result = [];
+    for (const name of names) {
+        const session = await readJson(path.join(DIRS.sessions, `${name}.json`));
+        if (session) result.push(session);
+    }
+    return result;
+};
+
+const sessions = {
+    get: (email, sessionId) => readJson(sessionFile(email, sessionId)),
+    save: async (email, sessionId, data) => {
+        await writeJson(sessionFile(email, sessionId), data);
+        sessionIndex.add(sessionName(email, sessionId), { ...data, email });
+    },
+    remove: async (email, sessionId) => {
+        const removed = await removeFile(sessionFile(email, sessionId));
+        sessionIndex.remove(sessionName(email, sessionId));
+        return removed;
+    },
+    listByStudent: (email) => readSessions(sessionIndex.lookup('email', email)),
+    // Sessions of every student of a university
+    listByUniversity: async (universityEmail) => {
+        const emails = (await students.listByUniversity(universityEmail)).map(s => s.email);
+        return readSessions(emails.flatMap(email => sessionIndex.lookup('email', email)));
+    },
+    removeAllForStudent: async (email) => {
+        let removed = 0;
+        for (const name of sessionIndex.lookup('email', email)) {
+            try {
+                await fs.unlink(path.join(DIRS.sessions, `${name}.json`));
+                removed++;
+            } catch { /* skip errors */ }
+            sessionIndex.remove(name);
+        }
+        return removed;
+    },
+    // Rebuild the student index from the files on disk
+    rebuildIndex: async () => {
+        sessionIndex.clear();
+        for (const file of await listJsonFiles(DIRS.sessions)) {
+            const session = await readJson(path.join(DIRS.sessions, file));
+            if (session) sessionIndex.add(path.basename(file, '.json'), session);
+        }
+    },
+    // Append a message, creating the session from `defaults` when it does not exist yet
+    appendMessage: (email, sessionId, message, defaults = {}) => withFileLock(sessionFile(email, sessionId), async () => {
+        const now = new Date().toISOString();
+        const session = (await sessions.get(email, sessionId)) || {
+            sessionId,
+            email,
+            ...defaults,
+            createdAt: now,
+            messages: []
+        };
+        session.messages = session.messages || [];
+        session.messages.push(message);
+        session.updatedAt = now;
+        await sessions.save(email, sessionId, session);
+        return session;
+    }),
+    // Merge fields into a session; resolves to the updated session, or null when it does not exist
+    update: (email, sessionId, fields) => withFileLock(sessionFile(email, sessionId), async () => {
+        const session = await sessions.get(email, sessionId);
+        if (!session) return null;
+
+        Object.assign(session, fields);
+        await sessions.save(email, sessionId, session);
+        return session;
+    }),
+    // Merge fields into one message; resolves to the updated session, or null when there is no such message
+    updateMessage: (email, sessionId, index, fields) => withFileLock(sessionFile(email, sessionId), async () => {
+        const session = await sessions.get(email, sessionId);
+        if (!session || !Array.isArray(session.messages) || !session.messages[index]) return null;
+
+        session.messages[index] = { ...session.messages[index], ...fields };
+        await sessions.save(email, sessionId, session);
+        return session;
+    })
+};
+
+const providerLogFile = (providerEmail) =>
+    path.join(DIRS.providerLogs, `${sanitizeEmail(providerEmail)}.json`);
+
+const providerLogs = {
+    list: async (providerEmail) => {
+        const entries = await readJson(providerLogFile(providerEmail), []);
+        return Array.isArray(entries) ? entries : [];
+    },
+    append: (providerEmail, entry) => withFileLock(providerLogFile(providerEmail), async () => {
+        const entries = await providerLogs.list(providerEmail);
+        entries.push(entry);
+        await writeJson(providerLogFile(providerEmail), entries);
+    }),
+    // Merge fields into every entry whose values equal all of `match`; resolves to the number updated
+    update: (providerEmail, match, fields) => withFileLock(providerLogFile(providerEmail), async () => {
+        const entries = await providerLogs.list(providerEmail);
+        let updated = 0;
+        for (let i = 0; i < entries.length; i++) {
+            if (!Object.entries(match).every(([key, value]) => entries[i][key] === value)) continue;
+            entries[i] = { ...entries[i], ...fields };
+            updated++;
+        }
+        if (updated > 0) await writeJson(providerLogFile(providerEmail), entries);
+        return updated;
+    })
+};
+
+const uploadsFile = (accountEmail) => path.join(DIRS.uploads, `${sanitizeEmail(accountEmail)}.json`);
+
+const uploads = {
+    get: async (accountEmail) =>
+        (await readJson(uploadsFile(accountEmail))) || { notice: [], faq: [], impData: [] },
+    save: (accountEmail, data) => writeJson(uploadsFile(accountEmail), data),
+    remove: (accountEmail) => removeFile(uploadsFile(accountEmail)),
+    // Run a get-modify-save of one account's uploads without other writers interleaving
+    withLock: (accountEmail, fn) => withFileLock(uploadsFile(accountEmail), fn)
+};
+
+const apiKeys = {
+    // Returns null when the key pool has never been saved
+    load: () => readJson(FILES.apiKeys),
+    save: (keys) => writeJson(FILES.apiKeys, keys),
+    // Run a load-modify-save of the pool without other writers interleaving
+    withLock: (fn) => withFileLock(FILES.apiKeys, fn)
+};
+
+const quotaFile = (key) => path.join(DIRS.quotas, `${sanitizeEmail(key)}.json`);
+
+const quotas = {
+    // Units used by `key` on `day` (YYYY-MM-DD)
+    get: async (key, day) => {
+        const record = await readJson(quotaFile(key));
+        return record && record.day === day ? record.used : 0;
+    },
+    // Use one unit unless `limit` (0 = unlimited) is reached; resolves to { allowed, used }
+    consume: (key, day, limit) => withFileLock(quotaFile(key), async () => {
+        const used = await quotas.get(key, day);
+        if (limit > 0 && used >= limit) return { allowed: false, used };
+
+        await writeJson(quotaFile(key), { key, day, used: used + 1 });
+        return { allowed: true, used: used + 1 };
+    })
+};
+
+const guardrailEventFile = (universityEmail) =>
+    path.join(DIRS.guardrailEvents, `${sanitizeEmail(universityEmail)}.json`);
+
+const guardrailEvents = {
+    list: async (universityEmail) => {
+        const events = await readJson(guardrailEventFile(universityEmail), []);
+        return Array.isArray(events) ? events : [];
+    },
+    append: (universityEmail, event) => withFileLock(guardrailEventFile(universityEmail), async () => {
+        const events = await guardrailEvents.list(universityEmail);
+        events.push(event);
+        await writeJson(guardrailEventFile(universityEmail), events);
+    })
+};
+
+const INDEXED_REPOSITORIES = [universities, accounts, students, tickets, sessions];
+
+const pendingUniversities = createPendingRepository(FILES.pendingUniversities);
+const pendingStudents = createPendingRepository(FILES.pendingStudents);
+
+// Create directories and empty files on first start
+const init = async () => {
+    for (const dir of Object.values(DIRS)) {
+        await fs.mkdir(dir, { recursive: true });
+    }
+    for (const file of [FILES.pendingUniversities, FILES.pendingStudents]) {
+        if (!(await pathExists(file))) await writeJson(file, []);
+    }
+    for (const repo of INDEXED_REPOSITORIES) {
+        await repo.rebuildIndex();
+    }
+};
+
+// Bytes used per collection
+const usage = async () => ({
+    universities: await dirSize(DIRS.universities),
+    accounts: await dirSize(DIRS.accounts),
+    students: await dirSize(DIRS.students),
+    tickets: await dirSize(DIRS.tickets)
+});
+
+// Delete record files that no longer parse as JSON
+const removeCorrupted = async () => {
+    let deletedCount = 0;
+    for (const dir of [DIRS.universities, DIRS.accounts, DIRS.students, DIRS.tickets]) {
+        for (const file of await listJsonFiles(dir)) {
+            const filePath = path.join(dir, file);
+            try {
+                JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch {
+                await fs.unlink(filePath);
+                deletedCount++;
+            }
+        }
+    }
+    return deletedCount;
+};
+
+module.exports = {
+    name: 'file',
+    dataDir: DB_DIR,
+    init,
+    usage,
+    removeCorrupted,
+    universities,
+    accounts,
+    students,
+    tickets,
+    sessions,
+    providerLogs,
+    uploads,
+    apiKeys,
+    quotas,
+    guardrailEvents,
+    pendingUniversities,
+    pendingStudents
+};
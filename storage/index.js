@@ -0,0 +1,59 @@
+/**
+ * STORAGE
+ *
+ * Repositories for everything the API persists. The backend is picked with
+ * STORAGE_BACKEND:
+ *
+ *   file  (default) - JSON files under DATA_DIR (default ./database), see storage/file.js
+ *   mongo           - MongoDB through mongoose, see storage/mongo.js
+ *
+ * Both backends expose the same repositories:
+ *
+ *   universities, accounts, students  get / save / remove / exists / list / count / find /
+ *                                     findBy (indexed fields only)
+ *                                     (+ findByEmailExtension, listByUniversity)
+ *   tickets                           same, keyed by ticketId
+ *                                     (+ listByStudent, listByAccounts, listByUniversity)
+ *   sessions                          get / save / remove / listByStudent /
+ *                                     listByUniversity / removeAllForStudent /
+ *                                     appendMessage / update / updateMessage
+ *   providerLogs                      list / append / update
+ *   uploads                           get / save / remove / withLock (per account)
+ *   apiKeys                           load / save / withLock (the whole key pool)
+ *   quotas                            get / consume (daily usage counters by key)
+ *   guardrailEvents                   list / append (blocked questions and answers, per university)
+ *   pendingUniversities,
+ *   pendingStudents                   get / add / remove (by email)
+ *
+ * All methods are async. Readers resolve to null (or an empty list) instead
+ * of throwing when a record does not exist.
+ *
+ * Records left in the legacy /tmp/database directory are merged into the
+ * active backend on startup, see storage/legacy.js.
+ */
+
+const { migrateLegacyData } = require('./legacy');
+
+const BACKENDS = {
+    file: () => require('./file'),
+    mongo: () => require('./mongo')
+};
+
+const backendName = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+if (!BACKENDS[backendName]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+
+const storage = BACKENDS[backendName]();
+
+// Initialize on module load (directories / database connection), then pull in legacy data.
+// A failure rejects `ready`: the app must not serve on missing or half-migrated storage.
+const ready = storage.init().then(() => migrateLegacyData(storage)).catch((error) => {
+    console.error(`Storage (${storage.name}) initialization error:`, error);
+    throw error;
+});
+
+module.exports = {
+    ...storage,
+    ready
+};
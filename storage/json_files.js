@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * JSON FILE HELPERS
+ *
+ * The only place that turns emails and ids into file names and reads or
+ * writes JSON records on disk. Used by the file backend and by the legacy
+ * data migration.
+ */
+
+// Helper: Make an email safe to use as a file name
+const sanitizeEmail = (email) => String(email).replace(/[^a-zA-Z0-9@._-]/g, '_');
+
+// Helper: Make an id (ticketId, sessionId) safe to use as a file name
+const sanitizeId = (id) => String(id).replace(/[^a-zA-Z0-9._-]/g, '_');
+
+// Helper: Read and parse a JSON file, returning fallback when missing or invalid
+const readJson = async (file, fallback = null) => {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+        return fallback;
+    }
+};
+
+// Helper: Write a JSON file atomically: readers see the old or the new
+// content, never a half-written file
+const writeJson = async (file, data) => {
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+};
+
+// Helper: Delete a file, returning false if it did not exist
+const removeFile = async (file) => {
+    try {
+        await fs.unlink(file);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+};
+
+// Helper: Check whether a file or directory exists
+const pathExists = async (target) => {
+    try {
+        await fs.access(target);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Helper: List the .json file names of a directory
+const listJsonFiles = async (dir) => {
+    try {
+        return (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+    } catch {
+        return [];
+    }
+};
+
+// Helper: Read every record of a directory, skipping unreadable files
+const readAll = async (dir) => {
+    const records = [];
+    for (const file of await listJsonFiles(dir)) {
+        const record = await readJson(path.join(dir, file));
+        if (record) records.push(record);
+    }
+    return records;
+};
+
+// Helper: Total size in bytes of the .json files of a directory
+const dirSize = async (dir) => {
+    let size = 0;
+    for (const file of await listJsonFiles(dir)) {
+        const stats = await fs.stat(path.join(dir, file));
+        size += stats.size;
+    }
+    return size;
+};
+
+module.exports = {
+    sanitizeEmail,
+    sanitizeId,
+    readJson,
+    writeJson,
+    removeFile,
+    pathExists,
+    listJsonFiles,
+    readAll,
+    dirSize
+};
@@ -0,0 +1,188 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readJson, listJsonFiles, pathExists } = require('./json_files');
+
+/**
+ * LEGACY DATA MIGRATION
+ *
+ * Older builds wrote part of their data (uploads, the API key pool, tickets
+ * solved by departments, ...) under /tmp/database instead of the data root.
+ * On startup every record found there is merged into the active storage
+ * backend:
+ *
+ *   - records missing from storage are copied as-is
+ *   - records present in both keep whichever copy was updated last
+ *   - provider logs and uploads are merged entry by entry
+ *   - pending registrations and API keys only fill what storage lacks
+ *
+ * The legacy directory is then renamed to <dir>.migrated-<timestamp> so
+ * records deleted later are not brought back on the next start.
+ *
+ * LEGACY_DATA_DIR overrides the location that is scanned.
+ */
+
+const LEGACY_DATA_DIR = path.resolve(process.env.LEGACY_DATA_DIR || path.join('/tmp', 'database'));
+
+// Keyed record directories and the field holding each record's key
+const RECORD_COLLECTIONS = [
+    { dir: 'universities', repo: 'universities', key: 'email' },
+    { dir: 'accounts', repo: 'accounts', key: 'accountEmail' },
+    { dir: 'students', repo: 'students', key: 'email' },
+    { dir: 'tickets', repo: 'tickets', key: 'ticketId' }
+];
+
+const PENDING_FILES = [
+    { file: 'pending_registrations.json', repo: 'pendingUniversities' },
+    { file: 'pending_student_registrations.json', repo: 'pendingStudents' }
+];
+
+// Helper: Last time a record changed, for picking the newer of two copies
+const lastChange = (record) => new Date(record?.updatedAt || record?.createdAt || 0).getTime();
+
+// Helper: Read every parseable JSON file of a legacy directory with its file name
+const readLegacyDir = async (dir) => {
+    const entries = [];
+    for (const file of await listJsonFiles(dir)) {
+        const data = await readJson(path.join(dir, file));
+        if (data) entries.push({ name: path.basename(file, '.json'), data });
+    }
+    return entries;
+};
+
+const migrateRecords = async (storage, legacyDir, { dir, repo, key }) => {
+    let merged = 0;
+    for (const { data } of await readLegacyDir(path.join(legacyDir, dir))) {
+        if (!data[key]) continue;
+        const current = await storage[repo].get(data[key]);
+        if (!current || lastChange(data) > lastChange(current)) {
+            await storage[repo].save(data[key], data);
+            merged++;
+        }
+    }
+    return merged;
+};
+
+const migrateSessions = async (storage, legacyDir) => {
+    let merged = 0;
+    for (const { data } of await readLegacyDir(path.join(legacyDir, 'chat_sessions'))) {
+        if (!data.email || !data.sessionId) continue;
+        const current = await storage.sessions.get(data.email, data.sessionId);
+        if (!current || lastChange(data) > lastChange(current)) {
+            await storage.sessions.save(data.email, data.sessionId, data);
+            merged++;
+        }
+    }
+    return merged;
+};
+
+const migrateProviderLogs = async (storage, legacyDir) => {
+    const entryKey = (e) => `${e.asked_at}|${e.user_email}|${e.question}`;
+    let merged = 0;
+
+    for (const { name, data } of await readLegacyDir(path.join(legacyDir, 'provider_questions'))) {
+        if (!Array.isArray(data)) continue;
+        const providerEmail = data.find(e => e.provider_email)?.provider_email || name;
+        const known = new Set((await storage.providerLogs.list(providerEmail)).map(entryKey));
+
+        for (const entry of data) {
+            if (known.has(entryKey(entry))) continue;
+            await storage.providerLogs.append(providerEmail, entry);
+            merged++;
+        }
+    }
+    return merged;
+};
+
+const migrateUploads = async (storage, legacyDir) => {
+    let merged = 0;
+    for (const { name: accountEmail, data } of await readLegacyDir(path.join(legacyDir, 'uploads'))) {
+        const current = await storage.uploads.get(accountEmail);
+        let changed = false;
+
+        for (const category of ['notice', 'faq', 'impData']) {
+            current[category] = current[category] || [];
+            for (const file of data[category] || []) {
+                if (current[category].some(f => f.filename === file.filename)) continue;
+                current[category].push(file);
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            await storage.uploads.save(accountEmail, current);
+            merged++;
+        }
+    }
+    return merged;
+};
+
+const migratePending = async (storage, legacyDir, { file, repo }) => {
+    const registrations = await readJson(path.join(legacyDir, file), []);
+    let merged = 0;
+    for (const registration of Array.isArray(registrations) ? registrations : []) {
+        if (!registration.email || await storage[repo].get(registration.email)) continue;
+        await storage[repo].add(registration);
+        merged++;
+    }
+    return merged;
+};
+
+// Keys assigned in the legacy pool keep their assignment unless storage already reassigned them
+const migrateApiKeys = async (storage, legacyDir) => {
+    const legacyKeys = await readJson(path.join(legacyDir, 'api_keys.json'));
+    if (!Array.isArray(legacyKeys)) return 0;
+
+    const currentKeys = await storage.apiKeys.load();
+    if (!currentKeys) {
+        await storage.apiKeys.save(legacyKeys);
+        return legacyKeys.length;
+    }
+
+    let merged = 0;
+    for (const legacyKey of legacyKeys) {
+        const index = currentKeys.findIndex(k => k.id === legacyKey.id);
+        if (index === -1) {
+            currentKeys.push(legacyKey);
+            merged++;
+        } else if (currentKeys[index].isAvailable && !legacyKey.isAvailable) {
+            currentKeys[index] = legacyKey;
+            merged++;
+        }
+    }
+    if (merged > 0) await storage.apiKeys.save(currentKeys);
+    return merged;
+};
+
+/**
+ * Merge the legacy data directory into the active storage backend
+ * @param {Object} storage - Storage backend (storage/file.js or storage/mongo.js)
+ * @returns {Promise<Object|null>} Merged record counts, or null when there was nothing to migrate
+ */
+const migrateLegacyData = async (storage) => {
+    if (storage.dataDir === LEGACY_DATA_DIR || !(await pathExists(LEGACY_DATA_DIR))) {
+        return null;
+    }
+
+    const counts = {};
+    for (const collection of RECORD_COLLECTIONS) {
+        counts[collection.dir] = await migrateRecords(storage, LEGACY_DATA_DIR, collection);
+    }
+    counts.chat_sessions = await migrateSessions(storage, LEGACY_DATA_DIR);
+    counts.provider_questions = await migrateProviderLogs(storage, LEGACY_DATA_DIR);
+    counts.uploads = await migrateUploads(storage, LEGACY_DATA_DIR);
+    for (const pending of PENDING_FILES) {
+        counts[pending.file] = await migratePending(storage, LEGACY_DATA_DIR, pending);
+    }
+    counts.api_keys = await migrateApiKeys(storage, LEGACY_DATA_DIR);
+
+    const archivedAs = `${LEGACY_DATA_DIR}.migrated-${Date.now()}`;
+    await fs.rename(LEGACY_DATA_DIR, archivedAs);
+
+    console.log(`Migrated legacy data from ${LEGACY_DATA_DIR} (archived as ${archivedAs}):`, counts);
+    return counts;
+};
+
+module.exports = {
+    LEGACY_DATA_DIR,
+    migrateLegacyData
+};
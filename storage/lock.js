@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+
+/**
+ * RECORD LOCKS
+ *
+ * withLock(name, fn) runs fn once every earlier holder of the same lock name
+ * has finished, so read-modify-write sequences on one record never
+ * interleave inside this process.
+ *
+ * With STORAGE_LOCKFILES=true, file records are additionally guarded by a
+ * "<file>.lock" file created exclusively, which serializes writers across
+ * processes sharing the same data directory. A lock file older than
+ * LOCK_STALE_MS is considered abandoned (crashed process) and taken over.
+ */
+
+const USE_LOCKFILES = process.env.STORAGE_LOCKFILES === 'true';
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 20;
+
+// Lock name -> promise settled when the current holder and its queue are done
+const queues = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn while holding the in-process lock `name`
+ * @param {string} name - Lock name (usually the record's file path or key)
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+const withLock = (name, fn) => {
+    const previous = queues.get(name) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const tail = run.catch(() => {});
+
+    queues.set(name, tail);
+    tail.then(() => {
+        if (queues.get(name) === tail) queues.delete(name);
+    });
+
+    return run;
+};
+
+// Helper: Remove a lock file left behind by a process that died holding it
+const removeIfStale = async (lockFile) => {
+    try {
+        const stats = await fs.stat(lockFile);
+        if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+            await fs.unlink(lockFile);
+        }
+    } catch {
+        // Released in the meantime
+    }
+};
+
+// Acquire "<file>.lock", waiting for other processes to release it
+const acquireLockFile = async (file) => {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    while (true) {
+        try {
+            const handle = await fs.open(lockFile, 'wx');
+            await handle.writeFile(String(process.pid));
+            await handle.close();
+            return lockFile;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock on ${file}`);
+            }
+            await removeIfStale(lockFile);
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+};
+
+/**
+ * Run fn while holding the lock for a file-backed record: always the
+ * in-process lock, plus the lock file when STORAGE_LOCKFILES=true
+ * @param {string} file - Path of the record's JSON file
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+const withFileLock = (file, fn) => withLock(file, async () => {
+    if (!USE_LOCKFILES) return fn();
+
+    const lockFile = await acquireLockFile(file);
+    try {
+        return await fn();
+    } finally {
+        await fs.unlink(lockFile).catch(() => {});
+    }
+});
+
+module.exports = {
+    USE_LOCKFILES,
+    withLock,
+    withFileLock
+};
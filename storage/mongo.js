@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const { withLock } = require('./lock');
+
+/**
+ * MongoDB repositories (mongoose)
+ *
+ * Records keep exactly the shape the route modules produce; only the fields
+ * used for lookups are declared, everything else is stored as-is
+ * (strict: false). Mongo's own _id is never returned.
+ *
+ * Connection string: MONGODB_URI (default mongodb://127.0.0.1:27017/smartuniversity)
+ */
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartuniversity';
+
+const schemaOptions = { strict: false, versionKey: false };
+const HIDDEN = { _id: 0 };
+
+const University = mongoose.model('University', new mongoose.Schema({
+    email: { type: String, required: true, unique: true },
+    studentEmailExtension: { type: String, index: true }
+}, schemaOptions), 'universities');
+
+const Account = mongoose.model('Account', new mongoose.Schema({
+    accountEmail: { type: String, required: true, unique: true },
+    universityEmail: { type: String, index: true }
+}, schemaOptions), 'accounts');
+
+const Student = mongoose.model('Student', new mongoose.Schema({
+    email: { type: String, required: true, unique: true },
+    universityEmail: { type: String, index: true }
+}, schemaOptions), 'students');
+
+const ticketSchema = new mongoose.Schema({
+    ticketId: { type: String, required: true, unique: true },
+    studentEmail: { type: String, index: true },
+    accountEmail: { type: String, index: true },
+    universityEmail: { type: String, index: true },
+    status: { type: String, index: true }
+}, schemaOptions);
+ticketSchema.index({ accountEmail: 1, status: 1 });
+const Ticket = mongoose.model('Ticket', ticketSchema, 'tickets');
+
+const sessionSchema = new mongoose.Schema({
+    email: { type: String, required: true },
+    sessionId: { type: String, required: true }
+}, schemaOptions);
+sessionSchema.index({ email: 1, sessionId: 1 }, { unique: true });
+const Session = mongoose.model('Session', sessionSchema, 'chat_sessions');
+
+const ProviderLog = mongoose.model('ProviderLog', new mongoose.Schema({
+    providerKey: { type: String, required: true, index: true },
+    asked_at: { type: String, index: true }
+}, schemaOptions), 'provider_questions');
+
+const Upload = mongoose.model('Upload', new mongoose.Schema({
+    accountEmail: { type: String, required: true, unique: true }
+}, schemaOptions), 'uploads');
+
+const ApiKeyPool = mongoose.model('ApiKeyPool', new mongoose.Schema({
+    poolId: { type: String, required: true, unique: true },
+    keys: { type: Array, default: [] }
+}, schemaOptions), 'api_keys');
+
+const quotaSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    day: { type: String, required: true },
+    used: { type: Number, default: 0 }
+}, schemaOptions);
+quotaSchema.index({ key: 1, day: 1 }, { unique: true });
+const Quota = mongoose.model('Quota', quotaSchema, 'quotas');
+
+const GuardrailEvent = mongoose.model('GuardrailEvent', new mongoose.Schema({
+    universityEmail: { type: String, required: true, index: true }
+}, schemaOptions), 'guardrail_events');
+
+const pendingSchema = new mongoose.Schema({
+    kind: { type: String, required: true },
+    email: { type: String, required: true }
+}, schemaOptions);
+pendingSchema.index({ kind: 1, email: 1 }, { unique: true });
+const PendingRegistration = mongoose.model('PendingRegistration', pendingSchema, 'pending_registrations');
+
+// A repository of one document per record, keyed by `keyField`
+const createRecordRepository = (Model, keyField) => {
+    const repo = {
+        get: (key) => Model.findOne({ [keyField]: key }, HIDDEN).lean(),
+        save: async (key, data) => {
+            await Model.replaceOne({ [keyField]: key }, { ...data, [keyField]: key }, { upsert: true });
+        },
+        remove: async (key) => (await Model.deleteOne({ [keyField]: key })).deletedCount > 0,
+        exists: async (key) => Boolean(await Model.exists({ [keyField]: key })),
+        list: () => Model.find({}, HIDDEN).lean(),
+        count: () => Model.countDocuments(),
+        find: async (predicate) => (await repo.list()).filter(predicate),
+        // Records matching every criterion: { field: value } or { field: [values] }
+        findBy: (criteria) => Model.find(Object.fromEntries(
+            Object.entries(criteria).map(([field, wanted]) =>
+                [field, Array.isArray(wanted) ? { $in: wanted } : wanted]
+            )
+        ), HIDDEN).lean()
+    };
+    return repo;
+};
+
+const universities = {
+    ...createRecordRepository(University, 'email'),
+    findByEmailExtension: (extension) =>
+        University.findOne({ studentEmailExtension: extension }, HIDDEN).lean()
+};
+
+const accounts = {
+    ...createRecordRepository(Account, 'accountEmail'),
+    listByUniversity: (universityEmail) => Account.find({ universityEmail }, HIDDEN).lean()
+};
+
+const students = {
+    ...createRecordRepository(Student, 'email'),
+    listByUniversity: (universityEmail) => Student.find({ universityEmail }, HIDDEN).lean()
+};
+
+const tickets = {
+    ...createRecordRepository(Ticket, 'ticketId'),
+    listByStudent: (studentEmail) => Ticket.find({ studentEmail }, HIDDEN).lean(),
+    listByAccounts: (accountEmails, status) => Ticket.find({
+        accountEmail: { $in: accountEmails },
+        ...(status && { status })
+    }, HIDDEN).lean(),
+    listByUniversity: (universityEmail) => Ticket.find({ universityEmail }, HIDDEN).lean()
+};
+
+const sessions = {
+    get: (email, sessionId) => Session.findOne({ email, sessionId }, HIDDEN).lean(),
+    save: async (email, sessionId, data) => {
+        await Session.replaceOne({ email, sessionId }, { ...data, email, sessionId }, { upsert: true });
+    },
+    remove: async (email, sessionId) => (await Session.deleteOne({ email, sessionId })).deletedCount > 0,
+    listByStudent: (email) => Session.find({ email }, HIDDEN).lean(),
+    // Sessions of every student of a university
+    listByUniversity: async (universityEmail) => {
+        const emails = (await Student.find({ universityEmail }, { email: 1 }).lean()).map(s => s.email);
+        return Session.find({ email: { $in: emails } }, HIDDEN).lean();
+    },
+    removeAllForStudent: async (email) => (await Session.deleteMany({ email })).deletedCount,
+    // Append a message, creating the session from `defaults` when it does not exist yet
+    appendMessage: async (email, sessionId, message, defaults = {}) => {
+        const now = new Date().toISOString();
+        return Session.findOneAndUpdate(
+            { email, sessionId },
+            {
+                $setOnInsert: { ...defaults, createdAt: now },
+                $push: { messages: message },
+                $set: { updatedAt: now }
+            },
+            { upsert: true, new: true, projection: HIDDEN }
+        ).lean();
+    },
+    // Merge fields into a session; resolves to the updated session, or null when it does not exist
+    update: (email, sessionId, fields) => Session.findOneAndUpdate(
+        { email, sessionId },
+        { $set: fields },
+        { new: true, projection: HIDDEN }
+    ).lean(),
+    // Merge fields into one message; resolves to the updated session, or null when there is no such message
+    updateMessage: (email, sessionId, index, fields) => {
+        const set = {};
+        for (const [key, value] of Object.entries(fields)) set[`messages.${index}.${key}`] = value;
+        return Session.findOneAndUpdate(
+            { email, sessionId, [`messages.${index}`]: { $exists: true } },
+            { $set: set },
+            { new: true, projection: HIDDEN }
+        ).lean();
+    }
+};
+
+const providerLogs = {
+    list: async (providerEmail) => {
+        const entries = await ProviderLog.find({ providerKey: providerEmail }, { ...HIDDEN, providerKey: 0 }).lean();
+        return entries;
+    },
+    append: async (providerEmail, entry) => {
+        await ProviderLog.create({ ...entry, providerKey: providerEmail });
+    },
+    // Merge fields into every entry whose values equal all of `match`; resolves to the number updated
+    update: async (providerEmail, match, fields) =>
+        (await ProviderLog.updateMany({ ...match, providerKey: providerEmail }, { $set: fields })).modifiedCount
+};
+
+const uploads = {
+    get: async (accountEmail) => {
+        const doc = await Upload.findOne({ accountEmail }, { ...HIDDEN, accountEmail: 0 }).lean();
+        return doc || { notice: [], faq: [], impData: [] };
+    },
+    save: async (accountEmail, data) => {
+        await Upload.replaceOne({ accountEmail }, { ...data, accountEmail }, { upsert: true });
+    },
+    remove: async (accountEmail) => (await Upload.deleteOne({ accountEmail })).deletedCount > 0,
+    // Run a get-modify-save of one account's uploads without other writers in this process interleaving
+    withLock: (accountEmail, fn) => withLock(`uploads:${accountEmail}`, fn)
+};
+
+const apiKeys = {
+    // Returns null when the key pool has never been saved
+    load: async () => {
+        const pool = await ApiKeyPool.findOne({ poolId: 'default' }).lean();
+        return pool ? pool.keys : null;
+    },
+    save: async (keys) => {
+        await ApiKeyPool.replaceOne({ poolId: 'default' }, { poolId: 'default', keys }, { upsert: true });
+    },
+    // Run a load-modify-save of the pool without other writers in this process interleaving
+    withLock: (fn) => withLock('api_keys', fn)
+};
+
+const quotas = {
+    // Units used by `key` on `day` (YYYY-MM-DD)
+    get: async (key, day) => (await Quota.findOne({ key, day }).lean())?.used || 0,
+    // Use one unit unless `limit` (0 = unlimited) is reached; resolves to { allowed, used }
+    consume: async (key, day, limit) => {
+        try {
+            const doc = await Quota.findOneAndUpdate(
+                { key, day, ...(limit > 0 && { used: { $lt: limit } }) },
+                { $inc: { used: 1 } },
+                { upsert: true, new: true }
+            ).lean();
+            return { allowed: true, used: doc.used };
+        } catch (error) {
+            // the upsert collides with the existing document when the limit is reached
+            if (error.code !== 11000) throw error;
+            return { allowed: false, used: await quotas.get(key, day) };
+        }
+    }
+};
+
+const guardrailEvents = {
+    list: (universityEmail) => GuardrailEvent.find({ universityEmail }, HIDDEN).lean(),
+    append: async (universityEmail, event) => {
+        await GuardrailEvent.create({ ...event, universityEmail });
+    }
+};
+
+const createPendingRepository = (kind) => ({
+    get: (email) => PendingRegistration.findOne({ kind, email }, { ...HIDDEN, kind: 0 }).lean(),
+    add: async (registration) => {
+        await PendingRegistration.create({ ...registration, kind });
+    },
+    remove: async (email) => {
+        await PendingRegistration.deleteOne({ kind, email });
+    }
+});
+
+const pendingUniversities = createPendingRepository('university');
+const pendingStudents = createPendingRepository('student');
+
+// Connect and make sure every index exists
+const init = async () => {
+    await mongoose.connect(MONGODB_URI);
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).syncIndexes()));
+    console.log('MongoDB storage connected');
+};
+
+// Bytes used per collection
+const collectionSize = async (Model) => {
+    try {
+        const [stats] = await Model.aggregate([{ $collStats: { storageStats: {} } }]);
+        return stats?.storageStats?.size || 0;
+    } catch {
+        return 0;
+    }
+};
+
+const usage = async () => ({
+    universities: await collectionSize(University),
+    accounts: await collectionSize(Account),
+    students: await collectionSize(Student),
+    tickets: await collectionSize(Ticket)
+});
+
+// Documents cannot be half-written JSON in Mongo: nothing to clean up
+const removeCorrupted = async () => 0;
+
+module.exports = {
+    name: 'mongo',
+    init,
+    usage,
+    removeCorrupted,
+    universities,
+    accounts,
+    students,
+    tickets,
+    sessions,
+    providerLogs,
+    uploads,
+    apiKeys,
+    quotas,
+    guardrailEvents,
+    pendingUniversities,
+    pendingStudents
+};
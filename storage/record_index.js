@@ -0,0 +1,64 @@
+/**
+ * IN-MEMORY SECONDARY INDEXES (file backend)
+ *
+ * Maps field values to the names of the record files holding them, so
+ * lookups like "accounts of this university" or "pending tickets of these
+ * accounts" read only the matching files instead of the whole directory.
+ *
+ * Indexes are rebuilt from disk at startup and updated by every save and
+ * remove going through the repository. They are per process: a second
+ * process writing the same data directory is only seen after a restart.
+ */
+
+/**
+ * Create an index over some fields of a record collection
+ * @param {Object} fields - index name -> (record) => value to index (undefined/null are skipped)
+ */
+const createRecordIndex = (fields) => {
+    // index name -> Map(value -> Set(record name))
+    const maps = {};
+    // record name -> { index name: indexed value }
+    const indexedValues = new Map();
+
+    for (const name of Object.keys(fields)) maps[name] = new Map();
+
+    const remove = (recordName) => {
+        const values = indexedValues.get(recordName);
+        if (!values) return;
+
+        for (const [name, value] of Object.entries(values)) {
+            const names = maps[name].get(value);
+            if (!names) continue;
+            names.delete(recordName);
+            if (names.size === 0) maps[name].delete(value);
+        }
+        indexedValues.delete(recordName);
+    };
+
+    const add = (recordName, record) => {
+        remove(recordName);
+
+        const values = {};
+        for (const [name, valueOf] of Object.entries(fields)) {
+            const value = valueOf(record);
+            if (value === undefined || value === null) continue;
+
+            if (!maps[name].has(value)) maps[name].set(value, new Set());
+            maps[name].get(value).add(recordName);
+            values[name] = value;
+        }
+        indexedValues.set(recordName, values);
+    };
+
+    // Record names whose `name` field equals value
+    const lookup = (name, value) => [...(maps[name].get(value) || [])];
+
+    const clear = () => {
+        for (const map of Object.values(maps)) map.clear();
+        indexedValues.clear();
+    };
+
+    return { add, remove, lookup, clear };
+};
+
+module.exports = { createRecordIndex };
@@ -1,8 +1,11 @@
-const express = require('express');
-const router = express.Router();
 const bcrypt = require('bcryptjs');
-const fs = require('fs').promises;
-const path = require('path');
+const { ROLES, issueToken, authenticate } = require('./auth');
+const { authorize } = require('./policy');
+const { createVersionedRouter, toBoolean } = require('./versioned_router');
+const storage = require('./storage');
+const { createTicket } = require('./tickets');
+
+const api = createVersionedRouter();
 
 /**
  * STUDENT MANAGEMENT ROUTES
@@ -23,80 +26,14 @@ const path = require('path');
  *        * Gives access to:
  *            - ALL PRIMARY account stores
  *            - SELECTED NON-PRIMARY account store
+ *
+ * All routes are served as v2 (proper verbs, JSON bodies) and, during the
+ * frontend migration, as the original GET routes (see versioned_router.js).
+ *
+ * Registration and /login are public. Every other route requires the access
+ * token returned by /login and identifies the student from it.
  */
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const PENDING_STUDENT_REG_FILE = path.join(DB_DIR, 'pending_student_registrations.json');
-const TICKETS_DIR = path.join(DB_DIR, "tickets");
-
-// Initialize database directories
-const initializeDatabase = async () => {
-    try {
-        await fs.mkdir(STUDENTS_DIR, { recursive: true });
-        await fs.mkdir(TICKETS_DIR, { recursive: true });
-
-        try {
-            await fs.access(PENDING_STUDENT_REG_FILE);
-        } catch {
-            await fs.writeFile(PENDING_STUDENT_REG_FILE, JSON.stringify([], null, 2));
-        }
-    } catch (error) {
-        console.error('Database initialization error:', error);
-    }
-};
-
-initializeDatabase();
-
-// Helper: Read pending student registrations
-const readPendingStudentRegistrations = async () => {
-    try {
-        const data = await fs.readFile(PENDING_STUDENT_REG_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return [];
-    }
-};
-
-// Helper: Write pending student registrations
-const writePendingStudentRegistrations = async (registrations) => {
-    await fs.writeFile(PENDING_STUDENT_REG_FILE, JSON.stringify(registrations, null, 2));
-};
-
-// Helper: Read student data
-const readStudent = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write student data
-const writeStudent = async (email, studentData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(studentData, null, 2));
-};
-
-// Helper: Check if student exists
-const studentExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
 // Helper: Find university by email extension
 const findUniversityByEmailExtension = async (studentEmail) => {
     try {
@@ -104,94 +41,24 @@ const findUniversityByEmailExtension = async (studentEmail) => {
         if (emailParts.length !== 2) return null;
 
         const emailExtension = `@${emailParts[1]}`;
-        const files = await fs.readdir(UNIVERSITIES_DIR);
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(UNIVERSITIES_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const university = JSON.parse(data);
-
-                if (university.studentEmailExtension === emailExtension) {
-                    return university;
-                }
-            }
-        }
-
-        return null;
+        return await storage.universities.findByEmailExtension(emailExtension);
     } catch (error) {
         console.error('Error finding university:', error);
         return null;
     }
 };
 
-// Helper: Get all accounts for a university
-const getUniversityAccounts = async (universityEmail) => {
-    try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    accounts.push(account);
-                }
-            }
-        }
-
-        return accounts;
-    } catch (error) {
-        console.error('Error getting university accounts:', error);
-        return [];
-    }
-};
-
-// Helper: Read account data
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write ticket
-const writeTicket = async (ticketId, data) => {
-    const file = path.join(TICKETS_DIR, `${ticketId}.json`);
-    await fs.writeFile(file, JSON.stringify(data, null, 2));
-};
-
-// Helper: Read all tickets for a student
-const getTicketsByEmail = async (email) => {
-    const files = await fs.readdir(TICKETS_DIR);
-    const result = [];
-
-    for (const file of files) {
-        if (file.endsWith(".json")) {
-            const ticket = JSON.parse(
-                await fs.readFile(path.join(TICKETS_DIR, file), "utf8")
-            );
-            if (ticket.studentEmail === email) result.push(ticket);
-        }
-    }
-
-    return result;
-};
+// Policy loader: the student a management request targets
+const studentFromParams = (req) => storage.students.get(req.params.email || '');
 
 // ============================================
-// STUDENT REGISTRATION APIs (GET VERSION)
+// STUDENT REGISTRATION APIs
 // ============================================
 
-// API 1: Initiate Student Registration (GET)
-router.get('/register/initiate', async (req, res) => {
+// API 1: Initiate Student Registration
+api.post('/register/initiate', { legacy: true }, async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -210,14 +77,13 @@ router.get('/register/initiate', async (req, res) => {
         }
 
         // Check if student already exists
-        const exists = await studentExists(email);
+        const exists = await storage.students.exists(email);
         if (exists) {
             return res.status(409).json({ error: 'Student email already registered' });
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingStudentRegistrations();
-        const existingPending = pendingRegistrations.find(reg => reg.email === email);
+        const existingPending = await storage.pendingStudents.get(email);
         if (existingPending) {
             return res.status(409).json({
                 error: 'Registration already in progress for this email',
@@ -247,11 +113,10 @@ router.get('/register/initiate', async (req, res) => {
             expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
         };
 
-        pendingRegistrations.push(newRegistration);
-        await writePendingStudentRegistrations(pendingRegistrations);
+        await storage.pendingStudents.add(newRegistration);
 
         // Get all accounts for the university and return NON-PRIMARY accounts
-        const allAccounts = await getUniversityAccounts(university.email);
+        const allAccounts = await storage.accounts.listByUniversity(university.email);
         const nonPrimaryAccounts = allAccounts
             .filter(account => !account.isPrimary && account.isActive)
             .map(account => ({
@@ -273,14 +138,14 @@ router.get('/register/initiate', async (req, res) => {
     }
 });
 
-// API 2: Complete Student Registration (GET)
-router.get('/register/complete', async (req, res) => {
+// API 2: Complete Student Registration
+api.post('/register/complete', { legacy: true }, async (req, res) => {
     try {
         const {
             email,
             name,
             selectedNonPrimaryAccountEmail
-        } = req.query;
+        } = req.body;
 
         // Validation
         if (!email || !name || !selectedNonPrimaryAccountEmail) {
@@ -290,26 +155,19 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Find pending registration (by email only)
-        const pendingRegistrations = await readPendingStudentRegistrations();
-        const pendingIndex = pendingRegistrations.findIndex(
-            reg => reg.email === email
-        );
-
-        if (pendingIndex === -1) {
+        const pendingReg = await storage.pendingStudents.get(email);
+        if (!pendingReg) {
             return res.status(404).json({ error: 'Invalid or expired registration' });
         }
 
-        const pendingReg = pendingRegistrations[pendingIndex];
-
         // Check if registration has expired
         if (new Date() > new Date(pendingReg.expiresAt)) {
-            pendingRegistrations.splice(pendingIndex, 1);
-            await writePendingStudentRegistrations(pendingRegistrations);
+            await storage.pendingStudents.remove(email);
             return res.status(410).json({ error: 'Registration session expired. Please start again.' });
         }
 
         // Verify selected non-primary account exists and belongs to the university
-        const selectedAccount = await readAccount(selectedNonPrimaryAccountEmail);
+        const selectedAccount = await storage.accounts.get(selectedNonPrimaryAccountEmail);
         if (!selectedAccount) {
             return res.status(404).json({ error: 'Selected account not found' });
         }
@@ -327,7 +185,7 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Get all accounts for the university
-        const allAccounts = await getUniversityAccounts(pendingReg.universityEmail);
+        const allAccounts = await storage.accounts.listByUniversity(pendingReg.universityEmail);
 
         // Build accessible stores list
         const accessibleStores = [];
@@ -371,11 +229,10 @@ router.get('/register/complete', async (req, res) => {
         };
 
         // Save to database
-        await writeStudent(pendingReg.email, student);
+        await storage.students.save(pendingReg.email, student);
 
         // Remove from pending registrations
-        pendingRegistrations.splice(pendingIndex, 1);
-        await writePendingStudentRegistrations(pendingRegistrations);
+        await storage.pendingStudents.remove(email);
 
         // Return response without password
         const { password, ...studentResponse } = student;
@@ -392,20 +249,20 @@ router.get('/register/complete', async (req, res) => {
 });
 
 // ============================================
-// STUDENT LOGIN & PROFILE APIs (GET VERSION)
+// STUDENT LOGIN & PROFILE APIs
 // ============================================
 
-// API 3: Student Login (GET)
-router.get('/login', async (req, res) => {
+// API 3: Student Login
+api.post('/login', { legacy: true }, async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
         // Find student
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
@@ -426,6 +283,11 @@ router.get('/login', async (req, res) => {
 
         res.json({
             message: 'Student login successful',
+            ...issueToken({
+                email: student.email,
+                role: ROLES.STUDENT,
+                universityEmail: student.universityEmail
+            }),
             student: studentData
         });
     } catch (error) {
@@ -434,12 +296,15 @@ router.get('/login', async (req, res) => {
     }
 });
 
-// API 4: Get Student Profile (GET)
-router.get('/profile/:email', async (req, res) => {
+// Every route below requires a valid access token
+api.use(authenticate);
+
+// API 4: Get Student Profile
+api.get('/profile', { legacy: '/profile/:email' }, authorize('student:self'), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { email } = req.user;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -453,18 +318,18 @@ router.get('/profile/:email', async (req, res) => {
     }
 });
 
-// API 5: Get Accessible Accounts (GET)
-router.get('/accessible-accounts/:email', async (req, res) => {
+// API 5: Get Accessible Accounts
+api.get('/accessible-accounts', { legacy: '/accessible-accounts/:email' }, authorize('student:self'), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { email } = req.user;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
         // Get all accounts to map store names back to account info
-        const allAccounts = await getUniversityAccounts(student.universityEmail);
+        const allAccounts = await storage.accounts.listByUniversity(student.universityEmail);
 
         const accounts = [];
 
@@ -492,12 +357,12 @@ router.get('/accessible-accounts/:email', async (req, res) => {
     }
 });
 
-// API 6: Get All Accessible Store Names (GET)
-router.get('/accessible-stores/:email', async (req, res) => {
+// API 6: Get All Accessible Store Names
+api.get('/accessible-stores', { legacy: '/accessible-stores/:email' }, authorize('student:self'), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { email } = req.user;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -517,16 +382,13 @@ router.get('/accessible-stores/:email', async (req, res) => {
     }
 });
 
-// API 7: Update Student Profile (GET)
-router.get('/profile/update', async (req, res) => {
+// API 7: Update Student Profile
+api.patch('/profile', { legacy: '/profile/update' }, authorize('student:self'), async (req, res) => {
     try {
-        const { email, ...updates } = req.query;
-
-        if (!email) {
-            return res.status(400).json({ error: 'Email is required' });
-        }
+        const { email } = req.user;
+        const updates = { ...req.body };
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -550,14 +412,14 @@ router.get('/profile/update', async (req, res) => {
 
         // Parse boolean field
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update student
         Object.assign(student, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeStudent(email, student);
+        await storage.students.save(email, student);
 
         const { password, ...studentData } = student;
         res.json({
@@ -570,26 +432,13 @@ router.get('/profile/update', async (req, res) => {
     }
 });
 
-// API 8: Get All Students for a University (GET)
-router.get('/university/:universityEmail', async (req, res) => {
+// API 8: Get All Students for a University
+api.get('/university', { legacy: '/university/:universityEmail' }, authorize('student:list'), async (req, res) => {
     try {
-        const { universityEmail } = req.params;
-
-        const files = await fs.readdir(STUDENTS_DIR);
-        const students = [];
+        const { universityEmail } = req.user;
 
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(STUDENTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const student = JSON.parse(data);
-
-                if (student.universityEmail === universityEmail) {
-                    const { password, ...studentData } = student;
-                    students.push(studentData);
-                }
-            }
-        }
+        const students = (await storage.students.listByUniversity(universityEmail))
+            .map(({ password, ...studentData }) => studentData);
 
         res.json({
             universityEmail,
@@ -603,22 +452,23 @@ router.get('/university/:universityEmail', async (req, res) => {
 });
 
 // ===============================================
-// STUDENT SUPPORT TICKET SYSTEM (GET VERSION)
+// STUDENT SUPPORT TICKET SYSTEM
 // ===============================================
 
-// API 9: Create Ticket (GET)
-router.get("/ticket/create", async (req, res) => {
+// API 9: Create Ticket
+api.post("/tickets", { legacy: "/ticket/create" }, authorize('student:self'), async (req, res) => {
     try {
-        const { studentEmail, accountEmail, problem } = req.query;
+        const { email: studentEmail } = req.user;
+        const { accountEmail, problem } = req.body;
 
-        if (!studentEmail || !accountEmail || !problem) {
+        if (!accountEmail || !problem) {
             return res.status(400).json({
-                error: "studentEmail, accountEmail and problem are required"
+                error: "accountEmail and problem are required"
             });
         }
 
         // Validate student exists
-        const student = await readStudent(studentEmail);
+        const student = await storage.students.get(studentEmail);
         if (!student) {
             return res.status(404).json({
                 error: "Student not found"
@@ -626,7 +476,7 @@ router.get("/ticket/create", async (req, res) => {
         }
 
         // Validate department account exists and belongs to the same university
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({
                 error: "Department account not found"
@@ -639,26 +489,12 @@ router.get("/ticket/create", async (req, res) => {
             });
         }
 
-        // Generate unique ticket ID
-        const ticketId =
-            "ticket_" +
-            Date.now() +
-            "_" +
-            Math.random().toString(36).substring(2, 10);
-
-        const ticket = {
-            ticketId,
+        const ticket = await createTicket({
             studentEmail,
             accountEmail,
             universityEmail: student.universityEmail,
-            problem,
-            status: "pending",
-            solution: "",
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        await writeTicket(ticketId, ticket);
+            problem
+        });
 
         res.status(201).json({
             message: "Ticket created successfully",
@@ -670,19 +506,19 @@ router.get("/ticket/create", async (req, res) => {
     }
 });
 
-// API 10: Get All Tickets for a Student (GET)
-router.get("/ticket/list/:email", async (req, res) => {
+// API 10: Get All Tickets for a Student
+api.get("/tickets", { legacy: "/ticket/list/:email" }, authorize('student:self'), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { email } = req.user;
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({
                 error: "Student not found"
             });
         }
 
-        const tickets = await getTicketsByEmail(email);
+        const tickets = await storage.tickets.listByStudent(email);
 
         res.json({
             studentEmail: email,
@@ -695,29 +531,25 @@ router.get("/ticket/list/:email", async (req, res) => {
     }
 });
 
-// API 11: Delete Student (GET)
-router.get('/delete', async (req, res) => {
+// API 11: Delete Student
+api.delete('/:email', { legacy: '/delete' }, authorize('student:manage', studentFromParams), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.params;
 
         if (!email) {
             return res.status(400).json({ error: 'email is required' });
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
 
-        // Delete student file
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(STUDENTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(filePath);
+        // Delete student record
+        await storage.students.remove(email);
 
         // Delete any pending registration for this email
-        const pendingRegistrations = await readPendingStudentRegistrations();
-        const filtered = pendingRegistrations.filter(reg => reg.email !== email);
-        await writePendingStudentRegistrations(filtered);
+        await storage.pendingStudents.remove(email);
 
         res.json({
             message: 'Student deleted successfully',
@@ -729,16 +561,16 @@ router.get('/delete', async (req, res) => {
     }
 });
 
-// API 12: Toggle Student Active Status (GET)
-router.get('/toggle-status', async (req, res) => {
+// API 12: Toggle Student Active Status
+api.post('/:email/toggle-status', { legacy: '/toggle-status' }, authorize('student:manage', studentFromParams), async (req, res) => {
     try {
-        const { email } = req.query;
+        const { email } = req.params;
 
         if (!email) {
             return res.status(400).json({ error: 'email is required' });
         }
 
-        const student = await readStudent(email);
+        const student = await storage.students.get(email);
         if (!student) {
             return res.status(404).json({ error: 'Student not found' });
         }
@@ -748,7 +580,7 @@ router.get('/toggle-status', async (req, res) => {
         student.updatedAt = new Date().toISOString();
 
         // Save updated data
-        await writeStudent(email, student);
+        await storage.students.save(email, student);
 
         res.json({
             message: `Student ${student.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -761,4 +593,4 @@ router.get('/toggle-status', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = { v1: api.v1, v2: api.v2 };
\ No newline at end of file
@@ -0,0 +1,179 @@
+const storage = require("./storage");
+const { tokenize } = require("./keyword_router");
+const { normalizeQuestion } = require("./answer_cache");
+
+/**
+ * SUGGESTED QUESTIONS
+ *
+ * Starter questions (what to ask a department first) and follow-ups (what to
+ * ask after an answer), built from what the departments already have:
+ *
+ *   faq      questions found in the account's FAQ uploads (text formats,
+ *            extracted at upload time into the upload entry's `questions`)
+ *   popular  questions asked at least POPULAR_MIN_COUNT times in the
+ *            account's provider log, answered and not rated unhelpful
+ *
+ * Follow-ups for an answer rank those candidates of the departments that
+ * answered, plus the questions quoted in the answer's grounding chunks (FAQ
+ * passages), by term overlap with the answer and its grounding. Questions
+ * the student just asked are left out. No LLM call is made.
+ *
+ * Popular questions are recomputed at most every POPULAR_TTL_MS per account.
+ */
+
+const MAX_FOLLOW_UPS = 3;
+const DEFAULT_STARTERS = 5;
+const MAX_FAQ_QUESTIONS = 50;
+const POPULAR_MIN_COUNT = 2;
+const POPULAR_TTL_MS = 10 * 60 * 1000;
+const QUESTION_MIN_LENGTH = 10;
+const QUESTION_MAX_LENGTH = 200;
+const TEXT_EXTENSIONS = ["txt", "md", "csv", "json"];
+const REDACTED = /\[(PHONE|ID|EMAIL)\]/;
+
+// accountEmail -> { questions, expiresAt }
+const popularCache = new Map();
+
+// Helper: A line cleaned of list markers and "Q:" prefixes, when it reads as a question
+function asQuestion(line) {
+    const clean = String(line || "")
+        .replace(/^[\s>*#\-•]*(\d+[.)]\s*)?(q(uestion)?\s*\d*\s*[:.)-]\s*)?/i, "")
+        .replace(/^["']|["',]$/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+    return clean.endsWith("?") && clean.length >= QUESTION_MIN_LENGTH && clean.length <= QUESTION_MAX_LENGTH
+        ? clean
+        : null;
+}
+
+// Helper: String values under "q" / "question" keys of parsed JSON
+function jsonQuestions(value, found = []) {
+    if (Array.isArray(value)) value.forEach(v => jsonQuestions(v, found));
+    else if (value && typeof value === "object") {
+        for (const [key, v] of Object.entries(value)) {
+            if (/^(q|question)$/i.test(key) && typeof v === "string") found.push(v.trim());
+            else jsonQuestions(v, found);
+        }
+    }
+    return found;
+}
+
+// Helper: Distinct questions (by normalized form), in order
+function distinct(items, questionOf = (item) => item) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = normalizeQuestion(questionOf(item));
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Questions contained in an FAQ file (text formats only; others yield [])
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName
+ * @returns {string[]} At most MAX_FAQ_QUESTIONS questions
+ */
+function extractFaqQuestions(buffer, fileName) {
+    const extension = String(fileName || "").split(".").pop().toLowerCase();
+    if (!TEXT_EXTENSIONS.includes(extension)) return [];
+
+    const text = buffer.toString("utf8");
+    let questions = [];
+    if (extension === "json") {
+        try {
+            questions = jsonQuestions(JSON.parse(text)).map(q => (q.endsWith("?") ? q : `${q}?`));
+        } catch {
+            questions = [];
+        }
+    }
+    if (questions.length === 0) {
+        questions = text.split(/\r?\n/).map(asQuestion).filter(Boolean);
+    }
+    return distinct(questions).slice(0, MAX_FAQ_QUESTIONS);
+}
+
+// Helper: Questions extracted from an account's FAQ uploads
+async function faqQuestions(accountEmail) {
+    const uploads = await storage.uploads.get(accountEmail);
+    return distinct((uploads.faq || []).flatMap(f => f.questions || []));
+}
+
+// Helper: Most frequently asked questions of an account, as [{ question, count }]
+async function popularQuestions(accountEmail) {
+    const cached = popularCache.get(accountEmail);
+    if (cached && cached.expiresAt > Date.now()) return cached.questions;
+
+    const counts = new Map();
+    for (const entry of await storage.providerLogs.list(accountEmail)) {
+        if ((entry.status && entry.status !== "ok") || entry.feedback?.rating === "down") continue;
+        if (!entry.question || REDACTED.test(entry.question)) continue;
+
+        const key = normalizeQuestion(entry.question);
+        if (!key) continue;
+        const item = counts.get(key) || { question: entry.question.trim(), count: 0 };
+        item.count++;
+        counts.set(key, item);
+    }
+
+    const questions = [...counts.values()]
+        .filter(item => item.count >= POPULAR_MIN_COUNT)
+        .sort((a, b) => b.count - a.count);
+    popularCache.set(accountEmail, { questions, expiresAt: Date.now() + POPULAR_TTL_MS });
+    return questions;
+}
+
+/**
+ * Starter questions of one department: FAQ questions first, then the most asked ones
+ * @param {string} accountEmail
+ * @param {number} [limit]
+ * @returns {Promise<Array>} [{ question, source: "faq" | "popular", count? }]
+ */
+async function starterQuestions(accountEmail, limit = DEFAULT_STARTERS) {
+    const faq = (await faqQuestions(accountEmail)).map(question => ({ question, source: "faq" }));
+    const popular = (await popularQuestions(accountEmail)).map(({ question, count }) => ({ question, source: "popular", count }));
+
+    return distinct([...faq, ...popular], item => item.question).slice(0, limit);
+}
+
+/**
+ * Follow-up questions for an answer
+ * @param {Object} params
+ * @param {string[]} params.asked - The question as typed and its standalone form
+ * @param {string} params.answer - Final answer
+ * @param {Array} params.results - Store answers [{ accountEmail, groundingChunks }]
+ * @returns {Promise<string[]>} At most MAX_FOLLOW_UPS questions
+ */
+async function suggestFollowUps({ asked, answer, results }) {
+    const chunkTexts = results.flatMap(r => (r.groundingChunks || []).map(c => c.retrievedContext?.text).filter(Boolean));
+    const candidates = chunkTexts.flatMap(text => text.split(/\r?\n|(?<=[.?!])\s+/).map(asQuestion).filter(Boolean));
+    for (const accountEmail of new Set(results.map(r => r.accountEmail).filter(Boolean))) {
+        candidates.push(...await faqQuestions(accountEmail));
+        candidates.push(...(await popularQuestions(accountEmail)).map(p => p.question));
+    }
+
+    const askedKeys = new Set(asked.filter(Boolean).map(normalizeQuestion));
+    const context = new Set(tokenize([answer, ...chunkTexts].join("\n")));
+    const askedTerms = new Set(asked.filter(Boolean).flatMap(tokenize));
+
+    return distinct(candidates)
+        .filter(q => !askedKeys.has(normalizeQuestion(q)))
+        .map((question, order) => {
+            const terms = [...new Set(tokenize(question))];
+            // related to the answer, but not a rephrasing of what was just asked
+            const overlap = terms.filter(t => context.has(t)).length;
+            const repeated = terms.length > 0 && terms.every(t => askedTerms.has(t));
+            return { question, score: repeated ? 0 : overlap, order };
+        })
+        .filter(c => c.score > 0)
+        .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+        .slice(0, MAX_FOLLOW_UPS)
+        .map(c => c.question);
+}
+
+module.exports = {
+    extractFaqQuestions,
+    starterQuestions,
+    suggestFollowUps
+};
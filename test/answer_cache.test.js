@@ -0,0 +1,92 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+process.env.ANSWER_CACHE_MAX_ENTRIES = '3';
+const storage = require('../storage');
+const { issueToken, ROLES } = require('../auth');
+const answerCache = require('../answer_cache');
+const universityAdminRoutes = require('../university_admin');
+
+const answer = (text) => ({ body: { answer: text } });
+
+test('questions match after normalization, on the same store set in any order', () => {
+    answerCache.set('a@uni.edu', ['library', 'hostel'], 'When does the library open?', answer('8 am'));
+
+    assert.strictEqual(answerCache.get('a@uni.edu', ['hostel', 'library'], '  when does the LIBRARY open ').value.body.answer, '8 am');
+    assert.strictEqual(answerCache.get('a@uni.edu', ['library'], 'When does the library open?'), null);
+    assert.strictEqual(answerCache.get('b@uni.edu', ['library', 'hostel'], 'When does the library open?'), null);
+});
+
+test('the least recently used entry is dropped beyond the maximum', () => {
+    for (const q of ['q1', 'q2', 'q3']) answerCache.set('lru@uni.edu', ['s'], q, answer(q));
+    answerCache.get('lru@uni.edu', ['s'], 'q1');
+    answerCache.set('lru@uni.edu', ['s'], 'q4', answer('q4'));
+
+    assert.ok(answerCache.get('lru@uni.edu', ['s'], 'q1'));
+    assert.strictEqual(answerCache.get('lru@uni.edu', ['s'], 'q2'), null);
+    assert.ok(answerCache.get('lru@uni.edu', ['s'], 'q3'));
+    assert.ok(answerCache.get('lru@uni.edu', ['s'], 'q4'));
+});
+
+test('entries expire after the TTL', () => {
+    const now = Date.now();
+    const clock = mock.method(Date, 'now', () => now);
+    try {
+        answerCache.set('ttl@uni.edu', ['s'], 'q', answer('a'));
+        clock.mock.mockImplementation(() => now + answerCache.getStats().ttlMs - 1);
+        assert.ok(answerCache.get('ttl@uni.edu', ['s'], 'q'));
+        clock.mock.mockImplementation(() => now + answerCache.getStats().ttlMs);
+        assert.strictEqual(answerCache.get('ttl@uni.edu', ['s'], 'q'), null);
+    } finally {
+        clock.mock.restore();
+    }
+});
+
+test('a store change drops only the entries that used the store', () => {
+    answerCache.set('inv@uni.edu', ['library'], 'q1', answer('a'));
+    answerCache.set('inv@uni.edu', ['library', 'hostel'], 'q2', answer('b'));
+    answerCache.set('inv@uni.edu', ['hostel'], 'q3', answer('c'));
+
+    assert.strictEqual(answerCache.invalidateStore('library'), 2);
+    assert.strictEqual(answerCache.get('inv@uni.edu', ['library'], 'q1'), null);
+    assert.strictEqual(answerCache.get('inv@uni.edu', ['library', 'hostel'], 'q2'), null);
+    assert.ok(answerCache.get('inv@uni.edu', ['hostel'], 'q3'));
+});
+
+test('stats count hits, misses and invalidations per university', () => {
+    const university = 'stats@uni.edu';
+    answerCache.set(university, ['s'], 'q', answer('a'));
+    answerCache.get(university, ['s'], 'q');
+    answerCache.get(university, ['s'], 'q');
+    answerCache.get(university, ['s'], 'other');
+    answerCache.invalidateStore('s');
+
+    assert.deepStrictEqual(answerCache.getStats(university), {
+        enabled: true,
+        ttlMs: answerCache.getStats().ttlMs,
+        entries: 0,
+        hits: 2,
+        misses: 1,
+        invalidations: 1,
+        hitRate: 0.67
+    });
+});
+
+test('changing the guardrails or the confidence threshold drops the university\'s cached answers', async () => {
+    await storage.ready;
+    const email = 'admin@uni.edu';
+    await storage.universities.save(email, { email, universityName: 'Uni', isActive: true });
+    const { token } = issueToken({ email, role: ROLES.UNIVERSITY_ADMIN, universityEmail: email });
+
+    for (const [path, body] of [['/guardrails', { abuse: false }], ['/confidence-threshold', { threshold: 0.6 }]]) {
+        answerCache.set(email, ['library'], 'q', answer('a'));
+        answerCache.set('other@uni.edu', ['library'], 'q', answer('a'));
+
+        const response = await callRoute(universityAdminRoutes.v2, { method: 'PUT', path, token, body });
+        assert.strictEqual(response.status, 200, path);
+        assert.strictEqual(answerCache.get(email, ['library'], 'q'), null, path);
+        assert.ok(answerCache.get('other@uni.edu', ['library'], 'q'), path);
+    }
+});
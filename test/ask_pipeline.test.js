@@ -0,0 +1,149 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+process.env.ASK_STORE_TIMEOUT_MS = '100';
+const storage = require('../storage');
+const llm = require('../llm');
+const RAGService = require('../rag');
+
+// Provider stub: each test sets the behaviour it needs
+const provider = {};
+const resetProvider = () => Object.assign(provider, {
+    name: 'stub',
+    rewrite: async (history, question) => question,
+    classify: async () => ({ stores: ['store_library', 'store_hostel'], split_questions: {}, unanswered: [] }),
+    synthesize: async () => null,
+    translate: async () => null
+});
+llm.providerForUniversity = () => provider;
+
+// Grounded store answers, or a custom reply per store
+let storeReplies = {};
+const grounded = (text) => ({
+    success: true,
+    data: { response_text: text, grounding_metadata: { groundingChunks: [{ retrievedContext: { text } }] } }
+});
+mock.method(RAGService, 'askQuestion', (key, [store], question) => (storeReplies[store] || (async () => grounded(`${store} answer`)))(question));
+const { answerQuestion } = require('../ask_pipeline');
+
+const UNIVERSITY = 'admin@uni.edu';
+const STUDENT = {
+    email: 'a@uni.edu',
+    universityEmail: UNIVERSITY,
+    accessibleStores: [
+        { storeName: 'store_library', accountEmail: 'lib@uni.edu' },
+        { storeName: 'store_hostel', accountEmail: 'hostel@uni.edu' }
+    ]
+};
+const ask = (question, sessionId, emit) => answerQuestion({ email: STUDENT.email, student: STUDENT, question, sessionId }, emit);
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, universityName: 'Uni', isActive: true });
+    await storage.accounts.save('lib@uni.edu', { accountEmail: 'lib@uni.edu', accountName: 'Library', universityEmail: UNIVERSITY });
+    await storage.accounts.save('hostel@uni.edu', { accountEmail: 'hostel@uni.edu', accountName: 'Hostel', universityEmail: UNIVERSITY });
+});
+
+test('follow-ups are rewritten against the session\'s recent turns', async () => {
+    resetProvider();
+    storeReplies = {};
+    for (let i = 1; i <= 8; i++) {
+        await storage.sessions.appendMessage(STUDENT.email, 'memory', { question: `Question ${i}?`, answer: `Answer ${i}.` });
+    }
+
+    let history = null;
+    provider.rewrite = async (turns, question) => {
+        history = turns;
+        return `${question} (about the hostel fee)`;
+    };
+    const events = [];
+    const result = await ask('What about late payment?', 'memory', (event, data) => events.push({ event, data }));
+
+    assert.deepStrictEqual(history.map(t => t.question), ['Question 3?', 'Question 4?', 'Question 5?', 'Question 6?', 'Question 7?', 'Question 8?']);
+    assert.deepStrictEqual(history[5], { question: 'Question 8?', answer: 'Answer 8.' });
+    assert.strictEqual(result.standaloneQuestion, 'What about late payment? (about the hostel fee)');
+    assert.deepStrictEqual(events.find(e => e.event === 'rewrite').data, { question: result.standaloneQuestion, historyUsed: 6 });
+});
+
+test('a new session is not rewritten', async () => {
+    resetProvider();
+    storeReplies = {};
+    provider.rewrite = async () => assert.fail('no history to rewrite against');
+
+    const result = await ask('When does the library open on Sundays?');
+    assert.strictEqual(result.standaloneQuestion, undefined);
+});
+
+test('stores are asked in parallel and a slow one times out without failing the answer', async () => {
+    resetProvider();
+    let pending = 0;
+    let concurrent = 0;
+    storeReplies = {
+        store_library: async () => {
+            concurrent = Math.max(concurrent, ++pending);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            pending--;
+            return grounded('The library opens at 8 am.');
+        },
+        store_hostel: () => {
+            concurrent = Math.max(concurrent, ++pending);
+            return new Promise(() => {});
+        }
+    };
+    const events = [];
+    const result = await ask('When do the library and the hostel open?', undefined, (event, data) => events.push({ event, data }));
+
+    assert.strictEqual(concurrent, 2);
+    assert.strictEqual(result.answer, 'The library opens at 8 am.');
+    assert.deepStrictEqual(result.storesUsed, ['store_library']);
+    assert.deepStrictEqual(result.failedStores.map(f => [f.store, f.status]), [['store_hostel', 'timeout']]);
+    assert.deepStrictEqual(result.latency.stores.map(s => [s.store, s.status]), [['store_library', 'ok'], ['store_hostel', 'timeout']]);
+    assert.ok(result.latency.stores[1].latencyMs >= 100);
+    assert.deepStrictEqual(events.filter(e => e.event === 'store_failed').map(e => e.data.store), ['store_hostel']);
+});
+
+test('when every store fails, the reply says so and offers a ticket to a department that failed', async () => {
+    resetProvider();
+    storeReplies = {
+        store_library: async () => ({ success: false, error: 'quota exceeded' }),
+        store_hostel: async () => { throw new Error('socket hang up'); }
+    };
+    const result = await ask('When does the hostel mess open?');
+
+    assert.deepStrictEqual(result.failedStores.map(f => [f.store, f.status, f.error]), [
+        ['store_library', 'failed', 'quota exceeded'],
+        ['store_hostel', 'failed', 'socket hang up']
+    ]);
+    assert.strictEqual(result.searchedIn, 'lib@uni.edu');
+    assert.deepStrictEqual([result.escalation.accountEmail, result.escalation.reason], ['lib@uni.edu', 'no_answer']);
+});
+
+test('several answers are merged by the provider under the departments\' names', async () => {
+    resetProvider();
+    storeReplies = {};
+    let merged = null;
+    provider.synthesize = async (question, answers) => {
+        merged = answers;
+        return { answer: 'Library: 8 am. Hostel: 6 am.', contradictions: [{ topic: 'opening time' }] };
+    };
+    const result = await ask('When do the library and hostel gates open?');
+
+    assert.deepStrictEqual(merged, [
+        { department: 'Library', answer: 'store_library answer' },
+        { department: 'Hostel', answer: 'store_hostel answer' }
+    ]);
+    assert.strictEqual(result.answer, 'Library: 8 am. Hostel: 6 am.');
+    assert.deepStrictEqual(result.synthesis, { method: 'llm', provider: 'stub', contradictions: [{ topic: 'opening time' }] });
+});
+
+test('without synthesis each department\'s answer is shown under its name', async () => {
+    resetProvider();
+    storeReplies = {};
+    provider.synthesize = async () => { throw new Error('provider down'); };
+    const result = await ask('When do the library and hostel offices close?');
+
+    assert.strictEqual(result.answer, '**Library**:\nstore_library answer\n\n**Hostel**:\nstore_hostel answer');
+    assert.deepStrictEqual(result.synthesis, { method: 'concatenated', contradictions: [] });
+});
@@ -0,0 +1,100 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const llm = require('../llm');
+const RAGService = require('../rag');
+
+const GROUNDED = 'The central library opens at 8 am on weekdays.';
+const translations = [];
+
+// A provider routing to both stores and "translating" by tagging the text
+llm.providerForUniversity = () => ({
+    name: 'stub',
+    rewrite: async (history, question) => question,
+    classify: async () => ({ stores: ['store_library', 'store_hostel'], split_questions: {}, unanswered: [] }),
+    synthesize: async () => null,
+    translate: async (text, languageName) => {
+        translations.push(text);
+        return `[${languageName}] ${text}`;
+    }
+});
+// The library answers from its documents, the hostel without any grounding (withheld)
+mock.method(RAGService, 'askQuestion', async (key, [store]) => ({
+    success: true,
+    data: store === 'store_library'
+        ? { response_text: GROUNDED, grounding_metadata: { groundingChunks: [{ retrievedContext: { text: GROUNDED } }] } }
+        : { response_text: 'Hostel rooms are shared by three students.', grounding_metadata: { groundingChunks: [] } }
+}));
+const { answerQuestion } = require('../ask_pipeline');
+const { issueToken, ROLES } = require('../auth');
+const askRoutes = require('../ask');
+
+const UNIVERSITY = 'admin@uni.edu';
+const STUDENT = {
+    email: 'a@uni.edu',
+    universityEmail: UNIVERSITY,
+    accessibleStores: [
+        { storeName: 'store_library', accountEmail: 'lib@uni.edu' },
+        { storeName: 'store_hostel', accountEmail: 'hostel@uni.edu' }
+    ]
+};
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, universityName: 'Uni', isActive: true });
+    await storage.students.save(STUDENT.email, { ...STUDENT, isActive: true });
+});
+
+test('partials carry only answers above the threshold, in the answer language', async () => {
+    const events = [];
+    const result = await answerQuestion({
+        email: STUDENT.email, student: STUDENT, question: 'When does the library open?', language: 'hi'
+    }, (event, data) => events.push({ event, data }));
+
+    const partials = events.filter(e => e.event === 'partial').map(e => e.data);
+    assert.deepStrictEqual(partials.map(p => [p.store, p.answer]), [['store_library', `[Hindi] ${GROUNDED}`]]);
+    assert.deepStrictEqual(events.filter(e => e.event === 'low_confidence').map(e => e.data.store), ['store_hostel']);
+
+    assert.strictEqual(result.answer, partials[0].answer);
+    assert.strictEqual(result.englishAnswer, GROUNDED);
+    assert.deepStrictEqual(result.withheldStores.map(w => w.store), ['store_hostel']);
+});
+
+test('a single answer is translated once, streamed or not', async () => {
+    translations.length = 0;
+    await answerQuestion({ email: STUDENT.email, student: STUDENT, question: 'Library opening time on weekdays', language: 'hi' });
+    assert.deepStrictEqual(translations, [GROUNDED]);
+});
+
+test('POST /ask/stream sends each step as a server-sent event, then the answer', async () => {
+    const { token } = issueToken({ email: STUDENT.email, role: ROLES.STUDENT, universityEmail: UNIVERSITY });
+    const response = await callRoute(askRoutes.v2, {
+        method: 'POST', path: '/ask/stream', token, body: { question: 'What time does the library open on weekdays?' }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const events = response.body.trim().split('\n\n').map((block) => {
+        const [, event] = block.match(/^event: (.+)$/m);
+        const [, data] = block.match(/^data: (.+)$/m);
+        return { event, data: JSON.parse(data) };
+    });
+
+    const names = events.map(e => e.event);
+    assert.deepStrictEqual(names.slice(0, 3), ['session', 'language', 'classification']);
+    assert.deepStrictEqual(names.slice(3, -1).sort(), ['citations', 'low_confidence', 'partial'], 'per store, in the order they answer');
+    assert.strictEqual(names[names.length - 1], 'answer');
+    const answer = events[events.length - 1].data;
+    assert.strictEqual(answer.sessionId, events[0].data.sessionId);
+    assert.strictEqual(answer.answer, GROUNDED);
+});
+
+test('POST /ask/stream refuses an empty question before streaming', async () => {
+    const { token } = issueToken({ email: STUDENT.email, role: ROLES.STUDENT, universityEmail: UNIVERSITY });
+    const response = await callRoute(askRoutes.v2, { method: 'POST', path: '/ask/stream', token, body: { question: ' ' } });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body, { error: 'question required' });
+});
@@ -0,0 +1,68 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { buildCitations } = require('../citations');
+
+const ACCOUNT = 'accounts@uni.edu';
+const UNIVERSITY = { email: 'admin@uni.edu', websiteUrl: 'https://uni.edu' };
+
+// Helper: Grounding chunk as returned by the RAG service
+const chunk = (title, text, uri) => ({ retrievedContext: { title, text, ...(uri && { uri }) } });
+const cite = (groundingChunks, accountEmail = ACCOUNT) =>
+    buildCitations({ accountEmail, department: 'Accounts', groundingChunks }, UNIVERSITY);
+
+before(async () => {
+    await storage.ready;
+    await storage.uploads.save(ACCOUNT, {
+        notice: [{ filename: 'Fee Notice 2026.pdf', imagekitUrl: 'https://ik.example/fee.pdf', ragData: { documentId: 'doc-fee' } }],
+        faq: [{ filename: 'Fees FAQ.txt', imagekitUrl: 'https://ik.example/faq.txt' }],
+        impData: []
+    });
+});
+
+test('chunks are joined to the department uploads by file name or document id', async () => {
+    const citations = await cite([
+        chunk('Fee Notice 2026.pdf', 'Fees are due by 31 July.'),
+        chunk('doc-fee', 'Late fee is 500 rupees.'),
+        chunk('Fees FAQ.txt', 'Q: Can I pay in instalments?')
+    ]);
+
+    assert.deepStrictEqual(citations[0], {
+        department: 'Accounts',
+        accountEmail: ACCOUNT,
+        filename: 'Fee Notice 2026.pdf',
+        category: 'notice',
+        url: 'https://ik.example/fee.pdf',
+        snippet: 'Fees are due by 31 July.'
+    });
+    assert.deepStrictEqual([citations[1].filename, citations[1].category], ['Fee Notice 2026.pdf', 'notice']);
+    assert.deepStrictEqual([citations[2].category, citations[2].url], ['faq', 'https://ik.example/faq.txt']);
+});
+
+test('website chunks link to the scraped page, else to the university website', async () => {
+    const [page, site] = await cite([
+        chunk('website_content.json', '{"url": "https://uni.edu/admissions", "text": "Admissions open in May"}'),
+        chunk('website_content.json', 'Admissions open in May')
+    ]);
+
+    assert.deepStrictEqual([page.category, page.url], ['website', 'https://uni.edu/admissions']);
+    assert.deepStrictEqual([site.category, site.url], ['website', 'https://uni.edu']);
+});
+
+test('unknown documents keep their own title and link', async () => {
+    const [citation] = await cite([chunk('Old circular.pdf', 'Text', 'https://rag.example/doc/1')], 'nobody@uni.edu');
+    assert.deepStrictEqual([citation.filename, citation.category, citation.url], ['Old circular.pdf', null, 'https://rag.example/doc/1']);
+});
+
+test('chunks without text are skipped and long ones shortened', async () => {
+    const citations = await cite([chunk('Fee Notice 2026.pdf', ''), chunk('Fee Notice 2026.pdf', `  Fees\n${'x'.repeat(400)}`)]);
+
+    assert.strictEqual(citations.length, 1);
+    assert.strictEqual(citations[0].snippet.length, 300);
+    assert.ok(citations[0].snippet.startsWith('Fees xxx'));
+    assert.ok(citations[0].snippet.endsWith('...'));
+    assert.deepStrictEqual(await cite([]), []);
+});
@@ -0,0 +1,81 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+process.env.ASK_RATE_BURST = '3';
+const storage = require('../storage');
+const { issueToken, ROLES } = require('../auth');
+const { usageFor } = require('../rate_limit');
+const askRoutes = require('../ask');
+
+const UNIVERSITY = 'admin@uni.edu';
+const LIBRARY = { accountEmail: 'lib@uni.edu', accountName: 'Library', universityEmail: UNIVERSITY };
+const FOREIGN = { accountEmail: 'lib@other.edu', accountName: 'Library', universityEmail: 'admin@other.edu' };
+
+// Helper: Token of an active student of the university
+const studentToken = async (email) => {
+    await storage.students.save(email, { email, universityEmail: UNIVERSITY, isActive: true });
+    return issueToken({ email, role: ROLES.STUDENT, universityEmail: UNIVERSITY }).token;
+};
+const escalate = (token, body) => callRoute(askRoutes.v2, { method: 'POST', path: '/ask/escalate', token, body });
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, universityName: 'Uni', isActive: true });
+    await storage.accounts.save(LIBRARY.accountEmail, LIBRARY);
+    await storage.accounts.save(FOREIGN.accountEmail, FOREIGN);
+});
+
+test('an escalation creates a ticket for the chosen department', async () => {
+    const token = await studentToken('a@uni.edu');
+    const response = await escalate(token, {
+        question: 'Can I borrow ten books?', accountEmail: LIBRARY.accountEmail, sessionId: 's1', details: 'For my thesis'
+    });
+
+    assert.strictEqual(response.status, 201);
+    const { ticket } = response.body;
+    assert.strictEqual(ticket.accountEmail, LIBRARY.accountEmail);
+    assert.strictEqual(ticket.problem, 'Can I borrow ten books?\n\nFor my thesis');
+    assert.strictEqual(ticket.source, 'ask');
+    assert.strictEqual(ticket.sessionId, 's1');
+    assert.deepStrictEqual(await storage.tickets.get(ticket.ticketId), ticket);
+});
+
+test('invalid bodies are refused before the rate limit is charged', async () => {
+    const token = await studentToken('b@uni.edu');
+    for (const body of [{}, { question: '' }, { question: '   ' }, { question: 42 }, { question: ['q'] },
+        { question: 'q', details: { text: 'x' } }, { question: 'q', accountEmail: [LIBRARY.accountEmail] }]) {
+        assert.strictEqual((await escalate(token, body)).status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual((await escalate(token, { question: 'q', accountEmail: LIBRARY.accountEmail })).status, 201);
+});
+
+test('without a department the ticket goes to the fallback one, when configured', async () => {
+    const token = await studentToken('c@uni.edu');
+    assert.strictEqual((await escalate(token, { question: 'Who do I ask?' })).status, 400);
+
+    const university = await storage.universities.get(UNIVERSITY);
+    await storage.universities.save(UNIVERSITY, { ...university, escalationAccountEmail: LIBRARY.accountEmail });
+    const response = await escalate(token, { question: 'Who do I ask?' });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.ticket.accountEmail, LIBRARY.accountEmail);
+});
+
+test('departments of other universities and unknown ones are refused', async () => {
+    const token = await studentToken('d@uni.edu');
+    assert.strictEqual((await escalate(token, { question: 'q', accountEmail: FOREIGN.accountEmail })).status, 403);
+    assert.strictEqual((await escalate(token, { question: 'q', accountEmail: 'nobody@uni.edu' })).status, 404);
+});
+
+test('escalations are rate limited per student without using the daily quota', async () => {
+    const token = await studentToken('e@uni.edu');
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await escalate(token, { question: `q${i}`, accountEmail: LIBRARY.accountEmail })).status, 201);
+    }
+
+    const limited = await escalate(token, { question: 'q3', accountEmail: LIBRARY.accountEmail });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.strictEqual((await usageFor(await storage.universities.get(UNIVERSITY))).used, 0);
+});
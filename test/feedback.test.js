@@ -0,0 +1,90 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { issueToken, ROLES } = require('../auth');
+const { summarizeFeedback } = require('../feedback');
+const askRoutes = require('../ask');
+
+const UNIVERSITY = 'admin@uni.edu';
+const STUDENT = 'a@uni.edu';
+const LIBRARY = { accountEmail: 'lib@uni.edu', accountName: 'Library', universityEmail: UNIVERSITY };
+const HOSTEL = { accountEmail: 'hostel@uni.edu', accountName: 'Hostel', universityEmail: UNIVERSITY };
+let token;
+
+// Helper: Provider log entry of an answer, optionally already rated
+const logEntry = (fields) => ({ question: 'q', response: 'a', status: 'ok', asked_at: '2026-10-01T10:00:00.000Z', ...fields });
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, universityName: 'Uni', isActive: true });
+    await storage.students.save(STUDENT, { email: STUDENT, universityEmail: UNIVERSITY, isActive: true });
+    await storage.accounts.save(LIBRARY.accountEmail, LIBRARY);
+    await storage.accounts.save(HOSTEL.accountEmail, HOSTEL);
+    ({ token } = issueToken({ email: STUDENT, role: ROLES.STUDENT, universityEmail: UNIVERSITY }));
+
+    await storage.sessions.appendMessage(STUDENT, 's1', {
+        question: 'When does the library open?',
+        answer: '8 am',
+        latency: { totalMs: 10, stores: [{ store: 'store_library', accountEmail: LIBRARY.accountEmail, status: 'ok', latencyMs: 10 }] }
+    });
+    await storage.providerLogs.append(LIBRARY.accountEmail, logEntry({
+        user_email: STUDENT,
+        session_id: 's1',
+        message_index: 0,
+        grounding: [{ retrievedContext: { title: 'timings.pdf', text: 'Open at 8 am' } }]
+    }));
+});
+
+const postFeedback = (path, body) => callRoute(askRoutes.v2, { method: 'POST', path, token, body });
+
+test('feedback is stored on the message and copied, redacted, to the department logs', async () => {
+    const comment = 'Wrong time, call me on +44 20 7946 0958 or a.student@gmail.com';
+    const response = await postFeedback('/sessions/s1/messages/0/feedback', { rating: 'down', comment });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.feedback.rating, 'down');
+
+    const session = await storage.sessions.get(STUDENT, 's1');
+    assert.strictEqual(session.messages[0].feedback.comment, comment);
+
+    const [entry] = await storage.providerLogs.list(LIBRARY.accountEmail);
+    assert.strictEqual(entry.feedback.rating, 'down');
+    assert.strictEqual(entry.feedback.comment, 'Wrong time, call me on [PHONE] or [EMAIL]');
+});
+
+test('invalid feedback is refused and unknown messages are not found', async () => {
+    assert.strictEqual((await postFeedback('/sessions/s1/messages/0/feedback', { rating: 'meh' })).status, 400);
+    assert.strictEqual((await postFeedback('/sessions/s1/messages/-1/feedback', { rating: 'up' })).status, 400);
+    assert.strictEqual((await postFeedback('/sessions/s1/messages/0/feedback', { rating: 'up', comment: 5 })).status, 400);
+    assert.strictEqual((await postFeedback('/sessions/s1/messages/7/feedback', { rating: 'up' })).status, 404);
+    assert.strictEqual((await postFeedback('/sessions/nope/messages/0/feedback', { rating: 'up' })).status, 404);
+});
+
+test('the summary totals ratings per department and per document', async () => {
+    const rated = (rating, createdAt, title) => logEntry({
+        feedback: { rating, comment: null, createdAt },
+        grounding: [{ retrievedContext: { title } }]
+    });
+    await storage.providerLogs.append(HOSTEL.accountEmail, rated('up', '2026-10-02T10:00:00.000Z', 'fees.pdf'));
+    await storage.providerLogs.append(HOSTEL.accountEmail, rated('up', '2026-10-03T10:00:00.000Z', 'fees.pdf'));
+    await storage.providerLogs.append(HOSTEL.accountEmail, rated('down', '2026-10-04T10:00:00.000Z', 'rooms.pdf'));
+    await storage.providerLogs.append(HOSTEL.accountEmail, logEntry({}));
+
+    const summary = await summarizeFeedback(UNIVERSITY);
+
+    assert.deepStrictEqual(summary.totals, { up: 2, down: 2, helpfulnessRate: 0.5 });
+    const hostel = summary.accounts.find(a => a.accountEmail === HOSTEL.accountEmail);
+    assert.deepStrictEqual([hostel.answers, hostel.up, hostel.down, hostel.helpfulnessRate], [4, 2, 1, 0.67]);
+    const library = summary.accounts.find(a => a.accountEmail === LIBRARY.accountEmail);
+    assert.strictEqual(library.recentComments[0].comment, 'Wrong time, call me on [PHONE] or [EMAIL]');
+
+    assert.deepStrictEqual(summary.documents.map(d => [d.filename, d.up, d.down]), [
+        ['fees.pdf', 2, 0], ['timings.pdf', 0, 1], ['rooms.pdf', 0, 1]
+    ]);
+
+    const ranged = await summarizeFeedback(UNIVERSITY, { from: '2026-10-03T00:00:00.000Z', to: '2026-10-03T23:59:59.999Z' });
+    assert.deepStrictEqual(ranged.totals, { up: 1, down: 0, helpfulnessRate: 1 });
+});
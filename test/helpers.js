@@ -0,0 +1,83 @@
+const fs = require('fs');
+const express = require('express');
+const { once } = require('events');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point storage at a fresh temporary directory (removed when the process
+ * exits). Call before requiring any module that loads ./storage.
+ * @returns {string} The data directory
+ */
+const useTempStorage = () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'smartuniversity-test-'));
+    process.env.DATA_DIR = path.join(root, 'database');
+    process.env.LEGACY_DATA_DIR = path.join(root, 'legacy');
+    process.env.STORAGE_BACKEND = 'file';
+    process.on('exit', () => fs.rmSync(root, { recursive: true, force: true }));
+    return process.env.DATA_DIR;
+};
+
+/**
+ * Run an Express middleware against a fake request
+ * @param {Function} middleware
+ * @param {Object} req
+ * @returns {Promise<Object>} { next: boolean, status, body, headers }
+ */
+const runMiddleware = (middleware, req) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { resolve({ next: false, status: this.statusCode, body, headers: this.headers }); return this; }
+    };
+    middleware(req, res, () => resolve({ next: true, status: null, body: null, headers: res.headers }));
+});
+
+/**
+ * Call a route of an Express router over HTTP, on a throwaway server
+ * @param {Function} router - e.g. a route module's v2 or v1 router
+ * @param {Object} request
+ * @param {string} [request.method] - Default GET
+ * @param {string} request.path - Path and query string, relative to the router
+ * @param {string} [request.token] - Bearer token
+ * @param {Object} [request.body] - Sent as JSON
+ * @param {Object} [request.headers]
+ * @returns {Promise<Object>} { status, headers, body } (body parsed when it is JSON)
+ */
+const callRoute = async (router, { method = 'GET', path: routePath, token, body, headers = {} }) => {
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${routePath}`, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            ...(body !== undefined && { body: JSON.stringify(body) })
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = text ? JSON.parse(text) : null;
+        } catch {
+            // not JSON: keep the text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    } finally {
+        server.close();
+    }
+};
+
+module.exports = {
+    useTempStorage,
+    runMiddleware,
+    callRoute
+};
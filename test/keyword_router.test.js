@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const { routeByKeywords, tokenize } = require('../keyword_router');
+const { classifyStores } = require('../ask_pipeline');
+
+const STORES = [
+    { storeName: 'store_library', department: 'Central Library', description: 'Books, journals and the reading room', documentTitles: ['Library timings.pdf'] },
+    { storeName: 'store_hostel', department: 'Hostel Office', description: 'Rooms, mess and wardens', documentTitles: ['Hostel fee notice 2026.pdf'] },
+    { storeName: 'store_exams', department: 'Examination Cell', description: 'Exam schedules, results and revaluation', documentTitles: ['Exam fee circular.pdf'] },
+    { storeName: 'store_hindi', department: 'पुस्तकालय', description: 'किताबें और वाचनालय', documentTitles: [] }
+];
+
+test('terms are lowercased, stopwords and short words dropped, plurals reduced', () => {
+    assert.deepStrictEqual(tokenize('What are the HOSTELS rules for rooms?'), ['hostel', 'rule', 'room']);
+    assert.deepStrictEqual(tokenize('Fee notice.pdf'), ['fee', 'notice']);
+    assert.deepStrictEqual(tokenize('पुस्तकालय कब खुलता है?'), ['पुस्तकालय', 'खुलता']);
+});
+
+test('a question goes to the department whose metadata it matches', () => {
+    assert.deepStrictEqual(routeByKeywords(STORES, 'When does the library open?').stores, ['store_library']);
+    assert.deepStrictEqual(routeByKeywords(STORES, 'How do I apply for revaluation of my results?').stores, ['store_exams']);
+    assert.deepStrictEqual(routeByKeywords(STORES, 'पुस्तकालय कब खुलता है?').stores, ['store_hindi']);
+});
+
+test('department names weigh more than file titles', () => {
+    const { stores, scores } = routeByKeywords(STORES, 'hostel fee');
+    assert.strictEqual(stores[0], 'store_hostel');
+    assert.ok(scores.store_hostel > scores.store_exams);
+});
+
+test('stores far below the best score are left out, and nothing matches nothing', () => {
+    const { stores, scores } = routeByKeywords(STORES, 'What is the fee for the hostel mess and rooms?');
+    assert.deepStrictEqual(stores, ['store_hostel']);
+    assert.ok(scores.store_exams > 0);
+
+    assert.deepStrictEqual(routeByKeywords(STORES, 'Who won the football match?').stores, []);
+});
+
+test('the classifier falls back to keywords, then to every store', async () => {
+    const keyword = await classifyStores(null, STORES, 'When does the library open?');
+    assert.deepStrictEqual(keyword.stores, ['store_library']);
+    assert.deepStrictEqual([keyword.routing.strategy, keyword.routing.fallbackReason], ['keyword', 'no_provider']);
+
+    const failing = { name: 'stub', classify: async () => { throw new Error('down'); } };
+    const all = await classifyStores(failing, STORES, 'Who won the football match?');
+    assert.deepStrictEqual(all.stores, STORES.map(s => s.storeName));
+    assert.deepStrictEqual([all.routing.strategy, all.routing.fallbackReason], ['all', 'provider_error']);
+
+    const invalid = { name: 'stub', classify: async () => null };
+    assert.strictEqual((await classifyStores(invalid, STORES, 'library')).routing.fallbackReason, 'invalid_reply');
+});
@@ -0,0 +1,72 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { buildGapReport } = require('../knowledge_gaps');
+
+const UNIVERSITY = 'admin@uni.edu';
+const ACCOUNT = { accountEmail: 'lib@uni.edu', accountName: 'Library', universityEmail: UNIVERSITY };
+const ASKED_AT = '2026-10-01T10:00:00.000Z';
+
+before(async () => {
+    await storage.ready;
+    await storage.students.save('a@uni.edu', { email: 'a@uni.edu', universityEmail: UNIVERSITY });
+    await storage.students.save('b@other.edu', { email: 'b@other.edu', universityEmail: 'admin@other.edu' });
+
+    await storage.sessions.appendMessage('a@uni.edu', 's1', {
+        question: 'Where is the swimming pool?',
+        timestamp: ASKED_AT,
+        unresolvedParts: [{ text: 'Where is the swimming pool?' }]
+    });
+    await storage.sessions.appendMessage('a@uni.edu', 's1', {
+        question: 'Give me the hostel warden number you idiot',
+        timestamp: ASKED_AT,
+        unresolvedParts: [{ text: 'hostel warden number' }],
+        blocked: { stage: 'answer', reason: 'abuse' }
+    });
+    await storage.sessions.appendMessage('b@other.edu', 's1', {
+        question: 'Where is the gym?',
+        timestamp: ASKED_AT,
+        unresolvedParts: [{ text: 'Where is the gym?' }]
+    });
+
+    await storage.providerLogs.append(ACCOUNT.accountEmail, {
+        question: 'When does the library open on Sunday?', response: null, status: 'timeout', asked_at: ASKED_AT
+    });
+    await storage.providerLogs.append(ACCOUNT.accountEmail, {
+        question: 'Library fine rules?', response: null, status: 'blocked', asked_at: ASKED_AT
+    });
+});
+
+test('unrouted questions come from the university\'s own students only', async () => {
+    const report = await buildGapReport({ accounts: [], universityEmail: UNIVERSITY });
+
+    assert.strictEqual(report.totalQuestions, 1);
+    assert.deepStrictEqual(report.byReason, { unrouted: 1 });
+    assert.strictEqual(report.clusters[0].sessions[0].studentEmail, 'a@uni.edu');
+});
+
+test('answers and messages blocked by guardrails are not gaps', async () => {
+    const report = await buildGapReport({ accounts: [ACCOUNT], universityEmail: UNIVERSITY });
+
+    assert.deepStrictEqual(report.byReason, { timeout: 1, unrouted: 1 });
+    const questions = report.clusters.flatMap(c => c.questions.map(q => q.question));
+    assert.ok(!questions.some(q => /warden|fine rules/i.test(q)));
+});
+
+test('questions in non-Latin scripts are grouped by their shared keywords', async () => {
+    const account = { accountEmail: 'hostel@uni.edu', accountName: 'Hostel', universityEmail: UNIVERSITY };
+    for (const question of ['छात्रावास की फीस कितनी है?', 'छात्रावास की फीस कब जमा करनी है?', 'ಗ್ರಂಥಾಲಯ ಎಷ್ಟು ಗಂಟೆಗೆ ತೆರೆಯುತ್ತದೆ?']) {
+        await storage.providerLogs.append(account.accountEmail, { question, response: null, status: 'failed', asked_at: ASKED_AT });
+    }
+
+    const report = await buildGapReport({ accounts: [account] });
+
+    assert.strictEqual(report.totalQuestions, 3);
+    assert.deepStrictEqual(report.clusters.map(c => c.count), [2, 1]);
+    assert.ok(report.clusters[0].keywords.includes('छात्रावास'));
+    assert.ok(report.clusters[0].keywords.includes('फीस'));
+    assert.notStrictEqual(report.clusters[1].topic, 'other');
+});
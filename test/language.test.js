@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage, resolveLanguage, languageSettingsFor } = require('../language');
+
+test('languages are detected by script', () => {
+    assert.strictEqual(detectLanguage('When does the library open?'), 'en');
+    assert.strictEqual(detectLanguage('पुस्तकालय कब खुलता है?'), 'hi');
+    assert.strictEqual(detectLanguage('ಗ್ರಂಥಾಲಯ ಎಷ್ಟು ಗಂಟೆಗೆ ತೆರೆಯುತ್ತದೆ?'), 'kn');
+    assert.strictEqual(detectLanguage('நூலகம் எப்போது திறக்கும்?'), 'ta');
+    assert.strictEqual(detectLanguage('Library ಎಷ್ಟು ಗಂಟೆಗೆ ತೆರೆಯುತ್ತದೆ?'), 'kn', 'mixed text goes by the majority script');
+    assert.strictEqual(detectLanguage(''), 'en');
+    assert.strictEqual(detectLanguage('2026?'), 'en');
+});
+
+test('Hindi typed in Latin letters needs two Hindi words', () => {
+    assert.strictEqual(detectLanguage('library kab khulti hai?'), 'hi');
+    assert.strictEqual(detectLanguage('Where is the hai building?'), 'en');
+});
+
+test('a script shared by several languages resolves to the preferred one', () => {
+    assert.strictEqual(detectLanguage('ग्रंथालय कधी उघडते?'), 'hi');
+    assert.strictEqual(detectLanguage('ग्रंथालय कधी उघडते?', ['en', 'mr']), 'mr');
+});
+
+test('the answer language is the requested, else the detected, else the default one', () => {
+    const settings = languageSettingsFor({ languages: { supported: ['en', 'hi'], default: 'en' } });
+
+    assert.deepStrictEqual(resolveLanguage('पुस्तकालय कब खुलता है?', settings),
+        { code: 'hi', name: 'Hindi', detected: 'hi', source: 'detected' });
+    assert.deepStrictEqual(resolveLanguage('When does the library open?', settings, 'hi'),
+        { code: 'hi', name: 'Hindi', detected: 'en', source: 'requested' });
+    assert.deepStrictEqual(resolveLanguage('ಗ್ರಂಥಾಲಯ ತೆರೆಯುತ್ತದೆ?', settings),
+        { code: 'en', name: 'English', detected: 'kn', source: 'default' });
+    assert.strictEqual(resolveLanguage('पुस्तकालय कब खुलता है?', settings, 'kn').source, 'detected');
+    assert.strictEqual(resolveLanguage('Library?', settings, 'xx').source, 'detected');
+});
+
+test('university settings fall back to the server defaults', () => {
+    assert.deepStrictEqual(languageSettingsFor(null), { supported: ['en', 'hi', 'kn'], default: 'en' });
+    assert.deepStrictEqual(languageSettingsFor({ languages: { supported: [], default: 'hi' } }), { supported: ['en', 'hi', 'kn'], default: 'hi' });
+});
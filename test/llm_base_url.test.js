@@ -0,0 +1,84 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { issueToken, ROLES } = require('../auth');
+const { checkBaseUrl, providerForUniversity } = require('../llm');
+const universityAdminRoutes = require('../university_admin');
+
+test('public https base URLs are accepted', async () => {
+    assert.strictEqual(await checkBaseUrl('https://8.8.8.8/v1'), null);
+    assert.strictEqual(await checkBaseUrl('https://[2606:4700:4700::1111]/v1'), null);
+});
+
+test('plain http and malformed base URLs are refused', async () => {
+    assert.match(await checkBaseUrl('http://8.8.8.8/v1'), /https/);
+    assert.match(await checkBaseUrl('not a url'), /valid URL/);
+});
+
+test('loopback, private and link-local hosts are refused', async () => {
+    for (const baseUrl of [
+        'https://169.254.169.254/latest/meta-data',
+        'https://127.0.0.1:11434/v1',
+        'https://0x7f.1/v1',
+        'https://10.0.0.5/v1',
+        'https://172.16.3.4/v1',
+        'https://192.168.1.10/v1',
+        'https://[::1]/v1',
+        'https://[::ffff:127.0.0.1]/v1',
+        'https://[fd00::1]/v1',
+        'https://[fe80::1]/v1',
+        'https://localhost/v1',
+        'https://model.localhost/v1',
+        'https://metadata.google.internal/v1',
+        'https://llm-server/v1'
+    ]) {
+        assert.match(await checkBaseUrl(baseUrl), /private or local/, baseUrl);
+    }
+});
+
+test('a stored private baseUrl disables the provider instead of being called', () => {
+    const university = { llmProvider: { type: 'openai', baseUrl: 'https://169.254.169.254/v1', apiKey: 'sk-test' } };
+    assert.strictEqual(providerForUniversity(university), null);
+
+    const allowed = { llmProvider: { type: 'openai', baseUrl: 'https://8.8.8.8/v1', apiKey: 'sk-test' } };
+    assert.ok(providerForUniversity(allowed));
+});
+
+test('a university baseUrl without its own apiKey disables the provider', () => {
+    assert.strictEqual(providerForUniversity({ llmProvider: { type: 'openai', baseUrl: 'https://8.8.8.8/v1' } }), null);
+    assert.ok(providerForUniversity({ llmProvider: { type: 'openai' } }), 'the operator endpoint still works');
+});
+
+test('a university baseUrl that resolves to a private address is refused at request time', async () => {
+    const lookup = mock.method(dns, 'lookup', (hostname, options, callback) => (options.all
+        ? callback(null, [{ address: '169.254.169.254', family: 4 }])
+        : callback(null, '169.254.169.254', 4)));
+    try {
+        const provider = providerForUniversity({ llmProvider: { type: 'openai', baseUrl: 'https://llm.example.com/v1', apiKey: 'sk-test' } });
+        await assert.rejects(provider.translate('Hello', 'Hindi'), /private or local address/);
+        assert.ok(lookup.mock.callCount() > 0);
+    } finally {
+        lookup.mock.restore();
+    }
+});
+
+test('PUT /llm-provider refuses a baseUrl without an apiKey', async () => {
+    await storage.ready;
+    const email = 'admin@uni.edu';
+    await storage.universities.save(email, { email, universityName: 'Uni', isActive: true });
+    const { token } = issueToken({ email, role: ROLES.UNIVERSITY_ADMIN, universityEmail: email });
+    const put = (body) => callRoute(universityAdminRoutes.v2, { method: 'PUT', path: '/llm-provider', token, body });
+
+    const refused = await put({ type: 'openai', baseUrl: 'https://8.8.8.8/v1' });
+    assert.strictEqual(refused.status, 400);
+    assert.match(refused.body.error, /apiKey/);
+    assert.strictEqual((await storage.universities.get(email)).llmProvider, undefined);
+
+    const saved = await put({ type: 'openai', baseUrl: 'https://8.8.8.8/v1', apiKey: 'sk-test' });
+    assert.strictEqual(saved.status, 200);
+    assert.strictEqual(saved.body.llmProvider.apiKey, '********');
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, runMiddleware } = require('./helpers');
+
+useTempStorage();
+const { ROLES } = require('../auth');
+const { RULES, can, authorize } = require('../policy');
+
+const { UNIVERSITY_ADMIN, ACCOUNT, STUDENT, DEVELOPER } = ROLES;
+const UNIVERSITY = 'admin@uni.edu';
+const OTHER_UNIVERSITY = 'admin@other.edu';
+
+// Callers of each role, all belonging to UNIVERSITY
+const USERS = {
+    [UNIVERSITY_ADMIN]: { email: UNIVERSITY, role: UNIVERSITY_ADMIN, universityEmail: UNIVERSITY },
+    [ACCOUNT]: { email: 'lib@uni.edu', role: ACCOUNT, universityEmail: UNIVERSITY },
+    [STUDENT]: { email: 'a@uni.edu', role: STUDENT, universityEmail: UNIVERSITY },
+    [DEVELOPER]: { email: 'ops@x.io', role: DEVELOPER, universityEmail: null }
+};
+
+// Roles each rule admits (before any resource check)
+const MATRIX = {
+    'university:self': [UNIVERSITY_ADMIN],
+    'account:self': [ACCOUNT],
+    'student:self': [STUDENT],
+    'system:operate': [DEVELOPER],
+    'account:manage': [UNIVERSITY_ADMIN],
+    'account:read': [UNIVERSITY_ADMIN, ACCOUNT],
+    'student:list': [UNIVERSITY_ADMIN],
+    'student:manage': [UNIVERSITY_ADMIN],
+    'ticket:solve': [ACCOUNT],
+    'providerLogs:read': [ACCOUNT, UNIVERSITY_ADMIN]
+};
+
+// For rules with a check: a resource the callers may act on, and one they may not
+const RESOURCES = {
+    'account:manage': {
+        own: { accountEmail: 'lib@uni.edu', universityEmail: UNIVERSITY },
+        foreign: { accountEmail: 'lib@other.edu', universityEmail: OTHER_UNIVERSITY }
+    },
+    'account:read': {
+        own: { accountEmail: 'hostel@uni.edu', universityEmail: UNIVERSITY },
+        foreign: { accountEmail: 'lib@other.edu', universityEmail: OTHER_UNIVERSITY }
+    },
+    'student:manage': {
+        own: { email: 'a@uni.edu', universityEmail: UNIVERSITY },
+        foreign: { email: 'b@other.edu', universityEmail: OTHER_UNIVERSITY }
+    },
+    'ticket:solve': {
+        own: { ticketId: 't1', accountEmail: 'lib@uni.edu' },
+        foreign: { ticketId: 't2', accountEmail: 'hostel@uni.edu' }
+    },
+    'providerLogs:read': {
+        own: { accountEmail: 'lib@uni.edu', universityEmail: UNIVERSITY },
+        foreign: { accountEmail: 'lib@other.edu', universityEmail: OTHER_UNIVERSITY }
+    }
+};
+
+test('the matrix covers every rule', () => {
+    assert.deepStrictEqual(Object.keys(MATRIX).sort(), Object.keys(RULES).sort());
+    for (const name of Object.keys(RULES).filter(name => RULES[name].check)) {
+        assert.ok(RESOURCES[name], `no resources for ${name}`);
+    }
+});
+
+for (const [ruleName, allowed] of Object.entries(MATRIX)) {
+    for (const role of Object.values(ROLES)) {
+        const expected = allowed.includes(role);
+
+        test(`${ruleName}: ${role} is ${expected ? 'allowed' : 'denied'}`, async () => {
+            const result = await runMiddleware(authorize(ruleName), { user: USERS[role] });
+            assert.strictEqual(result.next, expected);
+            if (!expected) assert.strictEqual(result.status, 403);
+        });
+    }
+}
+
+for (const [ruleName, { own, foreign }] of Object.entries(RESOURCES)) {
+    for (const role of MATRIX[ruleName]) {
+        test(`${ruleName}: ${role} may act on its own resource only`, async () => {
+            const user = USERS[role];
+
+            const ownResult = await runMiddleware(authorize(ruleName, async () => own), { user });
+            assert.strictEqual(ownResult.next, true);
+
+            const foreignResult = await runMiddleware(authorize(ruleName, async () => foreign), { user });
+            assert.strictEqual(foreignResult.next, false);
+            assert.strictEqual(foreignResult.status, 403);
+            assert.strictEqual(foreignResult.body.error, RULES[ruleName].message);
+        });
+    }
+}
+
+test('a missing resource is passed through to the handler', async () => {
+    const result = await runMiddleware(authorize('account:manage', async () => null), { user: USERS[UNIVERSITY_ADMIN] });
+    assert.strictEqual(result.next, true);
+});
+
+test('requests without a user are denied', async () => {
+    const result = await runMiddleware(authorize('student:self'), {});
+    assert.strictEqual(result.status, 403);
+    assert.strictEqual(can(undefined, 'student:self'), false);
+});
+
+test('a loader error answers 500', async () => {
+    const result = await runMiddleware(
+        authorize('account:manage', async () => { throw new Error('boom'); }),
+        { user: USERS[UNIVERSITY_ADMIN] }
+    );
+    assert.strictEqual(result.status, 500);
+});
+
+test('unknown rules are rejected', () => {
+    assert.throws(() => authorize('nope:rule'), /Unknown policy rule/);
+    assert.throws(() => can(USERS[STUDENT], 'nope:rule'), /Unknown policy rule/);
+});
@@ -0,0 +1,110 @@
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { useTempStorage, runMiddleware } = require('./helpers');
+
+useTempStorage();
+process.env.ASK_RATE_PER_MINUTE = '60';
+process.env.ASK_RATE_BURST = '3';
+const storage = require('../storage');
+const mongoStorage = require('../storage/mongo');
+const { limitAsk, usageFor } = require('../rate_limit');
+
+const UNIVERSITY = 'admin@uni.edu';
+const QUOTA_UNIVERSITY = 'quota@uni.edu';
+const ask = (email, universityEmail = UNIVERSITY) => runMiddleware(limitAsk, { user: { email, role: 'student', universityEmail } });
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, isActive: true });
+    await storage.universities.save(QUOTA_UNIVERSITY, {
+        email: QUOTA_UNIVERSITY, isActive: true, rateLimits: { universityDailyQuota: 2, studentBurst: 100 }
+    });
+});
+
+test('a student gets the burst back to back, then 429 with Retry-After', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await ask('burst@uni.edu')).next, true);
+    }
+
+    const limited = await ask('burst@uni.edu');
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.headers['Retry-After'], '1');
+    assert.strictEqual(limited.body.retryAfter, 1);
+    assert.deepStrictEqual(limited.body.limit, { perMinute: 60, burst: 3 });
+
+    assert.strictEqual((await ask('other@uni.edu')).next, true, 'buckets are per student');
+});
+
+test('the bucket refills at the per-minute rate', async () => {
+    const start = Date.now();
+    const clock = mock.method(Date, 'now', () => start);
+    try {
+        for (let i = 0; i < 3; i++) await ask('refill@uni.edu');
+        assert.strictEqual((await ask('refill@uni.edu')).status, 429);
+
+        clock.mock.mockImplementation(() => start + 1000);
+        assert.strictEqual((await ask('refill@uni.edu')).next, true);
+        assert.strictEqual((await ask('refill@uni.edu')).status, 429);
+
+        clock.mock.mockImplementation(() => start + 60 * 1000);
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual((await ask('refill@uni.edu')).next, true, 'never more than the burst');
+        }
+        assert.strictEqual((await ask('refill@uni.edu')).status, 429);
+    } finally {
+        clock.mock.restore();
+    }
+});
+
+test('the university\'s daily quota is shared by its students', async () => {
+    assert.strictEqual((await ask('s1@uni.edu', QUOTA_UNIVERSITY)).next, true);
+    assert.strictEqual((await ask('s2@uni.edu', QUOTA_UNIVERSITY)).next, true);
+
+    const exhausted = await ask('s3@uni.edu', QUOTA_UNIVERSITY);
+    assert.strictEqual(exhausted.status, 429);
+    assert.match(exhausted.body.error, /quota/);
+    assert.deepStrictEqual(exhausted.body.limit, { daily: 2 });
+    const retryAfter = Number(exhausted.headers['Retry-After']);
+    assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+
+    const usage = await usageFor(await storage.universities.get(QUOTA_UNIVERSITY));
+    assert.strictEqual(usage.used, 2);
+    assert.strictEqual(usage.remaining, 0);
+});
+
+test('the mongo quota refuses a unit through the duplicate key of its upsert', async () => {
+    // In-memory stand-in for the quotas collection and its unique { key, day } index
+    const docs = [];
+    const Quota = mongoose.model('Quota');
+    mock.method(Quota, 'findOneAndUpdate', (filter) => ({
+        lean: async () => {
+            const doc = docs.find(d => d.key === filter.key && d.day === filter.day);
+            if (doc && (!filter.used || doc.used < filter.used.$lt)) {
+                doc.used++;
+                return { ...doc };
+            }
+            if (doc) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            docs.push({ key: filter.key, day: filter.day, used: 1 });
+            return { ...docs[docs.length - 1] };
+        }
+    }));
+    mock.method(Quota, 'findOne', ({ key, day }) => ({
+        lean: async () => docs.find(d => d.key === key && d.day === day) || null
+    }));
+    try {
+        const { quotas } = mongoStorage;
+        assert.deepStrictEqual(await quotas.consume('ask:u', '2026-10-19', 2), { allowed: true, used: 1 });
+        assert.deepStrictEqual(await quotas.consume('ask:u', '2026-10-19', 2), { allowed: true, used: 2 });
+        assert.deepStrictEqual(await quotas.consume('ask:u', '2026-10-19', 2), { allowed: false, used: 2 });
+        assert.deepStrictEqual(await quotas.consume('ask:u', '2026-10-20', 2), { allowed: true, used: 1 });
+        assert.deepStrictEqual(await quotas.consume('ask:u', '2026-10-19', 0), { allowed: true, used: 3 });
+
+        Quota.findOneAndUpdate.mock.mockImplementation(() => ({
+            lean: async () => { throw Object.assign(new Error('connection lost'), { code: 89 }); }
+        }));
+        await assert.rejects(quotas.consume('ask:u', '2026-10-19', 2), /connection lost/);
+    } finally {
+        mock.restoreAll();
+    }
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const { EXPORT_FORMATS, renderSession } = require('../session_export');
+
+const SESSION = {
+    sessionId: 'abc"; filename="evil.exe\r\nSet-Cookie: x=1/../..',
+    sessionName: 'Hostel fees',
+    messages: [{ question: 'What are the hostel fees?', answer: 'INR 60,000 per year.' }]
+};
+
+test('export file names only contain safe characters', async () => {
+    for (const format of EXPORT_FORMATS) {
+        const { filename } = await renderSession(SESSION, format);
+        assert.match(filename, /^[A-Za-z0-9_-]+\.[a-z]+$/, format);
+        assert.ok(filename.startsWith('hostel-fees-abcfilenameevilexeSet-Cookiex1'), filename);
+    }
+});
@@ -0,0 +1,82 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage, callRoute } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { issueToken, ROLES } = require('../auth');
+const askRoutes = require('../ask');
+
+const UNIVERSITY = 'admin@uni.edu';
+const STUDENT = 'a@uni.edu';
+let token;
+
+const call = (method, path, body) => callRoute(askRoutes.v2, { method, path, token, body });
+
+before(async () => {
+    await storage.ready;
+    await storage.universities.save(UNIVERSITY, { email: UNIVERSITY, isActive: true });
+    await storage.students.save(STUDENT, { email: STUDENT, universityEmail: UNIVERSITY, isActive: true });
+    ({ token } = issueToken({ email: STUDENT, role: ROLES.STUDENT, universityEmail: UNIVERSITY }));
+
+    const message = (question, answer, timestamp) => ({ question, answer, timestamp });
+    await storage.sessions.appendMessage(STUDENT, 's_library', message('When does the library open?', 'The library opens at 8 am.', '2026-10-01T10:00:00.000Z'), { sessionName: 'When does the library open?' });
+    await storage.sessions.appendMessage(STUDENT, 's_library', message('And on Sundays?', 'It is closed on Sundays.', '2026-10-01T10:05:00.000Z'));
+    await storage.sessions.appendMessage(STUDENT, 's_hostel', message('What is the hostel fee?', 'The hostel fee is 40000 rupees.', '2026-10-02T10:00:00.000Z'), { sessionName: 'What is the hostel fee?' });
+    await storage.sessions.appendMessage(STUDENT, 's_exams', message('When are the exams?', 'Exams start in December.', '2026-10-03T10:00:00.000Z'), { sessionName: 'When are the exams?' });
+    await storage.sessions.appendMessage('b@uni.edu', 's_other', message('Library fine?', 'The library fine is 5 rupees a day.', '2026-10-04T10:00:00.000Z'), { sessionName: 'Library fine?' });
+});
+
+test('sessions are renamed, pinned and archived', async () => {
+    const renamed = await call('PATCH', '/sessions/s_hostel', { sessionName: '  Hostel fees  ', pinned: true });
+    assert.strictEqual(renamed.status, 200);
+    assert.deepStrictEqual([renamed.body.session.sessionName, renamed.body.session.pinned], ['Hostel fees', true]);
+
+    assert.strictEqual((await call('PATCH', '/sessions/s_exams', { archived: true })).body.session.archived, true);
+
+    assert.strictEqual((await call('PATCH', '/sessions/s_hostel', {})).status, 400);
+    assert.strictEqual((await call('PATCH', '/sessions/s_hostel', { sessionName: ' ' })).status, 400);
+    assert.strictEqual((await call('PATCH', '/sessions/s_hostel', { sessionName: 'x'.repeat(101) })).status, 400);
+    assert.strictEqual((await call('PATCH', '/sessions/s_other', { pinned: true })).status, 404);
+});
+
+test('the session list puts pinned sessions first and hides archived ones', async () => {
+    const list = await call('GET', '/sessions');
+    assert.deepStrictEqual(list.body.sessions.map(s => s.sessionId), ['s_hostel', 's_library']);
+    assert.strictEqual(list.body.total, 2);
+
+    assert.deepStrictEqual((await call('GET', '/sessions?archived=true')).body.sessions.map(s => s.sessionId), ['s_exams']);
+    assert.strictEqual((await call('GET', '/sessions?archived=all')).body.total, 3);
+    assert.deepStrictEqual((await call('GET', '/sessions?q=library')).body.sessions.map(s => s.sessionId), ['s_library']);
+    assert.deepStrictEqual((await call('GET', '/sessions?archived=all&pageSize=2&page=2')).body.sessions.length, 1);
+    assert.strictEqual((await call('GET', '/sessions?archived=maybe')).status, 400);
+});
+
+test('search matches every word across names, questions and answers of the caller\'s sessions', async () => {
+    const search = await call('GET', '/sessions/search?q=library%20sundays');
+    assert.strictEqual(search.body.total, 1);
+    assert.deepStrictEqual(search.body.results[0], {
+        sessionId: 's_library',
+        sessionName: 'When does the library open?',
+        archived: false,
+        messageIndex: 1,
+        question: 'And on Sundays?',
+        snippet: 'It is closed on Sundays.',
+        timestamp: '2026-10-01T10:05:00.000Z'
+    });
+
+    const all = await call('GET', '/sessions/search?q=library');
+    assert.deepStrictEqual(all.body.results.map(r => r.messageIndex), [1, 0]);
+    assert.strictEqual((await call('GET', '/sessions/search?q=exams')).body.results[0].archived, true);
+    assert.strictEqual((await call('GET', '/sessions/search?q=%20')).status, 400);
+});
+
+test('the summary counts the caller\'s sessions, newest first', async () => {
+    const summary = await call('GET', '/sessions/summary?limit=2');
+    assert.strictEqual(summary.body.totalSessions, 3);
+    assert.strictEqual(summary.body.sessions.length, 2);
+    assert.deepStrictEqual(
+        (await call('GET', '/sessions/summary')).body.sessions.map(s => [s.sessionId, s.messageCount]).sort(),
+        [['s_exams', 1], ['s_hostel', 1], ['s_library', 2]]
+    );
+});
@@ -0,0 +1,57 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const apiKeyManager = require('../apikey');
+
+const PARALLEL = 100;
+
+before(() => storage.ready);
+
+test('parallel assignKey calls never hand out the same key twice', async () => {
+    const pool = (await apiKeyManager.loadKeys()).filter(k => k.isAvailable);
+    const results = await Promise.all(Array.from({ length: pool.length + 5 }, (_, i) =>
+        apiKeyManager.assignKey(`admin${i}@uni${i}.edu`, `university_${i}`)
+    ));
+
+    const assigned = results.filter(r => r.success).map(r => r.keyId);
+    assert.strictEqual(assigned.length, pool.length);
+    assert.strictEqual(new Set(assigned).size, pool.length);
+    assert.strictEqual(results.filter(r => !r.success).length, 5);
+
+    const saved = await apiKeyManager.loadKeys();
+    assert.strictEqual(saved.filter(k => !k.isAvailable).length, pool.length);
+});
+
+test('parallel session appends are all kept', async () => {
+    await Promise.all(Array.from({ length: PARALLEL }, (_, i) =>
+        storage.sessions.appendMessage('a@uni.edu', 'session_1', { question: `q${i}` }, { sessionName: 'Test' })
+    ));
+
+    const session = await storage.sessions.get('a@uni.edu', 'session_1');
+    assert.strictEqual(session.messages.length, PARALLEL);
+    assert.strictEqual(new Set(session.messages.map(m => m.question)).size, PARALLEL);
+});
+
+test('parallel provider log appends are all kept', async () => {
+    await Promise.all(Array.from({ length: PARALLEL }, (_, i) =>
+        storage.providerLogs.append('lib@uni.edu', { question: `q${i}` })
+    ));
+
+    assert.strictEqual((await storage.providerLogs.list('lib@uni.edu')).length, PARALLEL);
+});
+
+test('parallel upload updates under the uploads lock are all kept', async () => {
+    await Promise.all(Array.from({ length: PARALLEL }, (_, i) =>
+        storage.uploads.withLock('lib@uni.edu', async () => {
+            const uploads = await storage.uploads.get('lib@uni.edu');
+            uploads.notice.push({ filename: `notice_${i}.pdf` });
+            await storage.uploads.save('lib@uni.edu', uploads);
+        })
+    ));
+
+    const uploads = await storage.uploads.get('lib@uni.edu');
+    assert.strictEqual(uploads.notice.length, PARALLEL);
+});
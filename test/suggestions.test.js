@@ -0,0 +1,75 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useTempStorage } = require('./helpers');
+
+useTempStorage();
+const storage = require('../storage');
+const { extractFaqQuestions, starterQuestions, suggestFollowUps } = require('../suggestions');
+
+const ACCOUNT = 'accounts@uni.edu';
+
+// Helper: Answered provider log entry of a question
+const asked = (question, fields = {}) => ({ question, response: 'a', status: 'ok', asked_at: '2026-10-01T10:00:00.000Z', ...fields });
+
+before(async () => {
+    await storage.ready;
+    await storage.uploads.save(ACCOUNT, {
+        notice: [],
+        faq: [{ filename: 'Fees FAQ.txt', questions: ['How do I pay the hostel fee online?', 'Where is the accounts office?'] }],
+        impData: []
+    });
+    for (const entry of [
+        asked('Is there a late fee for the exam fee?'),
+        asked('Is there a late fee for the exam fee?'),
+        asked('Can I get a fee receipt again?'),
+        asked('Who do I call about [PHONE]?'),
+        asked('Who do I call about [PHONE]?'),
+        asked('Can I pay the fee in instalments?', { feedback: { rating: 'down' } }),
+        asked('Can I pay the fee in instalments?', { feedback: { rating: 'down' } }),
+        asked('How do I get a refund of the fee?', { status: 'failed' }),
+        asked('How do I get a refund of the fee?', { status: 'failed' })
+    ]) {
+        await storage.providerLogs.append(ACCOUNT, entry);
+    }
+});
+
+test('FAQ questions are read from text files', () => {
+    const text = '# Fees FAQ\n1. How do I pay the hostel fee?\nPay online.\nQ: Is there a late fee?\nshort?\nQ2) How do I pay the hostel fee?';
+    assert.deepStrictEqual(extractFaqQuestions(Buffer.from(text), 'faq.txt'), ['How do I pay the hostel fee?', 'Is there a late fee?']);
+
+    const json = JSON.stringify([{ q: 'When is the fee due' }, { question: 'Where is the accounts office?' }]);
+    assert.deepStrictEqual(extractFaqQuestions(Buffer.from(json), 'faq.json'), ['When is the fee due?', 'Where is the accounts office?']);
+    assert.deepStrictEqual(extractFaqQuestions(Buffer.from(text), 'faq.pdf'), []);
+});
+
+test('starter questions list FAQ questions first, then the popular answered ones', async () => {
+    assert.deepStrictEqual(await starterQuestions(ACCOUNT), [
+        { question: 'How do I pay the hostel fee online?', source: 'faq' },
+        { question: 'Where is the accounts office?', source: 'faq' },
+        { question: 'Is there a late fee for the exam fee?', source: 'popular', count: 2 }
+    ]);
+    assert.strictEqual((await starterQuestions(ACCOUNT, 1)).length, 1);
+});
+
+test('follow-ups are ranked by overlap with the answer, leaving out what was just asked', async () => {
+    const suggestions = await suggestFollowUps({
+        asked: ['How much is the hostel fee?'],
+        answer: 'The hostel fee is 40000 rupees per year; you can pay online. A late fee applies after July.',
+        results: [{
+            accountEmail: ACCOUNT,
+            groundingChunks: [{ retrievedContext: { text: 'Hostel fee: 40000 rupees.\nQ: How much is the hostel fee?\nQ: Is the hostel fee refundable?' } }]
+        }]
+    });
+
+    assert.deepStrictEqual(suggestions, [
+        'How do I pay the hostel fee online?',
+        'Is the hostel fee refundable?',
+        'Is there a late fee for the exam fee?'
+    ]);
+});
+
+test('there are no follow-ups when nothing relates to the answer', async () => {
+    assert.deepStrictEqual(await suggestFollowUps({
+        asked: ['Where is the gym?'], answer: 'The gym is behind block C.', results: [{ accountEmail: ACCOUNT, groundingChunks: [] }]
+    }), []);
+});
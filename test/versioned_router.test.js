@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createVersionedRouter } = require('../versioned_router');
+const { callRoute } = require('./helpers');
+
+// Helper: "METHOD path" of every route registered on an Express router
+const routesOf = (router) => router.stack
+    .filter(layer => layer.route)
+    .map(layer => `${Object.keys(layer.route.methods)[0].toUpperCase()} ${layer.route.path}`);
+
+test('routes get a legacy GET alias only when they opt in', () => {
+    const api = createVersionedRouter();
+    const handler = (req, res) => res.json({});
+
+    api.delete('/accounts/:accountEmail', { legacy: '/accounts/delete' }, handler);
+    api.get('/profile', { legacy: true }, handler);
+    api.put('/llm-provider', handler);
+    api.post('/ask/escalate', handler);
+
+    assert.deepStrictEqual(routesOf(api.v2), [
+        'DELETE /accounts/:accountEmail',
+        'GET /profile',
+        'PUT /llm-provider',
+        'POST /ask/escalate'
+    ]);
+    assert.deepStrictEqual(routesOf(api.v1), [
+        'GET /accounts/delete',
+        'GET /profile'
+    ]);
+});
+
+test('legacy paths naming the caller only answer the authenticated caller', async () => {
+    const api = createVersionedRouter();
+    api.use((req, res, next) => {
+        req.user = { email: 'a@uni.edu', role: 'student', universityEmail: 'admin@uni.edu' };
+        next();
+    });
+    api.get('/sessions', { legacy: '/sessions/:email' }, (req, res) => res.json({ caller: req.user.email }));
+    api.get('/profile', { legacy: '/profile/:email' }, (req, res) => res.json({ route: 'profile' }));
+    api.patch('/profile', { legacy: '/profile/update' }, (req, res) => res.json({ route: 'update', name: req.body.name }));
+    api.get('/university', { legacy: '/university/:universityEmail' }, (req, res) => res.json({ route: 'university' }));
+
+    const own = await callRoute(api.v1, { path: '/sessions/a@uni.edu' });
+    assert.strictEqual(own.status, 200);
+    assert.deepStrictEqual(own.body, { caller: 'a@uni.edu' });
+
+    assert.strictEqual((await callRoute(api.v1, { path: '/sessions/b@uni.edu' })).status, 403);
+    assert.strictEqual((await callRoute(api.v1, { path: '/university/admin@uni.edu' })).status, 200);
+    assert.strictEqual((await callRoute(api.v1, { path: '/university/admin@other.edu' })).status, 403);
+    assert.deepStrictEqual((await callRoute(api.v1, { path: '/profile/update?name=Asha' })).body, { route: 'update', name: 'Asha' });
+    assert.deepStrictEqual((await callRoute(api.v1, { path: '/profile/a@uni.edu' })).body, { route: 'profile' });
+});
@@ -0,0 +1,44 @@
+const storage = require('./storage');
+
+/**
+ * TICKETS
+ *
+ * Builds and saves support ticket records. Used by the student ticket route
+ * (/api/student/tickets) and by escalations from the ask pipeline
+ * (/api/ask/escalate), so both produce the same record:
+ *
+ *   { ticketId, studentEmail, accountEmail, universityEmail, problem,
+ *     status: "pending", solution: "", createdAt, updatedAt }
+ *
+ * Escalated tickets also carry source: "ask", the question and the
+ * sessionId it came from.
+ */
+
+// Helper: Unique ticket id
+const newTicketId = () => 'ticket_' + Date.now() + '_' + Math.random().toString(36).substring(2, 10);
+
+/**
+ * Create and save a pending ticket
+ * @param {Object} params - { studentEmail, accountEmail, universityEmail, problem, ...extra fields }
+ * @returns {Promise<Object>} The saved ticket
+ */
+const createTicket = async ({ studentEmail, accountEmail, universityEmail, problem, ...extra }) => {
+    const now = new Date().toISOString();
+    const ticket = {
+        ticketId: newTicketId(),
+        studentEmail,
+        accountEmail,
+        universityEmail,
+        problem,
+        status: 'pending',
+        solution: '',
+        ...extra,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await storage.tickets.save(ticket.ticketId, ticket);
+    return ticket;
+};
+
+module.exports = { createTicket };
@@ -1,142 +1,46 @@
-const express = require('express');
-const router = express.Router();
 const bcrypt = require('bcryptjs');
-const fs = require('fs').promises;
-const path = require('path');
 const ragService = require('./rag');
 const apiKeyManager = require('./apikey');
 const { scrapeWebsite } = require("./webscrapper");
+const { ROLES, issueToken, authenticate } = require('./auth');
+const { authorize } = require('./policy');
+const { createVersionedRouter, toBoolean } = require('./versioned_router');
+const storage = require('./storage');
+const { summarizeFeedback } = require('./feedback');
+const { buildGapReport } = require('./knowledge_gaps');
+const { PROVIDER_TYPES, checkBaseUrl } = require('./llm');
+const answerCache = require('./answer_cache');
+const { usageFor } = require('./rate_limit');
+const {
+    DEFAULT_GUARDRAILS, SWITCHES, REFUSAL_MAX_LENGTH, BLOCKED_TERMS_MAX, ID_FORMATS_MAX, isIdFormat,
+    guardrailsFor, listBlockedEvents
+} = require('./guardrails');
+const { LANGUAGE_CODES, languageSettingsFor } = require('./language');
+const { confidenceThresholdFor } = require('./confidence');
+
+const api = createVersionedRouter();
 
-// Database paths
-const DB_DIR = path.join(__dirname, 'database');
-const UNIVERSITIES_DIR = path.join(DB_DIR, 'universities');
-const ACCOUNTS_DIR = path.join(DB_DIR, 'accounts');
-const STUDENTS_DIR = path.join(DB_DIR, 'students');
-const PENDING_REGISTRATIONS_FILE = path.join(DB_DIR, 'pending_registrations.json');
-
-// Initialize database directories
-const initializeDatabase = async () => {
-    try {
-        await fs.mkdir(DB_DIR, { recursive: true });
-        await fs.mkdir(UNIVERSITIES_DIR, { recursive: true });
-        await fs.mkdir(ACCOUNTS_DIR, { recursive: true });
-        await fs.mkdir(STUDENTS_DIR, { recursive: true });
-
-        // Create pending registrations file if it doesn't exist
-        try {
-            await fs.access(PENDING_REGISTRATIONS_FILE);
-        } catch {
-            await fs.writeFile(PENDING_REGISTRATIONS_FILE, JSON.stringify([], null, 2));
-        }
-    } catch (error) {
-        console.error('Database initialization error:', error);
-    }
-};
-
-// Initialize on module load
-initializeDatabase();
-
-// Helper: Read pending registrations
-const readPendingRegistrations = async () => {
+// Helper: Get all accounts for a university
+const getUniversityAccounts = async (universityEmail) => {
     try {
-        const data = await fs.readFile(PENDING_REGISTRATIONS_FILE, 'utf8');
-        return JSON.parse(data);
+        const accounts = await storage.accounts.listByUniversity(universityEmail);
+        return accounts.map(({ password, ...accountData }) => accountData);
     } catch (error) {
+        console.error('Error getting university accounts:', error);
         return [];
     }
 };
 
-// Helper: Write pending registrations
-const writePendingRegistrations = async (registrations) => {
-    await fs.writeFile(PENDING_REGISTRATIONS_FILE, JSON.stringify(registrations, null, 2));
-};
-
-// Helper: Read university data
-const readUniversity = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
+// Helper: University record as returned to its admin (no password, LLM provider key hidden)
+const universityProfile = ({ password, ...universityData }) => {
+    if (universityData.llmProvider?.apiKey) {
+        universityData.llmProvider = { ...universityData.llmProvider, apiKey: '********' };
     }
+    return universityData;
 };
 
-// Helper: Write university data
-const writeUniversity = async (email, universityData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(universityData, null, 2));
-};
-
-// Helper: Check if university exists
-const universityExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
-// Helper: Read account data
-const readAccount = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-};
-
-// Helper: Write account data
-const writeAccount = async (email, accountData) => {
-    const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-    const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-    await fs.writeFile(filePath, JSON.stringify(accountData, null, 2));
-};
-
-// Helper: Check if account exists
-const accountExists = async (email) => {
-    try {
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
-// Helper: Get all accounts for a university
-const getUniversityAccounts = async (universityEmail) => {
-    try {
-        const files = await fs.readdir(ACCOUNTS_DIR);
-        const accounts = [];
-
-        for (const file of files) {
-            if (file.endsWith('.json')) {
-                const filePath = path.join(ACCOUNTS_DIR, file);
-                const data = await fs.readFile(filePath, 'utf8');
-                const account = JSON.parse(data);
-                if (account.universityEmail === universityEmail) {
-                    const { password, ...accountData } = account;
-                    accounts.push(accountData);
-                }
-            }
-        }
-
-        return accounts;
-    } catch (error) {
-        console.error('Error getting university accounts:', error);
-        return [];
-    }
-};
+// Policy loader: the account a request targets
+const accountFromParams = (req) => storage.accounts.get(String(req.params.accountEmail || '').trim());
 
 async function scrapeAndUploadWebsite(university, geminiApiKey, ragService) {
     try {
@@ -177,13 +81,13 @@ async function scrapeAndUploadWebsite(university, geminiApiKey, ragService) {
 }
 
 // ============================================
-// UNIVERSITY REGISTRATION & LOGIN APIs (GET VERSION)
+// UNIVERSITY REGISTRATION & LOGIN APIs
 // ============================================
 
-// API 1: Initial Registration - Email and Password (GET)
-router.get('/register/initiate', async (req, res) => {
+// API 1: Initial Registration - Email and Password
+api.post('/register/initiate', { legacy: true }, async (req, res) => {
     try {
-        const { email, password } = req.query;
+        const { email, password } = req.body;
 
         // Validation
         if (!email || !password) {
@@ -202,14 +106,13 @@ router.get('/register/initiate', async (req, res) => {
         }
 
         // Check if email already exists
-        const exists = await universityExists(email);
+        const exists = await storage.universities.exists(email);
         if (exists) {
             return res.status(409).json({ error: 'Email already registered' });
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingRegistrations();
-        const existingPending = pendingRegistrations.find(reg => reg.email === email);
+        const existingPending = await storage.pendingUniversities.get(email);
         if (existingPending) {
             return res.status(409).json({
                 error: 'Registration already in progress for this email',
@@ -228,8 +131,7 @@ router.get('/register/initiate', async (req, res) => {
             expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
         };
 
-        pendingRegistrations.push(newRegistration);
-        await writePendingRegistrations(pendingRegistrations);
+        await storage.pendingUniversities.add(newRegistration);
 
         res.status(201).json({
             message: 'Initial registration successful. Please complete your university details.',
@@ -241,8 +143,8 @@ router.get('/register/initiate', async (req, res) => {
     }
 });
 
-// API 2: Complete Registration - University Details (GET)
-router.get('/register/complete', async (req, res) => {
+// API 2: Complete Registration - University Details
+api.post('/register/complete', { legacy: true }, async (req, res) => {
     try {
         const {
             email,
@@ -257,7 +159,7 @@ router.get('/register/complete', async (req, res) => {
             description,
             phoneNumber,
             accreditation
-        } = req.query;
+        } = req.body;
 
         // Validation
         if (!email) {
@@ -265,21 +167,15 @@ router.get('/register/complete', async (req, res) => {
         }
 
         // Check if pending registration exists (by email only)
-        const pendingRegistrations = await readPendingRegistrations();
-        const pendingIndex = pendingRegistrations.findIndex(
-            reg => reg.email === email
-        );
+        const pendingReg = await storage.pendingUniversities.get(email);
 
-        if (pendingIndex === -1) {
+        if (!pendingReg) {
             return res.status(404).json({ error: 'Invalid or expired registration' });
         }
 
-        const pendingReg = pendingRegistrations[pendingIndex];
-
         // Check if registration has expired
         if (new Date() > new Date(pendingReg.expiresAt)) {
-            pendingRegistrations.splice(pendingIndex, 1);
-            await writePendingRegistrations(pendingRegistrations);
+            await storage.pendingUniversities.remove(email);
             return res.status(410).json({ error: 'Registration session expired. Please start again.' });
         }
 
@@ -421,11 +317,10 @@ router.get('/register/complete', async (req, res) => {
         })();
 
         // Save to database
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
 
         // Remove from pending registrations
-        pendingRegistrations.splice(pendingIndex, 1);
-        await writePendingRegistrations(pendingRegistrations);
+        await storage.pendingUniversities.remove(email);
 
         // Return response without password
         const { password, ...universityResponse } = university;
@@ -441,10 +336,10 @@ router.get('/register/complete', async (req, res) => {
     }
 });
 
-// API 3: Login (GET version)
-router.get('/login', async (req, res) => {
+// API 3: Login
+api.post('/login', { legacy: true }, async (req, res) => {
     try {
-        const { email, password, loginType } = req.query;
+        const { email, password, loginType } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
@@ -456,7 +351,7 @@ router.get('/login', async (req, res) => {
 
         if (loginType === 'admin') {
             // Admin login - login to university admin account
-            const university = await readUniversity(email);
+            const university = await storage.universities.get(email);
             if (!university) {
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
@@ -472,18 +367,20 @@ router.get('/login', async (req, res) => {
                 return res.status(403).json({ error: 'Account is deactivated' });
             }
 
-            // Return response without password
-            const { password: _, ...universityData } = university;
-
             res.json({
                 message: 'Admin login successful',
                 loginType: 'admin',
-                data: universityData
+                ...issueToken({
+                    email: university.email,
+                    role: ROLES.UNIVERSITY_ADMIN,
+                    universityEmail: university.email
+                }),
+                data: universityProfile(university)
             });
 
         } else if (loginType === 'account') {
             // Account login - login to subaccount created by admin
-            const account = await readAccount(email);
+            const account = await storage.accounts.get(email);
             if (!account) {
                 return res.status(401).json({ error: 'Invalid email or password' });
             }
@@ -500,7 +397,7 @@ router.get('/login', async (req, res) => {
             }
 
             // Get university details (without sensitive info)
-            const university = await readUniversity(account.universityEmail);
+            const university = await storage.universities.get(account.universityEmail);
             const universityInfo = university ? {
                 universityName: university.universityName,
                 universityEmail: university.email,
@@ -516,6 +413,11 @@ router.get('/login', async (req, res) => {
             res.json({
                 message: 'Account login successful',
                 loginType: 'account',
+                ...issueToken({
+                    email: account.accountEmail,
+                    role: ROLES.ACCOUNT,
+                    universityEmail: account.universityEmail
+                }),
                 data: {
                     ...accountData,
                     universityInfo
@@ -528,16 +430,15 @@ router.get('/login', async (req, res) => {
     }
 });
 
-// API 4: Toggle read_website attribute (GET)
-router.get("/toggle-website-access", async (req, res) => {
-    try {
-        const { email } = req.query;
+// Every route below requires a valid access token
+api.use(authenticate);
 
-        if (!email) {
-            return res.status(400).json({ error: "email is required" });
-        }
+// API 4: Toggle read_website attribute
+api.post("/toggle-website-access", { legacy: true }, authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: "University not found" });
         }
@@ -553,7 +454,10 @@ router.get("/toggle-website-access", async (req, res) => {
         // Toggle read_website flag
         university.read_website = !university.read_website;
         university.updatedAt = new Date().toISOString();
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
+
+        // Cached answers of the website store are outdated either way
+        answerCache.invalidateStore(storeName);
 
         if (!university.read_website) {
             // READ WEBSITE TURNED OFF - Remove website_content.json
@@ -584,31 +488,14 @@ router.get("/toggle-website-access", async (req, res) => {
 
             // REMOVE FROM STUDENTS (IF THEY EXIST)
             try {
-                const exists = await fs.access(STUDENTS_DIR).then(() => true).catch(() => false);
-
-                if (!exists) {
-                    console.log("ℹ No students directory — skipping student cleanup.");
-                } else {
-                    const files = await fs.readdir(STUDENTS_DIR);
+                const students = await storage.students.listByUniversity(email);
 
-                    for (const file of files) {
-                        const filePath = path.join(STUDENTS_DIR, file);
+                for (const student of students) {
+                    student.accessibleStores = (student.accessibleStores || [])
+                        .filter(s => s.storeName !== storeName);
 
-                        try {
-                            const raw = await fs.readFile(filePath, "utf8");
-                            const student = JSON.parse(raw);
-
-                            if (student.universityEmail === email) {
-                                student.accessibleStores = (student.accessibleStores || [])
-                                    .filter(s => s.storeName !== storeName);
-
-                                await fs.writeFile(filePath, JSON.stringify(student, null, 2));
-                                console.log(`✔ Removed store from student: ${student.email}`);
-                            }
-                        } catch {
-                            console.log(`Skipping invalid student file: ${file}`);
-                        }
-                    }
+                    await storage.students.save(student.email, student);
+                    console.log(`✔ Removed store from student: ${student.email}`);
                 }
             } catch (err) {
                 console.error("❌ Student cleanup error:", err);
@@ -633,6 +520,7 @@ router.get("/toggle-website-access", async (req, res) => {
                     geminiApiKey,
                     ragService
                 );
+                answerCache.invalidateStore(storeName);
                 console.log("✅ (BACKGROUND) website_content.json scraped & uploaded.");
             } catch (err) {
                 console.error("❌ (BACKGROUND) Scraping error:", err);
@@ -641,40 +529,23 @@ router.get("/toggle-website-access", async (req, res) => {
 
         // ADD STORE TO STUDENTS (IF ANY)
         try {
-            const exists = await fs.access(STUDENTS_DIR).then(() => true).catch(() => false);
-
-            if (!exists) {
-                console.log("ℹ No students directory — skipping student updates.");
-            } else {
-                const files = await fs.readdir(STUDENTS_DIR);
-
-                for (const file of files) {
-                    const filePath = path.join(STUDENTS_DIR, file);
-
-                    try {
-                        const raw = await fs.readFile(filePath, "utf8");
-                        const student = JSON.parse(raw);
+            const students = await storage.students.listByUniversity(email);
 
-                        if (student.universityEmail === email) {
-                            student.accessibleStores = student.accessibleStores || [];
+            for (const student of students) {
+                student.accessibleStores = student.accessibleStores || [];
 
-                            const already = student.accessibleStores.some(
-                                s => s.storeName === storeName
-                            );
+                const already = student.accessibleStores.some(
+                    s => s.storeName === storeName
+                );
 
-                            if (!already) {
-                                student.accessibleStores.push({
-                                    storeName,
-                                    storeResource
-                                });
+                if (!already) {
+                    student.accessibleStores.push({
+                        storeName,
+                        storeResource
+                    });
 
-                                await fs.writeFile(filePath, JSON.stringify(student, null, 2));
-                                console.log(`✔ Added store to student: ${student.email}`);
-                            }
-                        }
-                    } catch {
-                        console.log(`Skipping invalid student file: ${file}`);
-                    }
+                    await storage.students.save(student.email, student);
+                    console.log(`✔ Added store to student: ${student.email}`);
                 }
             }
         } catch (err) {
@@ -692,41 +563,41 @@ router.get("/toggle-website-access", async (req, res) => {
     }
 });
 
-// API 5: Get university profile (GET)
-router.get('/profile/:email', async (req, res) => {
+// API 5: Get university profile
+api.get('/profile', { legacy: '/profile/:email' }, authorize('university:self'), async (req, res) => {
     try {
-        const { email } = req.params;
+        const { email } = req.user;
 
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
-        // Return university data without password
-        const { password, ...universityData } = university;
-        res.json(universityData);
+        res.json({
+            ...universityProfile(university),
+            languages: languageSettingsFor(university),
+            confidenceThreshold: confidenceThresholdFor(university),
+            askUsage: await usageFor(university)
+        });
     } catch (error) {
         console.error('Get profile error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// API 6: Update university details (GET)
-router.get('/update-profile', async (req, res) => {
+// API 6: Update university details
+api.patch('/profile', { legacy: '/update-profile' }, authorize('university:self'), async (req, res) => {
     try {
-        const { email, ...updates } = req.query;
+        const { email } = req.user;
+        const updates = { ...req.body };
 
-        if (!email) {
-            return res.status(400).json({ error: 'Email is required' });
-        }
-
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
-        // Fields that cannot be updated
-        const protectedFields = ['universityId', 'email', 'password', 'createdAt', 'apiKeyInfo', 'ragStore'];
+        // Fields that cannot be updated (escalation department, LLM provider and rate limits have their own validated routes)
+        const protectedFields = ['universityId', 'email', 'password', 'createdAt', 'apiKeyInfo', 'ragStore', 'escalationAccountEmail', 'llmProvider', 'rateLimits', 'guardrails', 'languages', 'confidenceThreshold'];
 
         // Remove protected fields from updates
         protectedFields.forEach(field => {
@@ -735,22 +606,21 @@ router.get('/update-profile', async (req, res) => {
 
         // Parse boolean fields
         if (updates.read_website !== undefined) {
-            updates.read_website = updates.read_website === 'true';
+            updates.read_website = toBoolean(updates.read_website);
         }
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update university
         Object.assign(university, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeUniversity(email, university);
+        await storage.universities.save(email, university);
 
-        const { password, ...universityData } = university;
         res.json({
             message: 'University profile updated successfully',
-            university: universityData
+            university: universityProfile(university)
         });
     } catch (error) {
         console.error('Update profile error:', error);
@@ -758,17 +628,13 @@ router.get('/update-profile', async (req, res) => {
     }
 });
 
-// API 7: Delete university (GET)
-router.get('/delete-university', async (req, res) => {
+// API 7: Delete university
+api.delete('/', { legacy: '/delete-university' }, authorize('university:self'), async (req, res) => {
     try {
-        const { email } = req.query;
-
-        if (!email) {
-            return res.status(400).json({ error: 'email is required' });
-        }
+        const { email } = req.user;
 
         // Load university
-        const university = await readUniversity(email);
+        const university = await storage.universities.get(email);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -795,42 +661,29 @@ router.get('/delete-university', async (req, res) => {
                 await ragService.deleteStore(geminiApiKey, acc.ragStore.storeName);
             }
 
-            // Delete account JSON file
-            const sanitized = acc.accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-            const accountPath = path.join(ACCOUNTS_DIR, `${sanitized}.json`);
-            await fs.unlink(accountPath);
-            console.log(`Deleted account file: ${acc.accountEmail}`);
+            // Delete account record
+            await storage.accounts.remove(acc.accountEmail);
+            console.log(`Deleted account: ${acc.accountEmail}`);
         }
 
         // 3. DELETE ALL STUDENTS OF THIS UNIVERSITY
-        const studentFiles = await fs.readdir(STUDENTS_DIR);
-
-        for (const file of studentFiles) {
-            const filePath = path.join(STUDENTS_DIR, file);
-            const data = await fs.readFile(filePath, 'utf8');
-            const student = JSON.parse(data);
+        const students = await storage.students.listByUniversity(email);
 
-            if (student.universityEmail === email) {
-                await fs.unlink(filePath);
-                console.log(`Deleted student: ${student.email}`);
-            }
+        for (const student of students) {
+            await storage.students.remove(student.email);
+            console.log(`Deleted student: ${student.email}`);
         }
 
         // 4. RELEASE API KEY
         console.log(`Releasing API key for university: ${email}`);
         await apiKeyManager.releaseKey(email);
 
-        // 5. DELETE UNIVERSITY JSON FILE
-        const sanitizedEmail = email.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const uniPath = path.join(UNIVERSITIES_DIR, `${sanitizedEmail}.json`);
-
-        await fs.unlink(uniPath);
-        console.log(`Deleted university admin file: ${email}`);
+        // 5. DELETE UNIVERSITY RECORD
+        await storage.universities.remove(email);
+        console.log(`Deleted university admin record: ${email}`);
 
         // 6. DELETE PENDING REGISTRATION IF EXISTS
-        const pending = await readPendingRegistrations();
-        const filtered = pending.filter(p => p.email !== email);
-        await writePendingRegistrations(filtered);
+        await storage.pendingUniversities.remove(email);
 
         console.log(`Cleaned pending registrations for: ${email}`);
         console.log(`========= UNIVERSITY DELETE COMPLETE =========\n`);
@@ -846,29 +699,30 @@ router.get('/delete-university', async (req, res) => {
 });
 
 // ============================================
-// ACCOUNT MANAGEMENT APIs (GET VERSION)
+// ACCOUNT MANAGEMENT APIs
 // ============================================
 
-// API 8: Create Account (Primary or Non-Primary) (GET)
-router.get('/accounts/create', async (req, res) => {
+// API 8: Create Account (Primary or Non-Primary)
+api.post('/accounts', { legacy: '/accounts/create' }, authorize('university:self'), async (req, res) => {
     try {
+        const { universityEmail } = req.user;
         const {
-            universityEmail,
             accountEmail,
             accountPassword,
             accountName,
+            description,
             isPrimary
-        } = req.query;
+        } = req.body;
 
         // Validation
-        if (!universityEmail || !accountEmail || !accountPassword || !accountName) {
+        if (!accountEmail || !accountPassword || !accountName) {
             return res.status(400).json({
-                error: 'universityEmail, accountEmail, accountPassword, and accountName are required'
+                error: 'accountEmail, accountPassword, and accountName are required'
             });
         }
 
         // Convert isPrimary to boolean
-        const isPrimaryBool = isPrimary === 'true';
+        const isPrimaryBool = toBoolean(isPrimary);
 
         // Email validation
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -882,14 +736,14 @@ router.get('/accounts/create', async (req, res) => {
         }
 
         // Check if university exists
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
 
         // CRITICAL SECURITY CHECK: Prevent account email from being used across multiple universities
-        const existsAsUniversity = await universityExists(accountEmail);
-        const existingAccount = await readAccount(accountEmail);
+        const existsAsUniversity = await storage.universities.exists(accountEmail);
+        const existingAccount = await storage.accounts.get(accountEmail);
 
         if (existsAsUniversity) {
             return res.status(409).json({ error: 'This email is already registered as a university admin' });
@@ -957,6 +811,8 @@ router.get('/accounts/create', async (req, res) => {
             accountEmail,
             password: hashedPassword,
             accountName,
+            // What the department handles; used for keyword routing when the LLM classifier is unavailable
+            description: description || '',
             isPrimary: isPrimaryBool,
             universityEmail,
             universityId: university.universityId,
@@ -972,7 +828,7 @@ router.get('/accounts/create', async (req, res) => {
         };
 
         // Save account to database
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         // Return response without password
         const { password, ...accountResponse } = account;
@@ -987,17 +843,13 @@ router.get('/accounts/create', async (req, res) => {
     }
 });
 
-// API 9: Get all accounts for a university (GET)
-router.get('/accounts', async (req, res) => {
+// API 9: Get all accounts for a university
+api.get('/accounts', { legacy: true }, authorize('university:self'), async (req, res) => {
     try {
-        const { universityEmail } = req.query;
-
-        if (!universityEmail) {
-            return res.status(400).json({ error: 'universityEmail is required' });
-        }
+        const { universityEmail } = req.user;
 
         // Check if university exists
-        const university = await readUniversity(universityEmail);
+        const university = await storage.universities.get(universityEmail);
         if (!university) {
             return res.status(404).json({ error: 'University not found' });
         }
@@ -1017,20 +869,18 @@ router.get('/accounts', async (req, res) => {
     }
 });
 
-// API 10: Get account details by email (GET)
-router.get('/accounts/detail/:accountEmail', async (req, res) => {
+// API 10: Get account details by email
+api.get('/accounts/:accountEmail', { legacy: '/accounts/detail/:accountEmail' }, authorize('account:read', accountFromParams), async (req, res) => {
     try {
         // Decode email from URL
         const rawEmail = req.params.accountEmail;
         const accountEmail = decodeURIComponent(rawEmail).trim();
 
-        const { requestingUniversityEmail } = req.query;
-
         // DEBUG LOG
         console.log("🔍 Fetching account:", accountEmail);
 
         // Read account from file system
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
 
         if (!account) {
             console.error("❌ Account file not found for:", accountEmail);
@@ -1040,18 +890,8 @@ router.get('/accounts/detail/:accountEmail', async (req, res) => {
             });
         }
 
-        // SECURITY CHECK (ownership)
-        if (
-            requestingUniversityEmail &&
-            account.universityEmail !== requestingUniversityEmail
-        ) {
-            return res.status(403).json({
-                error: 'Access denied. This account belongs to a different university.'
-            });
-        }
-
         // Fetch university info (safe)
-        const university = await readUniversity(account.universityEmail);
+        const university = await storage.universities.get(account.universityEmail);
 
         const universityInfo = university
             ? {
@@ -1082,16 +922,17 @@ router.get('/accounts/detail/:accountEmail', async (req, res) => {
     }
 });
 
-// API 11: Update account details (GET)
-router.get('/accounts/update', async (req, res) => {
+// API 11: Update account details
+api.patch('/accounts/:accountEmail', { legacy: '/accounts/update' }, authorize('account:manage', accountFromParams), async (req, res) => {
     try {
-        const { accountEmail, ...updates } = req.query;
+        const { accountEmail } = req.params;
+        const updates = { ...req.body };
 
         if (!accountEmail) {
             return res.status(400).json({ error: 'accountEmail is required' });
         }
 
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
@@ -1114,17 +955,17 @@ router.get('/accounts/update', async (req, res) => {
 
         // Parse boolean fields
         if (updates.isPrimary !== undefined) {
-            updates.isPrimary = updates.isPrimary === 'true';
+            updates.isPrimary = toBoolean(updates.isPrimary);
         }
         if (updates.isActive !== undefined) {
-            updates.isActive = updates.isActive === 'true';
+            updates.isActive = toBoolean(updates.isActive);
         }
 
         // Update account
         Object.assign(account, updates, { updatedAt: new Date().toISOString() });
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         const { password, ...accountData } = account;
         res.json({
@@ -1137,32 +978,23 @@ router.get('/accounts/update', async (req, res) => {
     }
 });
 
-// API 12: Delete account (GET)
-router.get('/accounts/delete', async (req, res) => {
+// API 12: Delete account
+api.delete('/accounts/:accountEmail', { legacy: '/accounts/delete' }, authorize('account:manage', accountFromParams), async (req, res) => {
     try {
-        const { accountEmail, universityEmail } = req.query;
+        const { accountEmail } = req.params;
 
-        if (!accountEmail || !universityEmail) {
-            return res.status(400).json({ error: 'accountEmail and universityEmail are required' });
+        if (!accountEmail) {
+            return res.status(400).json({ error: 'accountEmail is required' });
         }
 
-        // Check if account exists
-        const account = await readAccount(accountEmail);
+        // Check if account exists (ownership is enforced by the account:manage policy)
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
 
-        // Verify that account belongs to the specified university
-        if (account.universityEmail !== universityEmail) {
-            return res.status(403).json({
-                error: 'This account does not belong to the specified university'
-            });
-        }
-
-        // Delete account file
-        const sanitizedEmail = accountEmail.replace(/[^a-zA-Z0-9@._-]/g, '_');
-        const filePath = path.join(ACCOUNTS_DIR, `${sanitizedEmail}.json`);
-        await fs.unlink(filePath);
+        // Delete account record
+        await storage.accounts.remove(accountEmail);
 
         res.json({
             message: 'Account deleted successfully',
@@ -1174,34 +1006,27 @@ router.get('/accounts/delete', async (req, res) => {
     }
 });
 
-// API 13: Toggle account active status (GET)
-router.get('/accounts/toggle-status', async (req, res) => {
+// API 13: Toggle account active status
+api.post('/accounts/:accountEmail/toggle-status', { legacy: '/accounts/toggle-status' }, authorize('account:manage', accountFromParams), async (req, res) => {
     try {
-        const { accountEmail, universityEmail } = req.query;
+        const { accountEmail } = req.params;
 
-        if (!accountEmail || !universityEmail) {
-            return res.status(400).json({ error: 'accountEmail and universityEmail are required' });
+        if (!accountEmail) {
+            return res.status(400).json({ error: 'accountEmail is required' });
         }
 
-        // Check if account exists
-        const account = await readAccount(accountEmail);
+        // Check if account exists (ownership is enforced by the account:manage policy)
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({ error: 'Account not found' });
         }
 
-        // Verify that account belongs to the specified university
-        if (account.universityEmail !== universityEmail) {
-            return res.status(403).json({
-                error: 'This account does not belong to the specified university'
-            });
-        }
-
         // Toggle status
         account.isActive = !account.isActive;
         account.updatedAt = new Date().toISOString();
 
         // Save updated data
-        await writeAccount(accountEmail, account);
+        await storage.accounts.save(accountEmail, account);
 
         res.json({
             message: `Account ${account.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -1214,19 +1039,18 @@ router.get('/accounts/toggle-status', async (req, res) => {
     }
 });
 
-// API 14: Verify account ownership (GET)
-router.get('/accounts/verify-ownership', async (req, res) => {
+// API 14: Verify account ownership
+api.get('/accounts/:accountEmail/ownership', { legacy: '/accounts/verify-ownership' }, authorize('university:self'), async (req, res) => {
     try {
-        const { accountEmail, universityEmail } = req.query;
+        const { accountEmail } = req.params;
+        const { universityEmail } = req.user;
 
-        if (!accountEmail || !universityEmail) {
-            return res.status(400).json({
-                error: 'accountEmail and universityEmail are required'
-            });
+        if (!accountEmail) {
+            return res.status(400).json({ error: 'accountEmail is required' });
         }
 
         // Check if account exists
-        const account = await readAccount(accountEmail);
+        const account = await storage.accounts.get(accountEmail);
         if (!account) {
             return res.status(404).json({
                 error: 'Account not found',
@@ -1259,4 +1083,339 @@ router.get('/accounts/verify-ownership', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// API 15: Answer helpfulness per department account and per document
+// Optional ?from=&to= (ISO dates) restrict the feedback period
+api.get('/feedback', authorize('university:self'), async (req, res) => {
+    try {
+        const { universityEmail } = req.user;
+        const { from, to } = req.query;
+
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const university = await storage.universities.get(universityEmail);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const summary = await summarizeFeedback(universityEmail, { from, to });
+
+        res.json({
+            universityEmail,
+            universityName: university.universityName,
+            from: from || null,
+            to: to || null,
+            ...summary
+        });
+    } catch (error) {
+        console.error('Feedback summary error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 16: Set the fallback department for escalated questions no department could answer
+// body: { accountEmail } (null clears it)
+api.put('/escalation', authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { accountEmail } = req.body;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        if (accountEmail) {
+            const account = await storage.accounts.get(accountEmail);
+            if (!account || account.universityEmail !== email) {
+                return res.status(404).json({ error: 'Account not found in this university' });
+            }
+        }
+
+        university.escalationAccountEmail = accountEmail || null;
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+
+        res.json({
+            message: 'Escalation department updated',
+            escalationAccountEmail: university.escalationAccountEmail
+        });
+    } catch (error) {
+        console.error('Update escalation department error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 17: Knowledge gaps - unanswered and poorly answered questions clustered by topic
+// Optional ?from=&to= (ISO dates); ?accountEmail= restricts the report to one department
+// (without it, questions no department could take are included too)
+api.get('/knowledge-gaps', authorize('university:self'), async (req, res) => {
+    try {
+        const { universityEmail } = req.user;
+        const { from, to, accountEmail } = req.query;
+
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const university = await storage.universities.get(universityEmail);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        let accounts = await storage.accounts.listByUniversity(universityEmail);
+        if (accountEmail) {
+            accounts = accounts.filter(a => a.accountEmail === accountEmail);
+            if (accounts.length === 0) {
+                return res.status(404).json({ error: 'Account not found in this university' });
+            }
+        }
+
+        const report = await buildGapReport({
+            accounts,
+            universityEmail: accountEmail ? null : universityEmail,
+            from,
+            to
+        });
+
+        res.json({
+            universityEmail,
+            universityName: university.universityName,
+            accountEmail: accountEmail || null,
+            from: from || null,
+            to: to || null,
+            ...report
+        });
+    } catch (error) {
+        console.error('Knowledge gaps error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 18: Choose the LLM provider used for classifying, rewriting and synthesizing answers
+// body: { type: "gemini" | "openai" | "rules", baseUrl?, model?, apiKey? }
+// baseUrl/model/apiKey apply to the OpenAI-compatible provider (model also to gemini);
+// baseUrl must be https on a public host and comes with its own apiKey, see llm/index.js
+api.put('/llm-provider', authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { type, baseUrl, model, apiKey } = req.body;
+
+        if (!PROVIDER_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${PROVIDER_TYPES.join(', ')}` });
+        }
+        if (baseUrl) {
+            // the operator's OPENAI_API_KEY is never sent to a university's own endpoint
+            if (!apiKey) {
+                return res.status(400).json({ error: 'apiKey is required with a baseUrl' });
+            }
+            const problem = await checkBaseUrl(baseUrl);
+            if (problem) return res.status(400).json({ error: problem });
+        }
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        university.llmProvider = {
+            type,
+            ...(baseUrl && { baseUrl }),
+            ...(model && { model }),
+            ...(apiKey && { apiKey })
+        };
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+        answerCache.invalidateUniversity(email);
+
+        res.json({
+            message: 'LLM provider updated',
+            llmProvider: universityProfile(university).llmProvider
+        });
+    } catch (error) {
+        console.error('Update LLM provider error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 19: Answer cache statistics (hit rate of repeated student questions)
+api.get('/cache/stats', authorize('university:self'), async (req, res) => {
+    try {
+        const { universityEmail } = req.user;
+        res.json({
+            universityEmail,
+            answerCache: answerCache.getStats(universityEmail)
+        });
+    } catch (error) {
+        console.error('Answer cache stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 20: Configure the guardrails of the ask pipeline
+// body: any of { enabled, promptInjection, abuse, redactPII (booleans), blockedTerms: [string],
+// idFormats: [string] ("9" digit, "A" letter, e.g. "99AA99AAA999"),
+// refusalMessage (may use {university} and {reason}) }; null resets a field to its default
+api.put('/guardrails', authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const guardrails = { ...(university.guardrails || {}) };
+        for (const field of Object.keys(DEFAULT_GUARDRAILS)) {
+            if (!(field in req.body)) continue;
+
+            const value = req.body[field];
+            if (value === null) {
+                delete guardrails[field];
+            } else if (SWITCHES.includes(field)) {
+                guardrails[field] = toBoolean(value);
+            } else if (field === 'blockedTerms') {
+                if (!Array.isArray(value) || value.length > BLOCKED_TERMS_MAX || value.some(t => typeof t !== 'string')) {
+                    return res.status(400).json({ error: `blockedTerms must be an array of at most ${BLOCKED_TERMS_MAX} strings` });
+                }
+                guardrails.blockedTerms = [...new Set(value.map(t => t.trim()).filter(Boolean))];
+            } else if (field === 'idFormats') {
+                if (!Array.isArray(value) || value.length > ID_FORMATS_MAX || !value.every(isIdFormat)) {
+                    return res.status(400).json({
+                        error: `idFormats must be an array of at most ${ID_FORMATS_MAX} formats of 4-30 characters ("9" digit, "A" letter)`
+                    });
+                }
+                guardrails.idFormats = [...new Set(value)];
+            } else {
+                const message = String(value).trim();
+                if (!message || message.length > REFUSAL_MAX_LENGTH) {
+                    return res.status(400).json({ error: `refusalMessage must be 1-${REFUSAL_MAX_LENGTH} characters` });
+                }
+                guardrails.refusalMessage = message;
+            }
+        }
+
+        university.guardrails = guardrails;
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+        // cached answers were checked under the previous guardrails
+        answerCache.invalidateUniversity(email);
+
+        res.json({
+            message: 'Guardrails updated',
+            guardrails: guardrailsFor(university)
+        });
+    } catch (error) {
+        console.error('Update guardrails error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 21: Questions and answers blocked by the guardrails (newest first)
+// Optional ?from=&to= (ISO dates), ?stage=question|answer, ?reason=, ?limit= (default 100)
+api.get('/guardrails/events', authorize('university:self'), async (req, res) => {
+    try {
+        const { universityEmail } = req.user;
+        const { from, to, stage, reason } = req.query;
+        const limit = Math.max(1, parseInt(req.query.limit, 10) || 100);
+
+        if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+            return res.status(400).json({ error: 'from and to must be valid dates' });
+        }
+
+        const university = await storage.universities.get(universityEmail);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const report = await listBlockedEvents(universityEmail, { from, to, stage, reason });
+        res.json({
+            guardrails: guardrailsFor(university),
+            ...report,
+            events: report.events.slice(0, limit)
+        });
+    } catch (error) {
+        console.error('Guardrail events error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 22: Languages students may ask and be answered in
+// body: { supported: ["en", "hi", "kn", ...], default: "en" } (null resets to the server defaults)
+// Questions in other languages are answered in the default language.
+api.put('/languages', authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { supported, default: defaultLanguage } = req.body;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        if (supported === null) {
+            delete university.languages;
+        } else {
+            if (!Array.isArray(supported) || supported.length === 0 || supported.some(code => !LANGUAGE_CODES.includes(code))) {
+                return res.status(400).json({ error: `supported must be a non-empty array of: ${LANGUAGE_CODES.join(', ')}` });
+            }
+            const fallback = defaultLanguage || supported[0];
+            if (!supported.includes(fallback)) {
+                return res.status(400).json({ error: 'default must be one of the supported languages' });
+            }
+            university.languages = { supported: [...new Set(supported)], default: fallback };
+        }
+
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+        answerCache.invalidateUniversity(email);
+
+        res.json({
+            message: 'Languages updated',
+            languages: languageSettingsFor(university)
+        });
+    } catch (error) {
+        console.error('Update languages error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// API 23: Confidence below which answers are withheld and students get "I don't know" with a ticket offer
+// body: { threshold } between 0 and 1 (0 never withholds, null resets to the server default)
+api.put('/confidence-threshold', authorize('university:self'), async (req, res) => {
+    try {
+        const { email } = req.user;
+        const { threshold } = req.body;
+
+        const university = await storage.universities.get(email);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        if (threshold === null) {
+            delete university.confidenceThreshold;
+        } else {
+            const value = Number(threshold);
+            if (threshold === undefined || threshold === '' || isNaN(value) || value < 0 || value > 1) {
+                return res.status(400).json({ error: 'threshold must be a number between 0 and 1' });
+            }
+            university.confidenceThreshold = value;
+        }
+
+        university.updatedAt = new Date().toISOString();
+        await storage.universities.save(email, university);
+        // cached answers were scored against the previous threshold
+        answerCache.invalidateUniversity(email);
+
+        res.json({
+            message: 'Confidence threshold updated',
+            confidenceThreshold: confidenceThresholdFor(university)
+        });
+    } catch (error) {
+        console.error('Update confidence threshold error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { v1: api.v1, v2: api.v2 };
\ No newline at end of file
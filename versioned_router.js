@@ -0,0 +1,106 @@
+const express = require('express');
+
+/**
+ * VERSIONED ROUTERS
+ *
+ * v2 routes use proper HTTP verbs and take their input from JSON (or
+ * multipart) bodies and URL params. The original all-GET routes (v1) are still
+ * registered for the existing frontend while it migrates, unless
+ * ENABLE_LEGACY_GET_ROUTES=false.
+ *
+ * Each route is declared once, with its v2 verb and path:
+ *
+ *   api.delete('/accounts/:accountEmail', { legacy: '/accounts/delete' }, handler);
+ *
+ * which registers
+ *   v2: DELETE /accounts/:accountEmail   (accountEmail from the URL)
+ *   v1: GET    /accounts/delete          (accountEmail from the query string)
+ *
+ * Only routes the v1 frontend already used get a v1 alias, and they opt in
+ * explicitly: `legacy: '/path'`, or `legacy: true` to keep the v2 path. Routes
+ * added since are v2 only, so nothing new changes data through a GET (or
+ * takes secrets in a query string). For v1 requests the query string is
+ * copied into req.body, and any v2 URL param missing from the legacy path is
+ * read from the query string too, so handlers only ever look at req.body and
+ * req.params.
+ *
+ * Legacy paths keep the shape the v1 frontend calls, including the caller's
+ * own email (`legacy: '/sessions/:email'`). The token identifies the caller
+ * now, so such a segment is only checked: `:universityEmail` against the
+ * caller's university, any other legacy-only email param against the
+ * caller's email, and a mismatch is answered with 403. Those segments only
+ * match values containing "@", so e.g. GET /profile/update still reaches its
+ * own route rather than /profile/:email.
+ */
+
+const LEGACY_GET_ROUTES = process.env.ENABLE_LEGACY_GET_ROUTES !== 'false';
+
+// Names of the ":param" segments in an Express path
+const paramNames = (routePath) => (routePath.match(/:(\w+)/g) || []).map(p => p.slice(1));
+
+// Middleware: expose a legacy GET request's query string the way v2 handlers expect it
+const fromQuery = (names) => (req, res, next) => {
+    req.body = { ...req.query };
+    for (const name of names) {
+        if (req.params[name] === undefined && req.query[name] !== undefined) {
+            req.params[name] = req.query[name];
+        }
+    }
+    next();
+};
+
+// Middleware: legacy-only path params naming the caller must name the authenticated caller
+const matchCaller = (names) => (req, res, next) => {
+    if (!req.user) return next();
+    for (const name of names) {
+        const expected = name === 'universityEmail' ? req.user.universityEmail : req.user.email;
+        if (String(req.params[name]).trim().toLowerCase() !== String(expected || '').toLowerCase()) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+    }
+    next();
+};
+
+// Accept booleans from JSON bodies and "true"/"false" from legacy query strings
+const toBoolean = (value) => value === true || value === 'true';
+
+const createVersionedRouter = () => {
+    const v1 = express.Router();
+    const v2 = express.Router();
+
+    const register = (method) => (routePath, ...rest) => {
+        const options = (rest[0] && typeof rest[0] === 'object' && !Array.isArray(rest[0]))
+            ? rest.shift()
+            : {};
+
+        v2[method](routePath, ...rest);
+
+        if (LEGACY_GET_ROUTES && options.legacy) {
+            const legacyPath = options.legacy === true ? routePath : options.legacy;
+            const routeParams = paramNames(routePath);
+            const callerParams = paramNames(legacyPath).filter(name => !routeParams.includes(name));
+            const callerPath = callerParams.reduce((p, name) => p.replace(`:${name}`, `:${name}([^/]+@[^/]+)`), legacyPath);
+            v1.get(callerPath, fromQuery(routeParams), ...(callerParams.length > 0 ? [matchCaller(callerParams)] : []), ...rest);
+        }
+    };
+
+    return {
+        get: register('get'),
+        post: register('post'),
+        put: register('put'),
+        patch: register('patch'),
+        delete: register('delete'),
+        use: (...handlers) => {
+            v1.use(...handlers);
+            v2.use(...handlers);
+        },
+        v1,
+        v2
+    };
+};
+
+module.exports = {
+    LEGACY_GET_ROUTES,
+    createVersionedRouter,
+    toBoolean
+};